@@ -0,0 +1,130 @@
+/**
+ * Air Quality
+ * Category labels and advice for air-quality indices, UV index and pollen counts,
+ * and formatting of Open-Meteo air-quality data for the weather forecast tool
+ */
+
+// Sections the weather forecast tool can include, and the Open-Meteo variables each one needs
+const AIR_QUALITY_SECTIONS = {
+  air_quality: ['us_aqi', 'european_aqi', 'pm2_5', 'pm10', 'ozone'],
+  uv: ['uv_index'],
+  pollen: ['alder_pollen', 'birch_pollen', 'grass_pollen', 'mugwort_pollen', 'olive_pollen', 'ragweed_pollen'],
+};
+
+// US EPA AQI bands: upper bound, label and advice
+const US_AQI_CATEGORIES = [
+  { max: 50, category: 'Good', advice: 'Air quality is satisfactory; enjoy outdoor activities.' },
+  { max: 100, category: 'Moderate', advice: 'Unusually sensitive people should consider reducing prolonged or heavy exertion outdoors.' },
+  { max: 150, category: 'Unhealthy for Sensitive Groups', advice: 'People with heart or lung disease, older adults and children should reduce prolonged or heavy exertion outdoors.' },
+  { max: 200, category: 'Unhealthy', advice: 'Everyone should reduce prolonged or heavy exertion; sensitive groups should avoid it.' },
+  { max: 300, category: 'Very Unhealthy', advice: 'Everyone should avoid prolonged or heavy exertion; sensitive groups should stay indoors.' },
+  { max: Infinity, category: 'Hazardous', advice: 'Everyone should avoid all physical activity outdoors.' },
+];
+
+// European Environment Agency AQI bands
+const EUROPEAN_AQI_CATEGORIES = [
+  { max: 20, category: 'Good', advice: 'The air quality is good. Enjoy your usual outdoor activities.' },
+  { max: 40, category: 'Fair', advice: 'Enjoy your usual outdoor activities.' },
+  { max: 60, category: 'Moderate', advice: 'Sensitive people should consider reducing intense outdoor activities if they experience symptoms.' },
+  { max: 80, category: 'Poor', advice: 'Everyone should consider reducing intense outdoor activities; sensitive people should reduce physical activity outdoors.' },
+  { max: 100, category: 'Very poor', advice: 'Everyone should reduce physical activity outdoors; sensitive people should avoid it.' },
+  { max: Infinity, category: 'Extremely poor', advice: 'Everyone should avoid physical activity outdoors.' },
+];
+
+// WHO UV index bands
+const UV_CATEGORIES = [
+  { max: 2, category: 'Low', advice: 'No protection needed.' },
+  { max: 5, category: 'Moderate', advice: 'Seek shade around midday; wear sunscreen, a hat and sunglasses.' },
+  { max: 7, category: 'High', advice: 'Reduce time in the sun between 10am and 4pm; wear sunscreen, a hat and sunglasses.' },
+  { max: 10, category: 'Very high', advice: 'Avoid the sun between 10am and 4pm; sunscreen, a hat and sunglasses are essential.' },
+  { max: Infinity, category: 'Extreme', advice: 'Avoid being outside during midday hours; unprotected skin burns in minutes.' },
+];
+
+// Pollen levels in grains/m³, shared across pollen types
+const POLLEN_LEVELS = [
+  { max: 0, level: 'None' },
+  { max: 9, level: 'Low' },
+  { max: 49, level: 'Moderate' },
+  { max: 199, level: 'High' },
+  { max: Infinity, level: 'Very high' },
+];
+
+/**
+ * Find the band a value falls into, or null when there is no value
+ */
+function findBand(bands, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return bands.find((band) => value <= band.max);
+}
+
+/**
+ * Label an index value with its category and advice, e.g. US AQI 120 → Unhealthy for Sensitive Groups
+ */
+function describeIndex(bands, value) {
+  const band = findBand(bands, value);
+
+  return {
+    value: value ?? null,
+    category: band ? band.category : null,
+    advice: band ? band.advice : null,
+  };
+}
+
+/**
+ * List the Open-Meteo variables needed for the requested sections
+ */
+function airQualityVariables(sections) {
+  return sections.flatMap((section) => AIR_QUALITY_SECTIONS[section]);
+}
+
+/**
+ * Turn Open-Meteo's current air-quality block into the requested output sections
+ * Pollen is only forecast for Europe, so elsewhere every pollen value is null
+ */
+function formatAirQuality(current, sections) {
+  const result = {};
+
+  if (sections.includes('air_quality')) {
+    result.airQuality = {
+      usAqi: describeIndex(US_AQI_CATEGORIES, current.us_aqi),
+      europeanAqi: describeIndex(EUROPEAN_AQI_CATEGORIES, current.european_aqi),
+      pm2_5: current.pm2_5 ?? null,
+      pm10: current.pm10 ?? null,
+      ozone: current.ozone ?? null,
+      timestamp: current.time,
+    };
+  }
+
+  if (sections.includes('uv')) {
+    const { value, category, advice } = describeIndex(UV_CATEGORIES, current.uv_index);
+    result.uv = { index: value, category, advice, timestamp: current.time };
+  }
+
+  if (sections.includes('pollen')) {
+    const counts = Object.fromEntries(AIR_QUALITY_SECTIONS.pollen.map((variable) => {
+      const value = current[variable] ?? null;
+      const band = findBand(POLLEN_LEVELS, value);
+      return [variable.replace('_pollen', ''), { value, level: band ? band.level : null }];
+    }));
+
+    result.pollen = {
+      available: Object.values(counts).some((count) => count.value !== null),
+      ...counts,
+      timestamp: current.time,
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  AIR_QUALITY_SECTIONS,
+  US_AQI_CATEGORIES,
+  EUROPEAN_AQI_CATEGORIES,
+  UV_CATEGORIES,
+  describeIndex,
+  airQualityVariables,
+  formatAirQuality,
+};
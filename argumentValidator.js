@@ -0,0 +1,199 @@
+/**
+ * Argument Validator
+ * Checks tool arguments against the JSON Schema declared in each tool definition
+ */
+
+const { createToolError, errorResponse } = require('./toolErrors');
+
+/**
+ * Describe the JSON Schema type of a value
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Build a field path such as `items[0].amount`
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Fill in declared defaults for missing object properties
+ * Returns a new value, leaving the caller's arguments untouched
+ */
+function applyDefaults(schema, value) {
+  if (!schema || typeOf(value) !== 'object' || !schema.properties) {
+    return value;
+  }
+
+  const result = { ...value };
+
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    if (result[key] === undefined && propertySchema.default !== undefined) {
+      result[key] = propertySchema.default;
+    } else if (result[key] !== undefined) {
+      result[key] = applyDefaults(propertySchema, result[key]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Collect every violation of a schema by a value
+ */
+function collectViolations(schema, value, path, violations) {
+  if (!schema) {
+    return violations;
+  }
+
+  const field = path || '(root)';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some((type) => matchesType(value, type))) {
+      violations.push({
+        field,
+        message: `Expected ${types.join(' or ')} but received ${typeOf(value)}`
+      });
+      // The remaining keywords only make sense for the declared type
+      return violations;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push({
+      field,
+      message: `Must be one of: ${schema.enum.map(String).join(', ')}`
+    });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ field, message: `Must be greater than or equal to ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push({ field, message: `Must be less than or equal to ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      violations.push({ field, message: `Must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      violations.push({ field, message: `Must be less than ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push({ field, message: `Must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push({ field, message: `Must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      violations.push({ field, message: `Must match the pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push({ field, message: `Must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push({ field, message: `Must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        collectViolations(schema.items, item, joinPath(path, index), violations);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        violations.push({ field: joinPath(path, key), message: 'Is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+
+      if (properties[key]) {
+        collectViolations(properties[key], propertyValue, joinPath(path, key), violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({ field: joinPath(path, key), message: 'Is not an allowed property' });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate arguments against a tool's parameter schema
+ * Declared defaults are applied first, and the resulting arguments are returned as `value`
+ */
+function validateArguments(schema, args = {}) {
+  const value = applyDefaults(schema, args);
+  const violations = collectViolations(schema, value, '', []);
+
+  return {
+    valid: violations.length === 0,
+    value,
+    violations
+  };
+}
+
+/**
+ * Build the standard JSON error response for invalid tool arguments
+ */
+function invalidArgumentsResponse(toolName, violations) {
+  const summary = violations
+    .map((violation) => `${violation.field} ${violation.message.toLowerCase()}`)
+    .join('; ');
+
+  return errorResponse(createToolError('INVALID_ARGUMENT', `Invalid arguments for ${toolName}: ${summary}`, {
+    details: { violations }
+  }));
+}
+
+module.exports = {
+  validateArguments,
+  invalidArgumentsResponse,
+};
@@ -0,0 +1,59 @@
+/**
+ * Cancellation
+ * Helpers for stopping tool executors through an AbortSignal
+ */
+
+/**
+ * Create the error thrown when a signal aborts an operation
+ */
+function cancelledError(signal) {
+  const reason = signal?.reason;
+  const error = new Error(reason instanceof Error ? reason.message : 'The operation was cancelled');
+  error.code = 'CANCELLED';
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Throw a cancellation error if the signal has already aborted
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw cancelledError(signal);
+  }
+}
+
+/**
+ * Check whether a failure was caused by cancellation rather than by the operation itself
+ */
+function isCancellation(error, signal) {
+  return Boolean(signal?.aborted) || error?.code === 'CANCELLED' || error?.code === 'ERR_CANCELED';
+}
+
+/**
+ * Wait for a number of milliseconds, stopping early if the signal aborts
+ */
+function abortableDelay(sleep, ms, signal) {
+  if (!signal) {
+    return sleep(ms);
+  }
+
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancelledError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    sleep(ms).then(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, reject);
+  });
+}
+
+module.exports = {
+  cancelledError,
+  throwIfAborted,
+  isCancellation,
+  abortableDelay,
+};
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Runner
+ * Lists, describes and runs any registered tool from the terminal
+ *
+ * Usage:
+ *   agent-tools list
+ *   agent-tools describe <tool>
+ *   agent-tools run <tool> [--<parameter> <value> ...] [--args '<json>']
+ */
+
+const { registry: defaultRegistry } = require('./index');
+const { CONFIG_FILE_ENV_VAR, toolConfig } = require('./toolConfig');
+
+const USAGE = `Usage:
+  agent-tools list                         List the available tools
+  agent-tools describe <tool>              Show a tool's description and flags
+  agent-tools run <tool> [flags]           Run a tool, e.g.
+    agent-tools run convert-currency --amount 10 --fromCurrency USD --toCurrency EUR
+
+Flags for "run" are derived from the tool's parameters. Pass --args '<json>' to give
+the arguments as a JSON object instead; individual flags override its values.`;
+
+/**
+ * List the types a schema property accepts
+ */
+function typesOf(schema) {
+  if (schema.type === undefined) {
+    return ['string'];
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Convert a flag value from the command line into the type its schema expects
+ * Values that cannot be converted are passed through so the tool's validation can report them
+ */
+function parseFlagValue(raw, schema) {
+  const types = typesOf(schema);
+
+  if (raw === 'null' && types.includes('null')) {
+    return null;
+  }
+  if ((types.includes('number') || types.includes('integer')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+  if (types.includes('array') || types.includes('object')) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      // Arrays may also be given as comma-separated values; a lone value stays a string where one is allowed
+      if (types.includes('array') && (raw.includes(',') || !types.includes('string'))) {
+        return raw.split(',').map((item) => parseFlagValue(item.trim(), schema.items || {}));
+      }
+      return raw;
+    }
+  }
+  return raw;
+}
+
+/**
+ * Turn `--name value`, `--name=value` and boolean `--name` flags into tool arguments
+ */
+function parseToolArguments(argv, parameters = {}) {
+  const properties = parameters.properties || {};
+  const args = {};
+  let rawArgs = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const token = argv[index];
+
+    if (!token.startsWith('--')) {
+      throw new Error(`Unexpected argument "${token}"`);
+    }
+
+    const [flag, inlineValue] = token.slice(2).split(/=(.*)/s);
+    const schema = properties[flag];
+    const isBoolean = schema && typesOf(schema).includes('boolean');
+    let value = inlineValue;
+
+    if (value === undefined) {
+      const next = argv[index + 1];
+      if (isBoolean && (next === undefined || next.startsWith('--'))) {
+        value = 'true';
+      } else if (next === undefined) {
+        throw new Error(`Missing value for --${flag}`);
+      } else {
+        value = next;
+        index++;
+      }
+    }
+
+    if (flag === 'args') {
+      try {
+        rawArgs = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`--args must be a JSON object: ${error.message}`);
+      }
+      if (!rawArgs || typeof rawArgs !== 'object' || Array.isArray(rawArgs)) {
+        throw new Error('--args must be a JSON object');
+      }
+    } else {
+      // Unknown flags are passed through so the tool's validation can report them
+      args[flag] = schema ? parseFlagValue(value, schema) : value;
+    }
+  }
+
+  return { ...rawArgs, ...args };
+}
+
+/**
+ * Describe a tool's parameters as command-line flags
+ */
+function describeTool(tool) {
+  const { description, parameters = {} } = tool.toolDefinition.function;
+  const required = parameters.required || [];
+  const lines = [tool.name, '', description, '', 'Flags:'];
+
+  for (const [name, schema] of Object.entries(parameters.properties || {})) {
+    const notes = [];
+
+    if (required.includes(name) && schema.default === undefined) {
+      notes.push('required');
+    }
+    if (schema.enum) {
+      notes.push(`one of: ${schema.enum.map(String).join(', ')}`);
+    }
+    if (schema.default !== undefined) {
+      notes.push(`default: ${JSON.stringify(schema.default)}`);
+    }
+
+    lines.push(`  --${name} <${typesOf(schema).join('|')}>${notes.length ? ` (${notes.join('; ')})` : ''}`);
+    if (schema.description) {
+      lines.push(`      ${schema.description}`);
+    }
+  }
+
+  // Settings come from the config file named by AGENT_TOOLS_CONFIG or from these variables
+  const settings = toolConfig.describe(tool);
+  if (settings.length > 0) {
+    lines.push('', `Settings (config file in $${CONFIG_FILE_ENV_VAR}, or environment variables):`);
+    for (const setting of settings) {
+      const note = setting.secret ? 'secret' : `default: ${JSON.stringify(setting.default)}`;
+      lines.push(`  ${setting.key}  $${setting.envVar} (${note})`);
+      if (setting.description) {
+        lines.push(`      ${setting.description}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a publishToClient callback that renders progress events
+ * On a terminal the bar is redrawn in place; otherwise each update is printed on its own line
+ */
+function createProgressBar(stream, { width = 24 } = {}) {
+  let drawn = false;
+
+  const publishToClient = (event) => {
+    if (event?.type !== 'progress' || typeof event.data?.progress !== 'number') {
+      return;
+    }
+
+    const { progress, message = '' } = event.data;
+    const filled = Math.round((Math.min(Math.max(progress, 0), 100) / 100) * width);
+    const line = `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${String(progress).padStart(3)}% ${message}`;
+
+    if (stream.isTTY) {
+      // Clear the rest of the previous line before redrawing it
+      stream.write(`\r${line}\x1b[K`);
+      drawn = true;
+    } else {
+      stream.write(`${line}\n`);
+    }
+  };
+
+  // Move past the bar once the run is over
+  publishToClient.finish = () => {
+    if (drawn) {
+      stream.write('\n');
+      drawn = false;
+    }
+  };
+
+  return publishToClient;
+}
+
+/**
+ * Run the command line
+ * Resolves to the process exit code: 0 on success, 1 when the tool returns an error, 2 on usage errors
+ */
+async function runCli(argv, {
+  registry = defaultRegistry,
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  const [command, toolName, ...rest] = argv;
+
+  if (!command) {
+    stderr.write(`${USAGE}\n`);
+    return 2;
+  }
+
+  if (command === 'help' || command === '--help' || command === '-h') {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  if (command === 'list') {
+    for (const tool of registry.list()) {
+      stdout.write(`${tool.name.padEnd(20)} ${tool.toolDefinition.function.description}\n`);
+    }
+    return 0;
+  }
+
+  if (command !== 'describe' && command !== 'run') {
+    stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const tool = toolName && registry.get(toolName);
+  if (!tool) {
+    stderr.write(toolName
+      ? `Unknown tool "${toolName}". Available tools: ${registry.list().map((entry) => entry.name).join(', ')}\n`
+      : `Missing tool name\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (command === 'describe') {
+    stdout.write(`${describeTool(tool)}\n`);
+    return 0;
+  }
+
+  let args;
+  try {
+    args = parseToolArguments(rest, tool.toolDefinition.function.parameters);
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  const progressBar = createProgressBar(stderr);
+  const result = await registry.invoke(tool.name, args, { publishToClient: progressBar });
+  progressBar.finish();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(result);
+  } catch (error) {
+    stdout.write(`${result}\n`);
+    return 0;
+  }
+
+  if (parsed.error) {
+    stderr.write(`${JSON.stringify(parsed, null, 2)}\n`);
+    return 1;
+  }
+
+  stdout.write(`${JSON.stringify(parsed, null, 2)}\n`);
+  return 0;
+}
+
+// Run when invoked directly
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  }).catch((error) => {
+    // e.g. an unreadable config file or an unknown provider in the environment
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  runCli,
+  parseToolArguments,
+  describeTool,
+  createProgressBar,
+};
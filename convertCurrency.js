@@ -3,103 +3,488 @@
  * This example tool converts amounts between different currencies using real exchange rates
  */
 
-const axios = require('axios');
+const { validateArguments, invalidArgumentsResponse } = require('./argumentValidator');
+const { currencyProviders } = require('./currencyProviders');
+const { responseCache } = require('./responseCache');
+const { reportRetries } = require('./httpClient');
+const { throwIfAborted } = require('./cancellation');
+const { createToolError, toErrorBody, errorResponse } = require('./toolErrors');
+const { DEFAULT_LOCALE, normalizeCurrencyCode, getCurrency, isValidLocale, formatCurrency } = require('./currencies');
+const { multiplyAndRound } = require('./decimalMath');
+const { createEventEmitter } = require('./toolEvents');
+const { CONNECTION_SETTINGS, toolConfig } = require('./toolConfig');
+
+// The steps every conversion reports through publishToClient, with the progress reached when each starts
+const CONVERSION_STEPS = [
+  { id: 'fetch_rates', description: 'Load exchange rates, or a rate series, from the provider or the cache', progress: 25 },
+  { id: 'convert', description: 'Convert the amounts, or summarise the rate series', progress: 75 },
+];
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date
+ */
+function isCalendarDate(value) {
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check argument combinations the schema cannot express: dates, and single versus batch input
+ */
+function checkArguments({ amount, fromCurrency, toCurrency, items, locale, date, startDate, endDate }) {
+  const violations = [];
+  const today = new Date().toISOString().slice(0, 10);
+
+  for (const [field, value] of Object.entries({ date, startDate, endDate })) {
+    if (value === null) {
+      continue;
+    }
+    if (!isCalendarDate(value)) {
+      violations.push({ field, message: 'Is not a valid calendar date' });
+    } else if (value > today) {
+      violations.push({ field, message: 'Cannot be in the future' });
+    }
+  }
+
+  if ((startDate === null) !== (endDate === null)) {
+    violations.push({
+      field: startDate === null ? 'startDate' : 'endDate',
+      message: 'Is required when requesting a time series'
+    });
+  }
+  if (date !== null && startDate !== null) {
+    violations.push({ field: 'date', message: 'Cannot be combined with startDate and endDate' });
+  }
+  if (startDate !== null && endDate !== null && startDate > endDate) {
+    violations.push({ field: 'endDate', message: 'Must be on or after startDate' });
+  }
+
+  // Either a single conversion or a batch of items, never both
+  for (const [field, value] of Object.entries({ amount, fromCurrency, toCurrency })) {
+    if (items === null && value === null) {
+      violations.push({ field, message: 'Is required unless items is given' });
+    } else if (items !== null && value !== null) {
+      violations.push({ field, message: 'Cannot be combined with items' });
+    }
+  }
+  if (startDate !== null && (items !== null || Array.isArray(toCurrency))) {
+    violations.push({ field: 'startDate', message: 'A time series needs a single toCurrency and no items' });
+  }
+  if (locale !== null && !isValidLocale(locale)) {
+    violations.push({ field: 'locale', message: 'Is not a supported BCP 47 locale tag' });
+  }
+
+  return violations;
+}
+
+/**
+ * Upper-case every currency code so "usd" and "USD" are the same request
+ */
+function normalizeCurrencies(args) {
+  const normalizeTargets = (toCurrency) => (Array.isArray(toCurrency)
+    ? toCurrency.map(normalizeCurrencyCode)
+    : normalizeCurrencyCode(toCurrency));
+
+  return {
+    ...args,
+    fromCurrency: normalizeCurrencyCode(args.fromCurrency),
+    toCurrency: normalizeTargets(args.toCurrency),
+    items: args.items && args.items.map((item) => ({
+      ...item,
+      fromCurrency: normalizeCurrencyCode(item.fromCurrency),
+      toCurrency: normalizeTargets(item.toCurrency)
+    }))
+  };
+}
+
+/**
+ * Reject codes missing from the ISO 4217 table before any rates are requested
+ */
+function checkCurrencies(fromCurrency, toCurrency) {
+  if (!getCurrency(fromCurrency)) {
+    throw createToolError('UNSUPPORTED_CURRENCY', `Conversion from ${fromCurrency} is not supported`, {
+      details: { unknownCurrencies: [fromCurrency] }
+    });
+  }
+
+  const unknown = [].concat(toCurrency).filter((code) => !getCurrency(code));
+  if (unknown.length > 0) {
+    throw createToolError('UNSUPPORTED_CURRENCY', `Conversion to ${unknown.join(', ')} is not supported`, {
+      details: { unknownCurrencies: unknown }
+    });
+  }
+}
+
+/**
+ * Summarise a rate series with its lowest, highest and average rate
+ */
+function summarizeSeries(series) {
+  let min = series[0];
+  let max = series[0];
+  let total = 0;
+
+  for (const entry of series) {
+    if (entry.rate < min.rate) {
+      min = entry;
+    }
+    if (entry.rate > max.rate) {
+      max = entry;
+    }
+    total += entry.rate;
+  }
+
+  return {
+    min: { date: min.date, rate: min.rate },
+    max: { date: max.date, rate: max.rate },
+    average: parseFloat((total / series.length).toFixed(6))
+  };
+}
+
+/**
+ * Finish the fetch step, noting whether the rates came from the cache
+ */
+function completeFetch(events, { cached, age }) {
+  events.log('debug', cached ? `Using exchange rates cached ${age}s ago` : 'Fetched fresh exchange rates');
+  events.completeStep('fetch_rates');
+}
+
+/**
+ * Build the time-series response: the daily rate between two dates with min/max/average
+ */
+async function convertTimeSeries({ amount, fromCurrency, toCurrency, startDate, endDate, events, rateProvider, request }) {
+  events.startStep('fetch_rates', `Fetching exchange rates from ${startDate} to ${endDate}...`);
+
+  const { value: { series, provider }, cached, age } = await responseCache.fetch(
+    'currency:series',
+    `${fromCurrency}:${toCurrency}:${startDate}:${endDate}`,
+    (shared) => rateProvider.getRateSeries(fromCurrency, toCurrency, startDate, endDate, shared),
+    { provider: rateProvider, request }
+  );
+
+  throwIfAborted(request.signal);
+  completeFetch(events, { cached, age });
+
+  if (series.length === 0) {
+    throw createToolError(
+      'UNSUPPORTED_CURRENCY',
+      `No ${fromCurrency} to ${toCurrency} rates were published between ${startDate} and ${endDate}`
+    );
+  }
+
+  events.startStep('convert', `Summarising ${series.length} daily rates...`);
+
+  const rates = series.map((entry) => ({
+    date: entry.date,
+    rate: entry.rate,
+    amount: multiplyAndRound(amount, entry.rate, getCurrency(toCurrency).minorUnits)
+  }));
+
+  events.completeStep('convert', `Time series complete!`);
+
+  return JSON.stringify({
+    data: {
+      amount,
+      fromCurrency,
+      toCurrency,
+      startDate,
+      endDate,
+      rates,
+      statistics: summarizeSeries(series),
+      timestamp: new Date().toISOString(),
+      lastUpdated: new Date(`${series[series.length - 1].date}T00:00:00Z`).toISOString(),
+      provider,
+      cached,
+      cacheAge: age
+    }
+  });
+}
+
+/**
+ * Load the rate table for a base currency, from the cache when it is still fresh
+ * Historical tables are limited to the requested targets, which Frankfurter takes as a comma-separated list
+ */
+function loadRates({ provider, fromCurrency, targets, date, request }) {
+  if (date) {
+    const toCurrency = targets.join(',');
+    return responseCache.fetch(
+      'currency:historical',
+      `${fromCurrency}:${toCurrency}:${date}`,
+      (shared) => provider.getHistoricalRates(fromCurrency, toCurrency, date, shared),
+      { provider, request }
+    );
+  }
+
+  return responseCache.fetch(
+    'currency:latest',
+    fromCurrency,
+    (shared) => provider.getLatestRates(fromCurrency, shared),
+    { provider, request }
+  );
+}
+
+/**
+ * Convert an amount into one target currency with a loaded rate table
+ */
+function convertWithRates(amount, fromCurrency, toCurrency, exchangeRateData, locale) {
+  // Check if the target currency is supported
+  if (!exchangeRateData.rates[toCurrency]) {
+    throw createToolError('UNSUPPORTED_CURRENCY', `Conversion to ${toCurrency} is not supported`);
+  }
+
+  const rate = exchangeRateData.rates[toCurrency];
+  const { name, symbol, minorUnits } = getCurrency(toCurrency);
+
+  // Round the exact product to the target currency's minor units, e.g. 0 for JPY and 3 for KWD
+  const convertedAmount = multiplyAndRound(amount, rate, minorUnits);
+
+  return {
+    amount: convertedAmount,
+    fromCurrency,
+    toCurrency,
+    rate,
+    equivalentString: `${amount} ${fromCurrency} = ${convertedAmount} ${toCurrency}`,
+    formatted: formatCurrency(convertedAmount, toCurrency, locale),
+    currency: { name, symbol, minorUnits }
+  };
+}
+
+/**
+ * Convert one `{ amount, fromCurrency, toCurrency }` request with a loaded rate table
+ * A single target converts directly; a list of targets reports each conversion, or its error, separately
+ */
+function convertRequest({ amount, fromCurrency, toCurrency }, { value: exchangeRateData, cached, age }, { date, locale }) {
+  const metadata = {
+    timestamp: new Date().toISOString(),
+    lastUpdated: exchangeRateData.lastUpdated,
+    provider: exchangeRateData.provider,
+    cached,
+    cacheAge: age
+  };
+
+  // Historical conversions report which day's rate was actually used
+  if (date) {
+    metadata.date = date;
+    metadata.rateDate = exchangeRateData.rateDate;
+  }
+
+  if (!Array.isArray(toCurrency)) {
+    return { ...convertWithRates(amount, fromCurrency, toCurrency, exchangeRateData, locale), ...metadata };
+  }
+
+  const conversions = toCurrency.map((target) => {
+    try {
+      return convertWithRates(amount, fromCurrency, target, exchangeRateData, locale);
+    } catch (error) {
+      return { toCurrency: target, error: toErrorBody(error) };
+    }
+  });
+
+  return { amount, fromCurrency, conversions, ...metadata };
+}
+
+/**
+ * Explain a failed rate fetch; the providers answer 404 when they do not know one of the currencies
+ */
+function rateFetchError(error, fromCurrency, toCurrency) {
+  if (error.response?.status !== 404) {
+    return error;
+  }
+
+  return createToolError(
+    'UNSUPPORTED_CURRENCY',
+    `Conversion from ${fromCurrency} to ${[].concat(toCurrency).join(', ')} is not supported`,
+    { details: error.response.data || null }
+  );
+}
+
+/**
+ * Build the batch response: every item converted, or failed, on its own
+ * Items sharing a base currency share a single rate fetch
+ */
+async function convertBatch({ items, date, locale, events, provider, request }) {
+  // Items naming unknown currencies fail on their own and are left out of the fetches
+  const unknownCurrencyErrors = new Map();
+  const targetsByBase = new Map();
+  for (const [index, item] of items.entries()) {
+    try {
+      checkCurrencies(item.fromCurrency, item.toCurrency);
+    } catch (error) {
+      unknownCurrencyErrors.set(index, error);
+      continue;
+    }
+
+    const targets = targetsByBase.get(item.fromCurrency) || new Set();
+    [].concat(item.toCurrency).forEach((target) => targets.add(target));
+    targetsByBase.set(item.fromCurrency, targets);
+  }
+
+  events.startStep(
+    'fetch_rates',
+    `Fetching ${date ? `exchange rates for ${date}` : 'current exchange rates'} for ${targetsByBase.size} base currencies...`
+  );
+
+  // A failed base only fails the items converting from it
+  const tables = new Map(await Promise.all([...targetsByBase].map(async ([fromCurrency, targets]) => {
+    try {
+      return [fromCurrency, { loaded: await loadRates({ provider, fromCurrency, targets: [...targets], date, request }) }];
+    } catch (error) {
+      return [fromCurrency, { error }];
+    }
+  })));
+
+  // Stop here if the call was cancelled while the rates were loading
+  throwIfAborted(request.signal);
+  const cachedTables = [...tables.values()].filter((table) => table.loaded?.cached).length;
+  events.log('debug', `Using ${cachedTables} of ${tables.size} rate tables from the cache`);
+  events.completeStep('fetch_rates');
+
+  events.startStep('convert', `Converting ${items.length} items...`);
+
+  // Each item is shared as soon as it is converted; failed items are also reported as warnings
+  const results = items.map((item, index) => {
+    const table = tables.get(item.fromCurrency);
+    let result;
+
+    try {
+      if (unknownCurrencyErrors.has(index)) {
+        throw unknownCurrencyErrors.get(index);
+      }
+      if (table.error) {
+        throw rateFetchError(table.error, item.fromCurrency, item.toCurrency);
+      }
+      result = { index, data: convertRequest(item, table.loaded, { date, locale }) };
+    } catch (error) {
+      result = { index, error: toErrorBody(error, { fallbackMessage: 'Failed to convert currency' }) };
+      events.warning(`Item ${index} failed: ${result.error.message}`, { code: result.error.code });
+    }
+
+    events.partialResult('convert', result);
+    return result;
+  });
+
+  events.completeStep('convert', `Batch conversion complete!`);
+
+  const failed = results.filter((result) => result.error).length;
+
+  return JSON.stringify({
+    data: {
+      results,
+      succeeded: results.length - failed,
+      failed,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
 
 /**
  * Currency converter tool executor function
  * This function will be called when the agent uses the convertCurrency tool
  */
-async function convertCurrencyExecutor({
-  amount,
-  fromCurrency,
-  toCurrency,
-  publishToClient,
-}) {
+async function convertCurrencyExecutor({ publishToClient, signal, config, ...args }) {
+  let settings;
   try {
-    // If you want to publish progress or updates to the client
-    if (publishToClient) {
-      publishToClient({
-        type: 'progress',
-        data: {
-          message: `Fetching current exchange rates...`,
-          progress: 25
-        }
-      });
-    }
+    settings = toolConfig.resolve(convertCurrencyTool, config);
+  } catch (error) {
+    return errorResponse(error);
+  }
 
-    // Fetch the latest exchange rates from the API
-    const response = await axios.get(`https://api.exchangerate-api.com/v4/latest/${fromCurrency}`);
-    const exchangeRateData = response.data;
+  // Reject arguments that do not match the declared schema before any request is made
+  const validation = validateArguments(convertCurrencyTool.toolDefinition.function.parameters, args);
+  const violations = validation.valid ? checkArguments(validation.value) : validation.violations;
+  if (violations.length > 0) {
+    return invalidArgumentsResponse(convertCurrencyTool.name, violations);
+  }
 
-    // Check if the API returned data successfully
-    if (!exchangeRateData || !exchangeRateData.rates) {
-      throw new Error('Failed to fetch exchange rates');
-    }
+  // Currency codes are case-insensitive; the locale only affects the formatted amounts
+  const { amount, fromCurrency, toCurrency, items, date, startDate, endDate } = normalizeCurrencies(validation.value);
+  const locale = validation.value.locale || DEFAULT_LOCALE;
+
+  // Report steps, progress and partial results to the client
+  const events = createEventEmitter(publishToClient, CONVERSION_STEPS);
+  const request = {
+    onRetry: reportRetries(publishToClient, 25, 'fetch_rates'),
+    signal,
+    timeout: settings.timeout,
+    proxy: settings.proxy
+  };
+
+  try {
+    const provider = currencyProviders.configured(settings);
 
-    // Check if the target currency is supported
-    if (!exchangeRateData.rates[toCurrency]) {
-      throw new Error(`Conversion to ${toCurrency} is not supported`);
+    // A list of items switches the tool to batch mode
+    if (items !== null) {
+      return await convertBatch({ items, date, locale, events, provider, request });
     }
 
-    // Get the exchange rate for the target currency
-    const rate = exchangeRateData.rates[toCurrency];
+    checkCurrencies(fromCurrency, toCurrency);
 
-    // If you want to publish progress updates
-    if (publishToClient) {
-      publishToClient({
-        type: 'progress',
-        data: {
-          message: `Converting ${amount} ${fromCurrency} to ${toCurrency}...`,
-          progress: 75
-        }
+    // A date range switches the tool to time-series mode
+    if (startDate !== null) {
+      return await convertTimeSeries({
+        amount, fromCurrency, toCurrency, startDate, endDate, events, rateProvider: provider, request
       });
     }
 
-    // Calculate the converted amount
-    const convertedAmount = amount * rate;
+    // If you want to publish progress or updates to the client
+    events.startStep('fetch_rates', date ? `Fetching exchange rates for ${date}...` : `Fetching current exchange rates...`);
 
-    // Format the result to 2 decimal places
-    const formattedAmount = parseFloat(convertedAmount.toFixed(2));
+    // Fetch the latest or historical exchange rates from the configured provider
+    // Rate tables are cached, so repeated conversions from the same base do not refetch them
+    const loaded = await loadRates({
+      provider,
+      fromCurrency,
+      targets: [].concat(toCurrency),
+      date,
+      request
+    });
 
-    // Complete the task
-    if (publishToClient) {
-      publishToClient({
-        type: 'progress',
-        data: {
-          message: `Conversion complete!`,
-          progress: 100
-        }
-      });
+    // Stop here if the call was cancelled while the rates were loading
+    throwIfAborted(signal);
+    completeFetch(events, loaded);
+
+    // If you want to publish progress updates
+    events.startStep('convert', `Converting ${amount} ${fromCurrency} to ${[].concat(toCurrency).join(', ')}...`);
+
+    const result = convertRequest({ amount, fromCurrency, toCurrency }, loaded, { date, locale });
+
+    // Targets the provider has no rate for do not fail the call, but the client should know
+    for (const conversion of result.conversions || []) {
+      if (conversion.error) {
+        events.warning(conversion.error.message, { code: conversion.error.code });
+      }
     }
 
+    // Complete the task
+    events.completeStep('convert', `Conversion complete!`);
+
     // Return the result as a JSON string
     return JSON.stringify({
-      data: {
-        amount: formattedAmount,
-        fromCurrency,
-        toCurrency,
-        rate,
-        equivalentString: `${amount} ${fromCurrency} = ${formattedAmount} ${toCurrency}`,
-        timestamp: new Date().toISOString(),
-        lastUpdated: exchangeRateData.time_last_updated
-          ? new Date(exchangeRateData.time_last_updated * 1000).toISOString()
-          : null,
-        provider: exchangeRateData.provider || 'Exchange Rate API'
-      }
+      data: result
     });
   } catch (error) {
-    console.error('Currency conversion error:', error);
-
-    // Handle errors and return them as a structured JSON response
-    return JSON.stringify({
-      error: {
-        message: error.message || 'Failed to convert currency',
-        details: error.response?.data || null
-      }
+    // Map the failure onto the shared error taxonomy and return it as a structured JSON response
+    return errorResponse(rateFetchError(error, fromCurrency, toCurrency), {
+      signal,
+      fallbackMessage: 'Failed to convert currency'
     });
   }
 }
 
+// Largest batch accepted in one call
+const MAX_BATCH_ITEMS = 50;
+
+// Three-letter ISO 4217 codes, in any case
+const CURRENCY_CODE_PATTERN = '^[A-Za-z]{3}$';
+
+// A target currency code, or a list of them
+const targetCurrencySchema = {
+  type: ['string', 'array'],
+  pattern: CURRENCY_CODE_PATTERN,
+  items: { type: 'string', pattern: CURRENCY_CODE_PATTERN },
+  minItems: 1,
+  maxItems: MAX_BATCH_ITEMS,
+};
+
 /**
  * Currency converter tool definition
  * This follows the ToolDefinition interface from @agentframework/core
@@ -110,29 +495,107 @@ const convertCurrencyTool = {
     type: 'function',
     function: {
       name: 'convert-currency',
-      description: 'Convert an amount from one currency to another using current exchange rates',
+      description: 'Convert an amount from one currency into one or several others using current or historical exchange rates, convert a batch of amounts in one call, or get the daily rate between two dates',
       strict: true,
       parameters: {
         type: 'object',
         properties: {
           amount: {
-            type: 'number',
-            description: 'The amount of money to convert',
+            type: ['number', 'null'],
+            description: 'The amount of money to convert, or null when converting a batch of items',
+            minimum: 0,
+            default: null,
           },
           fromCurrency: {
-            type: 'string',
-            description: 'The source currency code (e.g., USD, EUR, GBP)',
+            type: ['string', 'null'],
+            description: 'The source ISO 4217 currency code (e.g., USD, EUR, GBP), or null when converting a batch of items',
+            pattern: CURRENCY_CODE_PATTERN,
+            default: null,
           },
           toCurrency: {
-            type: 'string',
-            description: 'The target currency code (e.g., USD, EUR, GBP)',
+            ...targetCurrencySchema,
+            type: ['string', 'array', 'null'],
+            description: 'The target ISO 4217 currency code (e.g., USD, EUR, GBP), a list of codes to convert into several currencies at once, or null when converting a batch of items',
+            default: null,
+          },
+          items: {
+            type: ['array', 'null'],
+            description: 'A batch of conversions to run in one call, or null for a single conversion. Items with the same fromCurrency share one rate lookup',
+            minItems: 1,
+            maxItems: MAX_BATCH_ITEMS,
+            items: {
+              type: 'object',
+              properties: {
+                amount: {
+                  type: 'number',
+                  description: 'The amount of money to convert',
+                  minimum: 0,
+                },
+                fromCurrency: {
+                  type: 'string',
+                  description: 'The source currency code',
+                  pattern: CURRENCY_CODE_PATTERN,
+                },
+                toCurrency: {
+                  ...targetCurrencySchema,
+                  description: 'The target currency code, or a list of codes',
+                },
+              },
+              required: ['amount', 'fromCurrency', 'toCurrency'],
+              additionalProperties: false,
+            },
+            default: null,
+          },
+          locale: {
+            type: ['string', 'null'],
+            description: `BCP 47 locale for the formatted amounts (e.g., en-US, de-DE, ja-JP), or null for ${DEFAULT_LOCALE}`,
+            default: null,
+          },
+          date: {
+            type: ['string', 'null'],
+            description: 'Convert using the rate on this date (YYYY-MM-DD), or null for the latest rate',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            default: null,
+          },
+          startDate: {
+            type: ['string', 'null'],
+            description: 'First day of a daily rate time series (YYYY-MM-DD), or null for a single conversion',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            default: null,
+          },
+          endDate: {
+            type: ['string', 'null'],
+            description: 'Last day of a daily rate time series (YYYY-MM-DD), or null for a single conversion',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            default: null,
           },
         },
-        required: ['amount', 'fromCurrency', 'toCurrency'],
+        required: ['amount', 'fromCurrency', 'toCurrency', 'items', 'locale', 'date', 'startDate', 'endDate'],
         additionalProperties: false,
       },
     },
   },
+  configSchema: {
+    type: 'object',
+    properties: {
+      ...CONNECTION_SETTINGS,
+      baseUrl: {
+        type: ['string', 'null'],
+        description: 'Base URL of the provider API, e.g. a self-hosted Frankfurter, or null for the public one',
+        pattern: '^https?://',
+        default: null,
+      },
+      apiKey: {
+        type: ['string', 'null'],
+        description: 'API key for the paid Exchange Rate API plans, or null for the free endpoint',
+        minLength: 1,
+        secret: true,
+        default: null,
+      },
+    },
+    additionalProperties: false,
+  },
+  steps: CONVERSION_STEPS,
   executor: convertCurrencyExecutor,
 };
 
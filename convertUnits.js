@@ -0,0 +1,168 @@
+/**
+ * Unit Conversion Tool
+ * Converts values between units of length, mass, volume, temperature, speed, pressure, area and data size
+ */
+
+const { validateArguments, invalidArgumentsResponse } = require('./argumentValidator');
+const { errorResponse } = require('./toolErrors');
+const { createEventEmitter } = require('./toolEvents');
+const { DIMENSIONS, findUnit, toBase, convertValue } = require('./units');
+const { toolConfig } = require('./toolConfig');
+
+// Most decimal places a caller may ask for
+const MAX_PRECISION = 12;
+
+// The steps every conversion reports through publishToClient, with the progress reached when each starts
+const UNIT_CONVERSION_STEPS = [
+  { id: 'convert', description: 'Look the units up, check their dimensions and convert the value', progress: 0 },
+];
+
+/**
+ * Resolve a unit argument, adding a violation when it is unknown or ambiguous
+ */
+function resolveUnit(field, spelling, violations) {
+  const found = findUnit(spelling);
+
+  if (!found) {
+    violations.push({ field, message: 'Is not a supported unit' });
+    return null;
+  }
+  if (found.ambiguous) {
+    violations.push({ field, message: `Is ambiguous; use one of: ${found.ambiguous.join(', ')}` });
+    return null;
+  }
+  return found.unit;
+}
+
+/**
+ * Check what the schema cannot express: that both units exist, measure the same dimension,
+ * that temperatures are not below absolute zero and that the result fits in a number
+ * Returns { violations, from, to }
+ */
+function checkArguments({ value, fromUnit, toUnit }) {
+  const violations = [];
+  const from = resolveUnit('fromUnit', fromUnit, violations);
+  const to = resolveUnit('toUnit', toUnit, violations);
+
+  if (from && to && from.dimension !== to.dimension) {
+    violations.push({
+      field: 'toUnit',
+      message: `Measures ${to.dimension} and cannot be converted from ${from.symbol}, which measures ${from.dimension}`
+    });
+  }
+  if (from && from.dimension === 'temperature' && toBase(value, from) < 0) {
+    violations.push({ field: 'value', message: 'Is below absolute zero' });
+  }
+  if (violations.length === 0 && !Number.isFinite(toBase(value, from) / to.factor - to.offset)) {
+    violations.push({ field: 'value', message: 'Result is out of range' });
+  }
+
+  return { violations, from, to };
+}
+
+/**
+ * Unit conversion executor function
+ */
+async function convertUnitsExecutor({ publishToClient, signal, config, ...args }) {
+  let settings;
+  try {
+    settings = toolConfig.resolve(convertUnitsTool, config);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  // Reject arguments that do not match the declared schema
+  const validation = validateArguments(convertUnitsTool.toolDefinition.function.parameters, args);
+  const checked = validation.valid ? checkArguments(validation.value) : { violations: validation.violations };
+  if (checked.violations.length > 0) {
+    return invalidArgumentsResponse(convertUnitsTool.name, checked.violations);
+  }
+
+  // A precision left out or null, as strict callers send it, comes from the configuration
+  const { value } = validation.value;
+  const precision = validation.value.precision ?? settings.precision;
+  const { from, to } = checked;
+
+  try {
+    const events = createEventEmitter(publishToClient, UNIT_CONVERSION_STEPS);
+    events.startStep('convert', `Converting ${value} ${from.symbol} to ${to.symbol}...`);
+
+    const result = convertValue(value, from, to, precision);
+
+    events.completeStep('convert', `Conversion complete!`);
+
+    return JSON.stringify({
+      data: {
+        value,
+        fromUnit: from.symbol,
+        toUnit: to.symbol,
+        result,
+        dimension: from.dimension,
+        precision,
+        equivalentString: `${value} ${from.symbol} = ${result} ${to.symbol}`,
+        fromUnitName: from.name,
+        toUnitName: to.name
+      }
+    });
+  } catch (error) {
+    return errorResponse(error, { signal, fallbackMessage: 'Failed to convert units' });
+  }
+}
+
+// Tool definition for unit conversion
+const convertUnitsTool = {
+  name: 'convert-units',
+  toolDefinition: {
+    type: 'function',
+    function: {
+      name: 'convert-units',
+      description: `Convert a value between units of the same dimension (${DIMENSIONS.join(', ')}), e.g. miles to kilometres, °F to °C, pounds to kilograms or gallons to litres. Use this instead of doing unit arithmetic yourself`,
+      strict: true,
+      parameters: {
+        type: 'object',
+        properties: {
+          value: {
+            type: 'number',
+            description: 'The value to convert',
+          },
+          fromUnit: {
+            type: 'string',
+            description: 'The unit of the value, as a symbol or name (e.g., mi, km, °F, C, lb, kg, gal, L, mph, hPa, acre, GiB)',
+          },
+          toUnit: {
+            type: 'string',
+            description: 'The unit to convert into; it must measure the same dimension as fromUnit',
+          },
+          precision: {
+            type: ['integer', 'null'],
+            description: `Decimal places to round the result to, or null for the configured default (up to 10 significant digits unless configured otherwise)`,
+            minimum: 0,
+            maximum: MAX_PRECISION,
+            default: null,
+          },
+        },
+        required: ['value', 'fromUnit', 'toUnit', 'precision'],
+        additionalProperties: false,
+      },
+    },
+  },
+  configSchema: {
+    type: 'object',
+    properties: {
+      precision: {
+        type: ['integer', 'null'],
+        description: 'Decimal places used when a call does not choose them, or null for up to 10 significant digits',
+        minimum: 0,
+        maximum: MAX_PRECISION,
+        default: null,
+      },
+    },
+    additionalProperties: false,
+  },
+  steps: UNIT_CONVERSION_STEPS,
+  executor: convertUnitsExecutor,
+};
+
+module.exports = {
+  convertUnitsTool,
+};
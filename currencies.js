@@ -0,0 +1,278 @@
+/**
+ * Currencies
+ * ISO 4217 table of circulating currencies with their names, symbols and minor units,
+ * plus helpers to normalise codes and format amounts for a locale
+ */
+
+const DEFAULT_LOCALE = 'en-US';
+
+// code: [name, symbol, minor units (digits after the decimal separator)]
+const ISO_4217 = {
+  AED: ['UAE Dirham', 'د.إ', 2],
+  AFN: ['Afghani', '؋', 2],
+  ALL: ['Lek', 'L', 2],
+  AMD: ['Armenian Dram', '֏', 2],
+  ANG: ['Netherlands Antillean Guilder', 'ƒ', 2],
+  AOA: ['Kwanza', 'Kz', 2],
+  ARS: ['Argentine Peso', '$', 2],
+  AUD: ['Australian Dollar', 'A$', 2],
+  AWG: ['Aruban Florin', 'ƒ', 2],
+  AZN: ['Azerbaijan Manat', '₼', 2],
+  BAM: ['Convertible Mark', 'KM', 2],
+  BBD: ['Barbados Dollar', '$', 2],
+  BDT: ['Taka', '৳', 2],
+  BGN: ['Bulgarian Lev', 'лв', 2],
+  BHD: ['Bahraini Dinar', '.د.ب', 3],
+  BIF: ['Burundi Franc', 'FBu', 0],
+  BMD: ['Bermudian Dollar', '$', 2],
+  BND: ['Brunei Dollar', '$', 2],
+  BOB: ['Boliviano', 'Bs', 2],
+  BRL: ['Brazilian Real', 'R$', 2],
+  BSD: ['Bahamian Dollar', '$', 2],
+  BTN: ['Ngultrum', 'Nu.', 2],
+  BWP: ['Pula', 'P', 2],
+  BYN: ['Belarusian Ruble', 'Br', 2],
+  BZD: ['Belize Dollar', '$', 2],
+  CAD: ['Canadian Dollar', 'CA$', 2],
+  CDF: ['Congolese Franc', 'FC', 2],
+  CHF: ['Swiss Franc', 'CHF', 2],
+  CLP: ['Chilean Peso', '$', 0],
+  CNY: ['Yuan Renminbi', '¥', 2],
+  COP: ['Colombian Peso', '$', 2],
+  CRC: ['Costa Rican Colon', '₡', 2],
+  CUP: ['Cuban Peso', '$', 2],
+  CVE: ['Cabo Verde Escudo', '$', 2],
+  CZK: ['Czech Koruna', 'Kč', 2],
+  DJF: ['Djibouti Franc', 'Fdj', 0],
+  DKK: ['Danish Krone', 'kr', 2],
+  DOP: ['Dominican Peso', '$', 2],
+  DZD: ['Algerian Dinar', 'د.ج', 2],
+  EGP: ['Egyptian Pound', 'E£', 2],
+  ERN: ['Nakfa', 'Nfk', 2],
+  ETB: ['Ethiopian Birr', 'Br', 2],
+  EUR: ['Euro', '€', 2],
+  FJD: ['Fiji Dollar', '$', 2],
+  FKP: ['Falkland Islands Pound', '£', 2],
+  GBP: ['Pound Sterling', '£', 2],
+  GEL: ['Lari', '₾', 2],
+  GHS: ['Ghana Cedi', '₵', 2],
+  GIP: ['Gibraltar Pound', '£', 2],
+  GMD: ['Dalasi', 'D', 2],
+  GNF: ['Guinean Franc', 'FG', 0],
+  GTQ: ['Quetzal', 'Q', 2],
+  GYD: ['Guyana Dollar', '$', 2],
+  HKD: ['Hong Kong Dollar', 'HK$', 2],
+  HNL: ['Lempira', 'L', 2],
+  HTG: ['Gourde', 'G', 2],
+  HUF: ['Forint', 'Ft', 2],
+  IDR: ['Rupiah', 'Rp', 2],
+  ILS: ['New Israeli Sheqel', '₪', 2],
+  INR: ['Indian Rupee', '₹', 2],
+  IQD: ['Iraqi Dinar', 'ع.د', 3],
+  IRR: ['Iranian Rial', '﷼', 2],
+  ISK: ['Iceland Krona', 'kr', 0],
+  JMD: ['Jamaican Dollar', '$', 2],
+  JOD: ['Jordanian Dinar', 'د.ا', 3],
+  JPY: ['Yen', '¥', 0],
+  KES: ['Kenyan Shilling', 'KSh', 2],
+  KGS: ['Som', 'с', 2],
+  KHR: ['Riel', '៛', 2],
+  KMF: ['Comorian Franc', 'CF', 0],
+  KPW: ['North Korean Won', '₩', 2],
+  KRW: ['Won', '₩', 0],
+  KWD: ['Kuwaiti Dinar', 'د.ك', 3],
+  KYD: ['Cayman Islands Dollar', '$', 2],
+  KZT: ['Tenge', '₸', 2],
+  LAK: ['Lao Kip', '₭', 2],
+  LBP: ['Lebanese Pound', 'ل.ل', 2],
+  LKR: ['Sri Lanka Rupee', 'Rs', 2],
+  LRD: ['Liberian Dollar', '$', 2],
+  LSL: ['Loti', 'L', 2],
+  LYD: ['Libyan Dinar', 'ل.د', 3],
+  MAD: ['Moroccan Dirham', 'د.م.', 2],
+  MDL: ['Moldovan Leu', 'L', 2],
+  MGA: ['Malagasy Ariary', 'Ar', 2],
+  MKD: ['Denar', 'ден', 2],
+  MMK: ['Kyat', 'K', 2],
+  MNT: ['Tugrik', '₮', 2],
+  MOP: ['Pataca', 'MOP$', 2],
+  MRU: ['Ouguiya', 'UM', 2],
+  MUR: ['Mauritius Rupee', '₨', 2],
+  MVR: ['Rufiyaa', 'Rf', 2],
+  MWK: ['Malawi Kwacha', 'MK', 2],
+  MXN: ['Mexican Peso', 'MX$', 2],
+  MYR: ['Malaysian Ringgit', 'RM', 2],
+  MZN: ['Mozambique Metical', 'MT', 2],
+  NAD: ['Namibia Dollar', '$', 2],
+  NGN: ['Naira', '₦', 2],
+  NIO: ['Cordoba Oro', 'C$', 2],
+  NOK: ['Norwegian Krone', 'kr', 2],
+  NPR: ['Nepalese Rupee', '₨', 2],
+  NZD: ['New Zealand Dollar', 'NZ$', 2],
+  OMR: ['Rial Omani', 'ر.ع.', 3],
+  PAB: ['Balboa', 'B/.', 2],
+  PEN: ['Sol', 'S/', 2],
+  PGK: ['Kina', 'K', 2],
+  PHP: ['Philippine Peso', '₱', 2],
+  PKR: ['Pakistan Rupee', '₨', 2],
+  PLN: ['Zloty', 'zł', 2],
+  PYG: ['Guarani', '₲', 0],
+  QAR: ['Qatari Rial', 'ر.ق', 2],
+  RON: ['Romanian Leu', 'lei', 2],
+  RSD: ['Serbian Dinar', 'дин.', 2],
+  RUB: ['Russian Ruble', '₽', 2],
+  RWF: ['Rwanda Franc', 'FRw', 0],
+  SAR: ['Saudi Riyal', 'ر.س', 2],
+  SBD: ['Solomon Islands Dollar', '$', 2],
+  SCR: ['Seychelles Rupee', '₨', 2],
+  SDG: ['Sudanese Pound', 'ج.س.', 2],
+  SEK: ['Swedish Krona', 'kr', 2],
+  SGD: ['Singapore Dollar', 'S$', 2],
+  SHP: ['Saint Helena Pound', '£', 2],
+  SLE: ['Leone', 'Le', 2],
+  SOS: ['Somali Shilling', 'Sh', 2],
+  SRD: ['Surinam Dollar', '$', 2],
+  SSP: ['South Sudanese Pound', '£', 2],
+  STN: ['Dobra', 'Db', 2],
+  SVC: ['El Salvador Colon', '₡', 2],
+  SYP: ['Syrian Pound', '£', 2],
+  SZL: ['Lilangeni', 'L', 2],
+  THB: ['Baht', '฿', 2],
+  TJS: ['Somoni', 'SM', 2],
+  TMT: ['Turkmenistan New Manat', 'm', 2],
+  TND: ['Tunisian Dinar', 'د.ت', 3],
+  TOP: ['Pa’anga', 'T$', 2],
+  TRY: ['Turkish Lira', '₺', 2],
+  TTD: ['Trinidad and Tobago Dollar', '$', 2],
+  TWD: ['New Taiwan Dollar', 'NT$', 2],
+  TZS: ['Tanzanian Shilling', 'TSh', 2],
+  UAH: ['Hryvnia', '₴', 2],
+  UGX: ['Uganda Shilling', 'USh', 0],
+  USD: ['US Dollar', '$', 2],
+  UYU: ['Peso Uruguayo', '$', 2],
+  UZS: ['Uzbekistan Sum', 'soʻm', 2],
+  VES: ['Bolívar Soberano', 'Bs.S', 2],
+  VND: ['Dong', '₫', 0],
+  VUV: ['Vatu', 'VT', 0],
+  WST: ['Tala', 'WS$', 2],
+  XAF: ['CFA Franc BEAC', 'FCFA', 0],
+  XCD: ['East Caribbean Dollar', 'EC$', 2],
+  XOF: ['CFA Franc BCEAO', 'CFA', 0],
+  XPF: ['CFP Franc', '₣', 0],
+  YER: ['Yemeni Rial', '﷼', 2],
+  ZAR: ['Rand', 'R', 2],
+  ZMW: ['Zambian Kwacha', 'ZK', 2],
+  ZWG: ['Zimbabwe Gold', 'ZiG', 2],
+};
+
+// The currency in everyday use in each ISO 3166-1 alpha-2 country or territory, grouped by currency
+const COUNTRIES_BY_CURRENCY = {
+  EUR: ['AD', 'AT', 'AX', 'BE', 'BG', 'BL', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GF', 'GP', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MC', 'ME', 'MF', 'MQ', 'MT', 'NL', 'PM', 'PT', 'RE', 'SI', 'SK', 'SM', 'TF', 'VA', 'XK', 'YT'],
+  USD: ['AS', 'BQ', 'EC', 'FM', 'GU', 'IO', 'MH', 'MP', 'PR', 'PW', 'SV', 'TC', 'TL', 'UM', 'US', 'VG', 'VI'],
+  AUD: ['AU', 'CC', 'CX', 'HM', 'KI', 'NF', 'NR', 'TV'],
+  NZD: ['CK', 'NU', 'NZ', 'PN', 'TK'],
+  GBP: ['GB', 'GG', 'GS', 'IM', 'JE'],
+  XCD: ['AG', 'AI', 'DM', 'GD', 'KN', 'LC', 'MS', 'VC'],
+  XOF: ['BF', 'BJ', 'CI', 'GW', 'ML', 'NE', 'SN', 'TG'],
+  XAF: ['CF', 'CG', 'CM', 'GA', 'GQ', 'TD'],
+  XPF: ['NC', 'PF', 'WF'],
+  DKK: ['DK', 'FO', 'GL'],
+  NOK: ['BV', 'NO', 'SJ'],
+  CHF: ['CH', 'LI'],
+  ANG: ['CW', 'SX'],
+  MAD: ['EH', 'MA'],
+  ILS: ['IL', 'PS'],
+};
+
+// Countries whose currency is used nowhere else
+const SINGLE_COUNTRY_CURRENCIES = {
+  AE: 'AED', AF: 'AFN', AL: 'ALL', AM: 'AMD', AO: 'AOA', AR: 'ARS', AW: 'AWG', AZ: 'AZN', BA: 'BAM', BB: 'BBD',
+  BD: 'BDT', BH: 'BHD', BI: 'BIF', BM: 'BMD', BN: 'BND', BO: 'BOB', BR: 'BRL', BS: 'BSD', BT: 'BTN', BW: 'BWP',
+  BY: 'BYN', BZ: 'BZD', CA: 'CAD', CD: 'CDF', CL: 'CLP', CN: 'CNY', CO: 'COP', CR: 'CRC', CU: 'CUP', CV: 'CVE',
+  CZ: 'CZK', DJ: 'DJF', DO: 'DOP', DZ: 'DZD', EG: 'EGP', ER: 'ERN', ET: 'ETB', FJ: 'FJD', FK: 'FKP', GE: 'GEL',
+  GH: 'GHS', GI: 'GIP', GM: 'GMD', GN: 'GNF', GT: 'GTQ', GY: 'GYD', HK: 'HKD', HN: 'HNL', HT: 'HTG', HU: 'HUF',
+  ID: 'IDR', IN: 'INR', IQ: 'IQD', IR: 'IRR', IS: 'ISK', JM: 'JMD', JO: 'JOD', JP: 'JPY', KE: 'KES', KG: 'KGS',
+  KH: 'KHR', KM: 'KMF', KP: 'KPW', KR: 'KRW', KW: 'KWD', KY: 'KYD', KZ: 'KZT', LA: 'LAK', LB: 'LBP', LK: 'LKR',
+  LR: 'LRD', LS: 'LSL', LY: 'LYD', MD: 'MDL', MG: 'MGA', MK: 'MKD', MM: 'MMK', MN: 'MNT', MO: 'MOP', MR: 'MRU',
+  MU: 'MUR', MV: 'MVR', MW: 'MWK', MX: 'MXN', MY: 'MYR', MZ: 'MZN', NA: 'NAD', NG: 'NGN', NI: 'NIO', NP: 'NPR',
+  OM: 'OMR', PA: 'PAB', PE: 'PEN', PG: 'PGK', PH: 'PHP', PK: 'PKR', PL: 'PLN', PY: 'PYG', QA: 'QAR', RO: 'RON',
+  RS: 'RSD', RU: 'RUB', RW: 'RWF', SA: 'SAR', SB: 'SBD', SC: 'SCR', SD: 'SDG', SE: 'SEK', SG: 'SGD', SH: 'SHP',
+  SL: 'SLE', SO: 'SOS', SR: 'SRD', SS: 'SSP', ST: 'STN', SY: 'SYP', SZ: 'SZL', TH: 'THB', TJ: 'TJS', TM: 'TMT',
+  TN: 'TND', TO: 'TOP', TR: 'TRY', TT: 'TTD', TW: 'TWD', TZ: 'TZS', UA: 'UAH', UG: 'UGX', UY: 'UYU', UZ: 'UZS',
+  VE: 'VES', VN: 'VND', VU: 'VUV', WS: 'WST', YE: 'YER', ZA: 'ZAR', ZM: 'ZMW', ZW: 'ZWG',
+};
+
+const COUNTRY_CURRENCIES = {
+  ...SINGLE_COUNTRY_CURRENCIES,
+  ...Object.fromEntries(Object.entries(COUNTRIES_BY_CURRENCY)
+    .flatMap(([currency, countries]) => countries.map((country) => [country, currency]))),
+};
+
+/**
+ * Normalise a currency code for lookup, e.g. " usd " → "USD"
+ */
+function normalizeCurrencyCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+/**
+ * Look up a currency by code, or null when it is not an ISO 4217 currency in circulation
+ */
+function getCurrency(code) {
+  const normalized = normalizeCurrencyCode(code);
+  const entry = ISO_4217[normalized];
+
+  if (!entry) {
+    return null;
+  }
+
+  const [name, symbol, minorUnits] = entry;
+  return { code: normalized, name, symbol, minorUnits };
+}
+
+/**
+ * Look up the currency used in a country by its ISO 3166-1 alpha-2 code, e.g. "jp" → the Yen
+ * Returns null for unknown countries
+ */
+function currencyForCountry(countryCode) {
+  const currency = typeof countryCode === 'string' ? COUNTRY_CURRENCIES[countryCode.trim().toUpperCase()] : undefined;
+  return currency ? getCurrency(currency) : null;
+}
+
+/**
+ * Check whether a locale tag is well formed and understood by Intl
+ */
+function isValidLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format an amount in a currency for a locale, e.g. 1234.56 EUR in de-DE → "1.234,56 €"
+ * Always shows exactly the currency's minor units
+ */
+function formatCurrency(amount, code, locale = DEFAULT_LOCALE) {
+  const currency = getCurrency(code);
+  const digits = currency ? currency.minorUnits : 2;
+
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: normalizeCurrencyCode(code),
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  ISO_4217,
+  COUNTRY_CURRENCIES,
+  normalizeCurrencyCode,
+  getCurrency,
+  currencyForCountry,
+  isValidLocale,
+  formatCurrency,
+};
@@ -0,0 +1,266 @@
+/**
+ * Currency Providers
+ * Exchange-rate backends for the currency conversion tool
+ *
+ * A currency provider is an object with the methods below. Each method also takes a
+ * trailing `request` object with per-call HTTP options such as `onRetry`.
+ * - name: a label reported as the `provider` of each result
+ * - cacheId: optional, identifies the endpoints and key the provider uses in cached responses' keys
+ * - getLatestRates(base): resolves to { rates, rateDate, lastUpdated, provider }
+ * - getHistoricalRates(fromCurrency, toCurrency, date): resolves to { rates, rateDate, lastUpdated, provider };
+ *   toCurrency may be a comma-separated list of codes
+ * - getRateSeries(fromCurrency, toCurrency, startDate, endDate): resolves to { series: [{ date, rate }], provider }
+ */
+
+const { httpClient } = require('./httpClient');
+const { createProviderRegistry, pickSettings, cacheIdentity } = require('./providerRegistry');
+const { registerSecret } = require('./secrets');
+const { createToolError } = require('./toolErrors');
+const exchangeRateFixtures = require('./fixtures/exchangeRates.json');
+
+/**
+ * Turn a YYYY-MM-DD date into an ISO timestamp at midnight UTC
+ */
+function dateToTimestamp(date) {
+  return new Date(`${date}T00:00:00Z`).toISOString();
+}
+
+/**
+ * Provider for the Exchange Rate API (latest rates only)
+ * Without an `apiKey` it uses the free open endpoint; with one, the v6 endpoint of the paid plans,
+ * which takes the key in the URL path. The key is registered as a secret so that path is masked
+ */
+function createExchangeRateApiProvider(options = {}) {
+  registerSecret(options.apiKey);
+  return buildExchangeRateApiProvider(options);
+}
+
+/**
+ * Build the Exchange Rate API provider; keys from a tool's settings were registered when they were resolved
+ */
+function buildExchangeRateApiProvider(options) {
+  const { apiKey = null } = options;
+  const baseUrl = options.baseUrl || (apiKey ? 'https://v6.exchangerate-api.com/v6' : 'https://api.exchangerate-api.com/v4');
+
+  return {
+    name: 'Exchange Rate API',
+    cacheId: cacheIdentity('Exchange Rate API', { baseUrl, apiKey }),
+
+    withConfig(settings) {
+      return buildExchangeRateApiProvider({ ...options, ...pickSettings(settings, ['baseUrl', 'apiKey']) });
+    },
+
+    async getLatestRates(base, request = {}) {
+      const url = apiKey ? `${baseUrl}/${apiKey}/latest/${base}` : `${baseUrl}/latest/${base}`;
+      const response = await httpClient.get(url, {}, { ...request, provider: 'Exchange Rate API' });
+      const exchangeRateData = response.data;
+
+      // The v6 endpoint reports a bad key in the body
+      if (exchangeRateData?.result === 'error') {
+        const reason = exchangeRateData['error-type'];
+        throw ['invalid-key', 'inactive-account'].includes(reason)
+          ? createToolError('INVALID_CONFIGURATION', `The Exchange Rate API rejected the configured API key (${reason})`)
+          : new Error(`The Exchange Rate API returned an error (${reason})`);
+      }
+
+      // Check if the API returned data successfully
+      const rates = exchangeRateData?.rates || exchangeRateData?.conversion_rates;
+      if (!rates) {
+        throw new Error('Failed to fetch exchange rates');
+      }
+
+      const updatedAt = exchangeRateData.time_last_updated || exchangeRateData.time_last_update_unix;
+      return {
+        rates,
+        rateDate: null,
+        lastUpdated: updatedAt ? new Date(updatedAt * 1000).toISOString() : null,
+        provider: exchangeRateData.provider || 'Exchange Rate API'
+      };
+    },
+
+    async getHistoricalRates() {
+      throw new Error('The Exchange Rate API provider does not support historical rates');
+    },
+
+    async getRateSeries() {
+      throw new Error('The Exchange Rate API provider does not support rate time series');
+    },
+  };
+}
+
+/**
+ * Provider for Frankfurter, which publishes the European Central Bank reference rates
+ * On weekends and holidays it answers with the closest earlier business day
+ */
+function createFrankfurterProvider(options = {}) {
+  const { baseUrl = 'https://api.frankfurter.app' } = options;
+  const provider = 'Frankfurter (European Central Bank)';
+
+  return {
+    name: provider,
+    cacheId: cacheIdentity(provider, { baseUrl }),
+
+    withConfig(settings) {
+      return createFrankfurterProvider({ ...options, ...pickSettings(settings, ['baseUrl']) });
+    },
+
+    async getLatestRates(base, request = {}) {
+      const response = await httpClient.get(`${baseUrl}/latest`, { params: { from: base } }, { ...request, provider });
+      const exchangeRateData = response.data;
+
+      if (!exchangeRateData || !exchangeRateData.rates) {
+        throw new Error('Failed to fetch exchange rates');
+      }
+
+      return {
+        rates: exchangeRateData.rates,
+        rateDate: exchangeRateData.date,
+        lastUpdated: dateToTimestamp(exchangeRateData.date),
+        provider
+      };
+    },
+
+    async getHistoricalRates(fromCurrency, toCurrency, date, request = {}) {
+      const response = await httpClient.get(`${baseUrl}/${date}`, {
+        params: { from: fromCurrency, to: toCurrency }
+      }, { ...request, provider });
+      const exchangeRateData = response.data;
+
+      if (!exchangeRateData || !exchangeRateData.rates) {
+        throw new Error(`Failed to fetch exchange rates for ${date}`);
+      }
+
+      return {
+        rates: exchangeRateData.rates,
+        rateDate: exchangeRateData.date,
+        lastUpdated: dateToTimestamp(exchangeRateData.date),
+        provider
+      };
+    },
+
+    async getRateSeries(fromCurrency, toCurrency, startDate, endDate, request = {}) {
+      const response = await httpClient.get(`${baseUrl}/${startDate}..${endDate}`, {
+        params: { from: fromCurrency, to: toCurrency }
+      }, { ...request, provider });
+      const exchangeRateData = response.data;
+
+      if (!exchangeRateData || !exchangeRateData.rates) {
+        throw new Error(`Failed to fetch exchange rates between ${startDate} and ${endDate}`);
+      }
+
+      return {
+        // The provider keys rates by date, so turn them into a sorted list
+        series: Object.keys(exchangeRateData.rates)
+          .sort()
+          .map((rateDate) => ({ date: rateDate, rate: exchangeRateData.rates[rateDate][toCurrency] }))
+          .filter((entry) => entry.rate !== undefined),
+        provider
+      };
+    },
+  };
+}
+
+/**
+ * Offline provider backed by a fixed rate table, for air-gapped CI and local development
+ * Rates for any base are derived from the fixture's base currency, and every date uses the same table
+ */
+function createFixtureCurrencyProvider(fixtures = exchangeRateFixtures) {
+  const provider = fixtures.provider || 'Offline fixtures';
+
+  // Cross rates against the requested base, e.g. EUR->GBP = (USD->GBP) / (USD->EUR)
+  const ratesFor = (base) => {
+    const baseRate = fixtures.rates[base];
+
+    if (baseRate === undefined) {
+      throw createToolError('UNSUPPORTED_CURRENCY', `Currency ${base} is not in the offline fixtures`);
+    }
+
+    const rates = {};
+    for (const [code, rate] of Object.entries(fixtures.rates)) {
+      rates[code] = parseFloat((rate / baseRate).toFixed(6));
+    }
+    return rates;
+  };
+
+  return {
+    name: provider,
+
+    async getLatestRates(base) {
+      return {
+        rates: ratesFor(base),
+        rateDate: null,
+        lastUpdated: dateToTimestamp(fixtures.date),
+        provider
+      };
+    },
+
+    async getHistoricalRates(fromCurrency, toCurrency, date) {
+      return {
+        rates: ratesFor(fromCurrency),
+        rateDate: date,
+        lastUpdated: dateToTimestamp(date),
+        provider
+      };
+    },
+
+    async getRateSeries(fromCurrency, toCurrency, startDate, endDate) {
+      const rate = ratesFor(fromCurrency)[toCurrency];
+      const series = [];
+
+      // Like the ECB, only publish rates on weekdays
+      const day = new Date(dateToTimestamp(startDate));
+      const lastDay = new Date(dateToTimestamp(endDate));
+
+      while (rate !== undefined && day <= lastDay) {
+        if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+          series.push({ date: day.toISOString().slice(0, 10), rate });
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
+      }
+
+      return { series, provider };
+    },
+  };
+}
+
+const exchangeRateApiProvider = createExchangeRateApiProvider();
+const frankfurterProvider = createFrankfurterProvider();
+
+/**
+ * Combine the Exchange Rate API for latest rates with Frankfurter for historical rates
+ * An API key goes to the Exchange Rate API; a base URL could mean either, so it needs a named provider
+ */
+function createDefaultCurrencyProvider(latest = exchangeRateApiProvider, historical = frankfurterProvider) {
+  return {
+    name: 'default',
+    cacheId: cacheIdentity('default', { latest: latest.cacheId, historical: historical.cacheId }),
+    getLatestRates: latest.getLatestRates,
+    getHistoricalRates: historical.getHistoricalRates,
+    getRateSeries: historical.getRateSeries,
+
+    withConfig(settings) {
+      if (settings.baseUrl) {
+        throw createToolError('INVALID_CONFIGURATION', 'A baseUrl setting needs the provider setting too, since the default provider uses two APIs', {
+          details: { availableProviders: ['exchange-rate-api', 'frankfurter'] }
+        });
+      }
+      return createDefaultCurrencyProvider(latest.withConfig(settings), historical);
+    },
+  };
+}
+
+const defaultCurrencyProvider = createDefaultCurrencyProvider();
+
+const currencyProviders = createProviderRegistry('currency', {
+  default: defaultCurrencyProvider,
+  'exchange-rate-api': exchangeRateApiProvider,
+  frankfurter: frankfurterProvider,
+  fixture: createFixtureCurrencyProvider(),
+}, 'default');
+
+module.exports = {
+  currencyProviders,
+  createExchangeRateApiProvider,
+  createFrankfurterProvider,
+  createFixtureCurrencyProvider,
+};
@@ -0,0 +1,86 @@
+/**
+ * Decimal Math
+ * Exact decimal multiplication and rounding, so money never drifts through binary floating point
+ * Decimals are `{ digits, scale }` pairs meaning digits × 10^-scale, with digits as a BigInt
+ */
+
+/**
+ * Read a finite number as the exact decimal it prints as, e.g. 0.1 → { digits: 1n, scale: 1 }
+ */
+function parseDecimal(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new RangeError(`Cannot read ${value} as a decimal`);
+  }
+
+  // String() gives the shortest form that reads back as the same number, possibly with an exponent
+  const [mantissa, exponent = '0'] = String(value).toLowerCase().split('e');
+  const negative = mantissa.startsWith('-');
+  const [whole, fraction = ''] = mantissa.replace('-', '').split('.');
+
+  let digits = BigInt(`${whole}${fraction}`);
+  let scale = fraction.length - Number(exponent);
+
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+
+  return { digits: negative ? -digits : digits, scale };
+}
+
+/**
+ * Multiply two numbers exactly
+ */
+function multiplyDecimals(left, right) {
+  const a = parseDecimal(left);
+  const b = parseDecimal(right);
+
+  return { digits: a.digits * b.digits, scale: a.scale + b.scale };
+}
+
+/**
+ * Write a decimal as a plain string such as "-12.050"
+ */
+function formatDecimal({ digits, scale }) {
+  const negative = digits < 0n;
+  const text = (negative ? -digits : digits).toString().padStart(scale + 1, '0');
+  const whole = text.slice(0, text.length - scale);
+  const fraction = scale > 0 ? `.${text.slice(text.length - scale)}` : '';
+
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
+
+/**
+ * Round a decimal to a number of places, halves away from zero, and return it as a number
+ */
+function roundDecimal({ digits, scale }, places) {
+  if (scale <= places) {
+    return Number(formatDecimal({ digits, scale }));
+  }
+
+  const divisor = 10n ** BigInt(scale - places);
+  const negative = digits < 0n;
+  const magnitude = negative ? -digits : digits;
+  let rounded = magnitude / divisor;
+
+  if ((magnitude % divisor) * 2n >= divisor) {
+    rounded += 1n;
+  }
+
+  return Number(formatDecimal({ digits: negative ? -rounded : rounded, scale: places }));
+}
+
+/**
+ * Multiply two numbers and round the exact product, e.g. an amount by an exchange rate
+ */
+function multiplyAndRound(left, right, places) {
+  return roundDecimal(multiplyDecimals(left, right), places);
+}
+
+module.exports = {
+  parseDecimal,
+  multiplyDecimals,
+  formatDecimal,
+  roundDecimal,
+  multiplyAndRound,
+};
@@ -0,0 +1,155 @@
+/**
+ * Geocoding
+ * Resolves place names to a single place with the weather provider's geocoder,
+ * ranking places that share a name and failing with candidates when the choice is a guess
+ */
+
+const { responseCache } = require('./responseCache');
+const { createToolError } = require('./toolErrors');
+
+// Geocoder matches fetched per search, so that places sharing a name can be ranked
+const GEOCODE_CANDIDATES = 10;
+
+// The most populous match is picked outright when it is this many times larger than the next one
+const DOMINANT_POPULATION_RATIO = 10;
+
+// Ranked candidates returned for an ambiguous location
+const MAX_CANDIDATES = 5;
+
+// Common names for countries that are neither their ISO code nor the geocoder's country name
+const COUNTRY_ALIASES = {
+  uk: 'GB',
+  'great britain': 'GB',
+  britain: 'GB',
+  usa: 'US',
+  'u.s.': 'US',
+  'u.s.a.': 'US',
+  america: 'US',
+  'united states of america': 'US',
+  uae: 'AE',
+  holland: 'NL',
+  'the netherlands': 'NL',
+  'south korea': 'KR',
+  korea: 'KR',
+  'czech republic': 'CZ',
+  russia: 'RU',
+};
+
+const same = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+/**
+ * Split "London, Ontario, Canada" into the place name and the qualifiers after it, one per comma
+ */
+function parseLocationQuery(location) {
+  const [name, ...rest] = location.split(',');
+
+  return {
+    name: name.trim(),
+    qualifiers: rest.map((part) => part.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Check whether one qualifier names the place's country code, country, country alias or region
+ */
+function matchesQualifier(place, qualifier) {
+  return [place.country_code, place.country, place.admin1, place.admin2].some((value) => same(value, qualifier))
+    || same(place.country_code, COUNTRY_ALIASES[qualifier.toLowerCase()]);
+}
+
+/**
+ * Check a geocoder match against the country, region and free-text qualifier filters
+ * Every qualifier must match on its own
+ */
+function matchesFilters(place, { countryCode, admin1, qualifiers = [] }) {
+  if (countryCode && !same(place.country_code, countryCode)) {
+    return false;
+  }
+  if (admin1 && !same(place.admin1, admin1)) {
+    return false;
+  }
+  return qualifiers.every((qualifier) => matchesQualifier(place, qualifier));
+}
+
+/**
+ * Describe a geocoder match so the user can tell it apart from places with the same name
+ */
+function toCandidate(place, index) {
+  return {
+    rank: index + 1,
+    name: place.name,
+    region: place.admin1 || null,
+    country: place.country || null,
+    countryCode: place.country_code || null,
+    population: place.population ?? null,
+    coordinates: {
+      lat: place.latitude,
+      lon: place.longitude
+    },
+    timezone: place.timezone || null
+  };
+}
+
+/**
+ * Order matches by how likely they are meant: exact names first, then the most populous
+ */
+function rankPlaces(places, name) {
+  const exact = places.filter((place) => place.name.toLowerCase() === name.toLowerCase());
+
+  // Exact name matches beat places that merely start with the name
+  return (exact.length > 0 ? exact : places)
+    .slice()
+    .sort((a, b) => (b.population || 0) - (a.population || 0));
+}
+
+/**
+ * Pick the place a location search means, or fail with ranked candidates when that is a guess
+ * Places that match the name but not the qualifiers are offered as candidates rather than reported as not found
+ */
+function pickPlace(places, location, filters) {
+  const ranked = rankPlaces(places.filter((place) => matchesFilters(place, filters)), filters.name);
+
+  if (ranked.length === 0) {
+    const named = rankPlaces(places.filter((place) => matchesFilters(place, { ...filters, qualifiers: [] })), filters.name);
+
+    if (named.length === 0) {
+      throw createToolError('LOCATION_NOT_FOUND', `Location "${location}" not found`);
+    }
+    throw createToolError('AMBIGUOUS_LOCATION', `No place named "${filters.name}" matches "${filters.qualifiers.join(', ')}"; ${named.length} places share the name`, {
+      details: { candidates: named.slice(0, MAX_CANDIDATES).map(toCandidate) }
+    });
+  }
+
+  const [first, second] = ranked;
+  if (!second || (first.population > 0 && first.population >= DOMINANT_POPULATION_RATIO * (second.population || 0))) {
+    return first;
+  }
+
+  throw createToolError('AMBIGUOUS_LOCATION', `Location "${location}" matches ${ranked.length} places`, {
+    details: { candidates: ranked.slice(0, MAX_CANDIDATES).map(toCandidate) }
+  });
+}
+
+/**
+ * Resolve a location such as "Paris" or "Paris, Texas" to one geocoder place, reusing earlier lookups
+ * Resolves to { place, cached, age }; places carry Open-Meteo fields such as `timezone`
+ */
+async function resolveLocation(location, { countryCode = null, admin1 = null, language = 'en', provider, request = {} }) {
+  const filters = { ...parseLocationQuery(location), countryCode, admin1 };
+  const geocoded = await responseCache.fetch(
+    'weather:geocode',
+    `${language}:${(countryCode || '').toUpperCase()}:${filters.name.toLowerCase()}`,
+    (shared) => provider.geocode(filters.name, { count: GEOCODE_CANDIDATES, language, countryCode }, shared),
+    { provider, request }
+  );
+
+  return { place: pickPlace(geocoded.value, location, filters), cached: geocoded.cached, age: geocoded.age };
+}
+
+module.exports = {
+  parseLocationQuery,
+  matchesFilters,
+  toCandidate,
+  pickPlace,
+  resolveLocation,
+};
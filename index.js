@@ -1,14 +1,71 @@
 /**
- * Currency Conversion Tool
- * This example tool converts amounts between different currencies using real exchange rates
+ * Agent Tools
+ * Entry point that collects every tool in this package into a tool registry
  */
 
-// Import the tool from the implementation file
-const { convertCurrencyTool } = require('./convertCurrency');
-const { weatherForecastTool } = require('./weatherForecast');
+const { discoverTools, createToolRegistry } = require('./toolRegistry');
+const { currencyProviders } = require('./currencyProviders');
+const { weatherProviders } = require('./weatherProviders');
+const { responseCache } = require('./responseCache');
+const { weatherAdvisories } = require('./weatherAdvisories');
+const { httpClient } = require('./httpClient');
+const { ERROR_CODES } = require('./toolErrors');
+const { getCurrency, formatCurrency } = require('./currencies');
+const { exportTool, exportTools, parseToolCall, invokeToolCall } = require('./schemaExporters');
+const { EVENT_TYPES, validateEvent, createEventEmitter } = require('./toolEvents');
+const { telemetry, createTelemetry, createJsonLogger, createMemoryMetrics, createRecordingTracer } = require('./telemetry');
+const { toolConfig, createToolConfig } = require('./toolConfig');
+const { registerSecret } = require('./secrets');
+const { createCompositeTool } = require('./toolComposition');
 
-// Re-export the tool so it can be loaded by the ToolLoader
+// Import the tools from their implementation files
+const currencyModule = require('./convertCurrency');
+const unitsModule = require('./convertUnits');
+const weatherModule = require('./weatherForecast');
+const worldTimeModule = require('./worldTime');
+const travelModule = require('./travelBriefing');
+
+const { convertCurrencyTool } = currencyModule;
+const { convertUnitsTool } = unitsModule;
+const { weatherForecastTool } = weatherModule;
+const { worldTimeTool } = worldTimeModule;
+const { travelBriefingTool } = travelModule;
+
+// Register every tool exported by the tool modules
+const registry = createToolRegistry(discoverTools(currencyModule, unitsModule, weatherModule, worldTimeModule, travelModule));
+
+// Re-export the tools and the registry so they can be loaded by agents
 module.exports = {
   convertCurrencyTool,
+  convertUnitsTool,
   weatherForecastTool,
-};
\ No newline at end of file
+  worldTimeTool,
+  travelBriefingTool,
+  registry,
+  createToolRegistry,
+  discoverTools,
+  currencyProviders,
+  weatherProviders,
+  responseCache,
+  weatherAdvisories,
+  httpClient,
+  ERROR_CODES,
+  getCurrency,
+  formatCurrency,
+  exportTool,
+  exportTools,
+  parseToolCall,
+  invokeToolCall,
+  EVENT_TYPES,
+  validateEvent,
+  createEventEmitter,
+  telemetry,
+  createTelemetry,
+  createJsonLogger,
+  createMemoryMetrics,
+  createRecordingTracer,
+  toolConfig,
+  createToolConfig,
+  registerSecret,
+  createCompositeTool,
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * MCP Server
+ * Serves every registered tool over the Model Context Protocol, on stdio or over HTTP with SSE streaming
+ *
+ * Usage:
+ *   node mcpServer.js                 # stdio transport
+ *   node mcpServer.js --http [--port 3000]
+ */
+
+const http = require('http');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { registry: defaultRegistry } = require('./index');
+const { version } = require('./package.json');
+
+const USAGE = `Usage:
+  agent-tools-mcp                         Serve the tools on stdio
+  agent-tools-mcp --http [--port <port>]  Serve the tools over HTTP (port 0-65535, default 3000)`;
+
+/**
+ * Convert a tool's function-calling definition into an MCP tool listing
+ */
+function toMcpTool(tool) {
+  const { description, parameters } = tool.toolDefinition.function;
+
+  return {
+    name: tool.name,
+    description,
+    inputSchema: parameters || { type: 'object', properties: {} },
+  };
+}
+
+/**
+ * Build a publishToClient callback that forwards progress events as MCP progress notifications
+ * MCP requires progress to increase, so repeated values (e.g. retry notices) are not forwarded
+ */
+function progressNotifier(progressToken, sendNotification) {
+  if (progressToken === undefined) {
+    return undefined;
+  }
+
+  let lastProgress = -1;
+
+  return (event) => {
+    const progress = event?.data?.progress;
+
+    if (event?.type !== 'progress' || typeof progress !== 'number' || progress <= lastProgress) {
+      return;
+    }
+
+    lastProgress = progress;
+    sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        total: 100,
+        message: event.data.message,
+      },
+    }).catch(() => {
+      // The client may have gone away; progress is best effort
+    });
+  };
+}
+
+/**
+ * Create an MCP server exposing the tools in a registry
+ */
+function createMcpServer({ registry = defaultRegistry, name = 'agent-tools' } = {}) {
+  const server = new Server({ name, version }, { capabilities: { tools: {} } });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: registry.list().map(toMcpTool),
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name: toolName, arguments: args = {} } = request.params;
+
+    const result = await registry.invoke(toolName, args, {
+      publishToClient: progressNotifier(request.params._meta?.progressToken, extra.sendNotification),
+      signal: extra.signal,
+    });
+
+    // Tools answer with a JSON string holding either `data` or `error`
+    let isError = false;
+    try {
+      isError = Boolean(JSON.parse(result).error);
+    } catch (error) {
+      isError = false;
+    }
+
+    return {
+      content: [{ type: 'text', text: result }],
+      isError,
+    };
+  });
+
+  return server;
+}
+
+/**
+ * Serve the tools over stdio
+ */
+async function startStdioServer(options = {}) {
+  const server = createMcpServer(options);
+  await server.connect(new StdioServerTransport());
+  return server;
+}
+
+/**
+ * Serve the tools over Streamable HTTP, which streams responses as server-sent events
+ * Each request gets its own stateless server and transport
+ */
+function startHttpServer({ port = 3000, path = '/mcp', ...options } = {}) {
+  const httpServer = http.createServer(async (req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const server = createMcpServer(options);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+          jsonrpc: '2.0',
+          error: { code: -32603, message: 'Internal server error' },
+          id: null,
+        }));
+      }
+    }
+  });
+
+  return new Promise((resolve) => {
+    httpServer.listen(port, () => resolve(httpServer));
+  });
+}
+
+/**
+ * Read the transport and port from the command line
+ * Throws when --port is not followed by an integer from 0 to 65535
+ */
+function parseServerArguments(argv) {
+  const portIndex = argv.indexOf('--port');
+  const rawPort = portIndex === -1 ? '3000' : argv[portIndex + 1];
+  const port = Number(rawPort);
+
+  if (rawPort === undefined || !/^\d+$/.test(rawPort) || port > 65535) {
+    throw new Error(`--port must be an integer from 0 to 65535${rawPort === undefined ? '' : `, not "${rawPort}"`}`);
+  }
+
+  return { http: argv.includes('--http'), port };
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  let options;
+  try {
+    options = parseServerArguments(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exit(2);
+  }
+
+  const started = options.http
+    ? startHttpServer({ port: options.port }).then((httpServer) => {
+      // stdout stays free for stdio clients, so log to stderr
+      process.stderr.write(`MCP server listening on http://localhost:${httpServer.address().port}/mcp\n`);
+    })
+    : startStdioServer();
+
+  started.catch((error) => {
+    process.stderr.write(`Failed to start MCP server: ${error.message}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  toMcpTool,
+  parseServerArguments,
+  createMcpServer,
+  startStdioServer,
+  startHttpServer,
+};
@@ -0,0 +1,114 @@
+/**
+ * Provider Registry
+ * Keeps the named backend providers for a tool and tracks which one is in use
+ */
+
+const crypto = require('crypto');
+const { createToolError } = require('./toolErrors');
+
+/**
+ * Copy the settings a provider understands, leaving out those not set
+ */
+function pickSettings(config, keys) {
+  return Object.fromEntries(keys
+    .filter((key) => config[key] !== undefined && config[key] !== null)
+    .map((key) => [key, config[key]]));
+}
+
+/**
+ * Build the `cacheId` of a provider from its name and the endpoints and credentials it uses,
+ * so responses cached for one base URL or API key are never served to another
+ * The settings are hashed to keep keys out of cache backends
+ */
+function cacheIdentity(name, settings) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+  return `${name}#${digest.slice(0, 16)}`;
+}
+
+/**
+ * Create a provider registry for one kind of backend (e.g. currency or weather)
+ * The active provider can be chosen in code with `use`, or through the
+ * AGENT_TOOLS_<KIND>_PROVIDER environment variable. Providers may offer
+ * `withConfig(settings)`, returning a copy that uses a tool's configured base URLs and keys
+ */
+function createProviderRegistry(kind, providers, defaultName) {
+  const providersByName = new Map(Object.entries(providers));
+  const envVar = `AGENT_TOOLS_${kind.toUpperCase()}_PROVIDER`;
+  let selected = null;
+
+  const registry = {
+    envVar,
+
+    /**
+     * Add or replace a named provider
+     */
+    register(name, provider) {
+      providersByName.set(name, provider);
+      return registry;
+    },
+
+    /**
+     * Look a provider up by name
+     * An unknown name, e.g. from AGENT_TOOLS_<KIND>_PROVIDER, is reported as INVALID_CONFIGURATION
+     */
+    get(name) {
+      const provider = providersByName.get(name);
+
+      if (!provider) {
+        throw createToolError(
+          'INVALID_CONFIGURATION',
+          `Unknown ${kind} provider "${name}". Available providers: ${registry.names().join(', ')}`,
+          { details: { availableProviders: registry.names() } }
+        );
+      }
+
+      return provider;
+    },
+
+    names() {
+      return Array.from(providersByName.keys());
+    },
+
+    /**
+     * Select the provider to use, by name or as a provider object
+     * Passing null goes back to the environment or default selection
+     */
+    use(nameOrProvider) {
+      selected = typeof nameOrProvider === 'string' ? registry.get(nameOrProvider) : nameOrProvider;
+      return registry;
+    },
+
+    /**
+     * Get the provider that tool executors should call
+     */
+    current() {
+      if (selected) {
+        return selected;
+      }
+      return registry.get(process.env[envVar] || defaultName);
+    },
+
+    /**
+     * Get the provider for a tool's resolved settings: the one named by `settings.provider`,
+     * or the current one, configured with the settings when it supports them
+     */
+    configured(settings = {}) {
+      if (settings.provider && !providersByName.has(settings.provider)) {
+        throw createToolError('INVALID_CONFIGURATION', `Unknown ${kind} provider "${settings.provider}"`, {
+          details: { availableProviders: registry.names() }
+        });
+      }
+
+      const provider = settings.provider ? registry.get(settings.provider) : registry.current();
+      return typeof provider.withConfig === 'function' ? provider.withConfig(settings) : provider;
+    },
+  };
+
+  return registry;
+}
+
+module.exports = {
+  pickSettings,
+  cacheIdentity,
+  createProviderRegistry,
+};
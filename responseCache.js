@@ -0,0 +1,236 @@
+/**
+ * Response Cache
+ * Caches provider responses such as exchange-rate tables and geocoding results,
+ * so agent loops do not repeat identical upstream requests
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { cancelledError, throwIfAborted } = require('./cancellation');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long each kind of response stays fresh, in milliseconds
+const defaultTtls = {
+  'currency:latest': HOUR,
+  // Published historical rates never change
+  'currency:historical': 30 * DAY,
+  'currency:series': DAY,
+  'weather:geocode': 7 * DAY,
+};
+
+/**
+ * In-memory cache backend, local to the current process
+ */
+function createMemoryCacheBackend() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key);
+    },
+
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * File-backed cache backend that survives restarts and can be shared between processes
+ * Each entry is stored as a JSON file named after a hash of its key
+ */
+function createFileCacheBackend({ directory = path.join(os.tmpdir(), 'agent-tools-cache') } = {}) {
+  const fileFor = (key) => path.join(directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    directory,
+
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        // Guard against hash collisions
+        return entry.key === key ? entry : undefined;
+      } catch (error) {
+        // A missing or corrupt file is a cache miss
+        return undefined;
+      }
+    },
+
+    async set(key, entry) {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ key, ...entry }));
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async clear() {
+      await fs.rm(directory, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Wait for a shared load on behalf of one caller
+ * The caller's own signal only stops its own wait; `abandon` is called once every caller waiting
+ * for the load has given up, which never happens while one of them has no signal
+ */
+function waitForLoad(flight, { signal, onRetry } = {}, abandon) {
+  const waiter = { onRetry };
+  flight.waiters.add(waiter);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      flight.waiters.delete(waiter);
+      if (flight.waiters.size === 0) {
+        abandon(signal.reason);
+      }
+      reject(cancelledError(signal));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    flight.promise.then(resolve, reject).finally(() => {
+      signal?.removeEventListener('abort', onAbort);
+      flight.waiters.delete(waiter);
+    });
+  });
+}
+
+/**
+ * Create a response cache
+ * `ttls` maps a namespace such as 'currency:latest' to a freshness window in milliseconds;
+ * providers may override it with a `cacheTtls` object keyed by the part after the colon
+ */
+function createResponseCache({ backend = createMemoryCacheBackend(), ttls = {} } = {}) {
+  let settings = { backend, ttls: { ...defaultTtls, ...ttls } };
+  const inFlight = new Map();
+
+  const ttlFor = (namespace, provider) => {
+    const operation = namespace.split(':').pop();
+    const providerTtl = provider?.cacheTtls?.[operation];
+    return providerTtl !== undefined ? providerTtl : settings.ttls[namespace] || 0;
+  };
+
+  const forget = (cacheKey, flight) => {
+    if (inFlight.get(cacheKey) === flight) {
+      inFlight.delete(cacheKey);
+    }
+  };
+
+  // Run a load shared by every caller waiting for it, storing its value once it arrives
+  const startLoad = (cacheKey, ttl, load, request) => {
+    const flight = { controller: new AbortController(), waiters: new Set() };
+    inFlight.set(cacheKey, flight);
+
+    // A first caller without a signal keeps waiting to the end, so then the load never needs one
+    const shared = {
+      ...request,
+      onRetry: (retry) => {
+        for (const waiter of flight.waiters) {
+          waiter.onRetry?.(retry);
+        }
+      }
+    };
+    if (request.signal) {
+      shared.signal = flight.controller.signal;
+    }
+
+    // Start once the first caller is listening, since it may abort while the load starts
+    flight.promise = Promise.resolve().then(async () => {
+      try {
+        throwIfAborted(flight.controller.signal);
+        const value = await load(shared);
+
+        if (ttl > 0) {
+          await settings.backend.set(cacheKey, { value, storedAt: Date.now() });
+        }
+
+        return { value, cached: false, age: null };
+      } finally {
+        forget(cacheKey, flight);
+      }
+    });
+
+    // Every caller may have stopped waiting by the time the load fails
+    flight.promise.catch(() => {});
+  };
+
+  const cache = {
+    /**
+     * Replace the backend and/or TTLs
+     */
+    configure({ backend: nextBackend, ttls: nextTtls } = {}) {
+      settings = {
+        backend: nextBackend || settings.backend,
+        ttls: { ...settings.ttls, ...nextTtls },
+      };
+      return cache;
+    },
+
+    /**
+     * Return a fresh cached value for the key, or load, store and return a new one
+     * Concurrent calls for the same key share a single load. `load(request)` is given the first caller's
+     * HTTP options, with a signal of the load's own and an onRetry reporting to every caller still waiting,
+     * so cancelling one call neither cancels the others nor takes their retry events with it.
+     * Entries are kept apart per provider by its `cacheId`, or its name when it has none.
+     * Resolves to { value, cached, age } where age is in seconds (null when freshly loaded)
+     */
+    async fetch(namespace, key, load, { provider, request = {} } = {}) {
+      const ttl = ttlFor(namespace, provider);
+      const cacheKey = `${namespace}:${provider?.cacheId || provider?.name || 'default'}:${key}`;
+
+      if (ttl > 0) {
+        const entry = await settings.backend.get(cacheKey);
+        const age = entry ? Date.now() - entry.storedAt : null;
+
+        if (entry && age < ttl) {
+          return { value: entry.value, cached: true, age: Math.round(age / 1000) };
+        }
+      }
+
+      // Share the pending load with any identical lookup already running
+      throwIfAborted(request.signal);
+      if (!inFlight.has(cacheKey)) {
+        startLoad(cacheKey, ttl, load, request);
+      }
+
+      const flight = inFlight.get(cacheKey);
+      return waitForLoad(flight, request, (reason) => {
+        // Later lookups start a new load rather than joining the abandoned one
+        forget(cacheKey, flight);
+        flight.controller.abort(reason);
+      });
+    },
+
+    async clear() {
+      await settings.backend.clear();
+    },
+  };
+
+  return cache;
+}
+
+// Shared cache used by the tools, in memory unless configured otherwise
+const responseCache = createResponseCache();
+
+module.exports = {
+  responseCache,
+  createResponseCache,
+  createMemoryCacheBackend,
+  createFileCacheBackend,
+  defaultTtls,
+};
@@ -0,0 +1,295 @@
+/**
+ * Schema Exporters
+ * Convert tool definitions into each LLM vendor's tool format,
+ * and parse each vendor's tool-call payload back into executor arguments
+ */
+
+const { createToolError, errorResponse } = require('./toolErrors');
+
+// JSON Schema keywords Gemini's OpenAPI-style schema understands
+const GEMINI_KEYWORDS = [
+  'description', 'enum', 'format', 'items', 'maxItems', 'minItems',
+  'maximum', 'minimum', 'maxLength', 'minLength', 'pattern', 'properties', 'required',
+];
+
+// Keywords that only apply to values of one type, so a union keeps each on its own branch
+const TYPE_KEYWORDS = {
+  string: ['enum', 'format', 'maxLength', 'minLength', 'pattern'],
+  number: ['enum', 'format', 'maximum', 'minimum'],
+  integer: ['enum', 'format', 'maximum', 'minimum'],
+  array: ['items', 'maxItems', 'minItems'],
+  object: ['properties', 'required'],
+};
+
+/**
+ * Copy a schema, dropping the given keywords at every level
+ */
+function omitKeywords(schema, keywords) {
+  if (Array.isArray(schema)) {
+    return schema.map((item) => omitKeywords(item, keywords));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (keywords.includes(key)) {
+      continue;
+    }
+    // Property names are data, not keywords, so only their schemas are cleaned
+    result[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, omitKeywords(property, keywords)]))
+      : omitKeywords(value, keywords);
+  }
+  return result;
+}
+
+/**
+ * Convert a JSON Schema into Gemini's schema dialect
+ * Types are upper-case, `["x", "null"]` unions become `nullable`, unions of several other types become
+ * `anyOf` with one branch per type, and unsupported keywords are dropped
+ */
+function toGeminiSchema(schema) {
+  const result = {};
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const concreteTypes = types.filter((type) => type !== undefined && type !== 'null');
+
+  if (concreteTypes.length > 1) {
+    if (schema.description !== undefined) {
+      result.description = schema.description;
+    }
+    if (types.includes('null')) {
+      result.nullable = true;
+    }
+    result.anyOf = concreteTypes.map((type) => toGeminiSchema({
+      type,
+      ...Object.fromEntries((TYPE_KEYWORDS[type] || [])
+        .filter((keyword) => schema[keyword] !== undefined)
+        .map((keyword) => [keyword, schema[keyword]]))
+    }));
+    return result;
+  }
+
+  if (concreteTypes.length > 0) {
+    result.type = concreteTypes[0].toUpperCase();
+  }
+  if (types.includes('null')) {
+    result.nullable = true;
+  }
+
+  for (const keyword of GEMINI_KEYWORDS) {
+    if (schema[keyword] === undefined) {
+      continue;
+    }
+    if (keyword === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (keyword === 'items') {
+      result.items = toGeminiSchema(schema.items);
+    } else {
+      result[keyword] = schema[keyword];
+    }
+  }
+
+  // Gemini only accepts enums on strings, declared with the enum format; null is expressed by `nullable`
+  if (result.enum && result.type === 'STRING') {
+    result.enum = result.enum.filter((value) => value !== null);
+    result.format = 'enum';
+  } else {
+    delete result.enum;
+  }
+
+  return result;
+}
+
+/**
+ * Read the parts of a tool definition every exporter needs
+ */
+function describe(tool) {
+  const { name, description, parameters, strict } = tool.toolDefinition.function;
+
+  return {
+    name,
+    description,
+    parameters: parameters || { type: 'object', properties: {} },
+    strict: Boolean(strict),
+  };
+}
+
+// Exporters from our function-calling definitions to each vendor's tool format
+const exporters = {
+  /**
+   * OpenAI function calling; strict mode rejects `default`, so it is removed
+   */
+  openai(tool) {
+    const { name, description, parameters, strict } = describe(tool);
+
+    return {
+      type: 'function',
+      function: {
+        name,
+        description,
+        strict,
+        parameters: strict ? omitKeywords(parameters, ['default']) : parameters,
+      },
+    };
+  },
+
+  /**
+   * Anthropic Messages API tools
+   */
+  anthropic(tool) {
+    const { name, description, parameters } = describe(tool);
+
+    return {
+      name,
+      description,
+      input_schema: parameters,
+    };
+  },
+
+  /**
+   * Gemini function declarations
+   */
+  gemini(tool) {
+    const { name, description, parameters } = describe(tool);
+
+    return {
+      name,
+      description,
+      parameters: toGeminiSchema(parameters),
+    };
+  },
+
+  /**
+   * Amazon Bedrock Converse API tool specs
+   */
+  bedrock(tool) {
+    const { name, description, parameters } = describe(tool);
+
+    return {
+      toolSpec: {
+        name,
+        description,
+        inputSchema: { json: parameters },
+      },
+    };
+  },
+};
+
+/**
+ * Parse a JSON-encoded argument string from a tool call
+ */
+function parseArgumentString(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw createToolError('INVALID_ARGUMENT', `Arguments for ${name} are not valid JSON: ${error.message}`);
+  }
+}
+
+// Parsers from each vendor's tool-call payload to { id, name, args }
+const parsers = {
+  /**
+   * `{ id, type: 'function', function: { name, arguments: '<json>' } }`
+   */
+  openai(call) {
+    const { name, arguments: args } = call.function || {};
+    return { id: call.id || null, name, args: parseArgumentString(args, name) };
+  },
+
+  /**
+   * `{ type: 'tool_use', id, name, input }`
+   */
+  anthropic(call) {
+    return { id: call.id || null, name: call.name, args: call.input || {} };
+  },
+
+  /**
+   * `{ functionCall: { id, name, args } }`, or the bare functionCall object
+   */
+  gemini(call) {
+    const functionCall = call.functionCall || call;
+    return { id: functionCall.id || null, name: functionCall.name, args: functionCall.args || {} };
+  },
+
+  /**
+   * `{ toolUse: { toolUseId, name, input } }`, or the bare toolUse object
+   */
+  bedrock(call) {
+    const toolUse = call.toolUse || call;
+    return { id: toolUse.toolUseId || null, name: toolUse.name, args: toolUse.input || {} };
+  },
+};
+
+const VENDORS = Object.keys(exporters);
+
+/**
+ * Look up a vendor's exporter or parser, rejecting unknown vendors
+ */
+function forVendor(table, vendor) {
+  if (!table[vendor]) {
+    throw new Error(`Unknown vendor "${vendor}". Supported vendors: ${VENDORS.join(', ')}`);
+  }
+  return table[vendor];
+}
+
+/**
+ * Convert one tool into a vendor's tool format
+ */
+function exportTool(tool, vendor) {
+  return forVendor(exporters, vendor)(tool);
+}
+
+/**
+ * Convert every tool in a registry into a vendor's tool format
+ */
+function exportTools(registry, vendor) {
+  return registry.list().map((tool) => exportTool(tool, vendor));
+}
+
+/**
+ * Parse a vendor's tool-call payload into `{ id, name, args }`
+ */
+function parseToolCall(vendor, call) {
+  const parsed = forVendor(parsers, vendor)(call || {});
+
+  if (!parsed.name) {
+    throw createToolError('INVALID_ARGUMENT', `The ${vendor} tool call does not name a tool`);
+  }
+  if (!parsed.args || typeof parsed.args !== 'object' || Array.isArray(parsed.args)) {
+    throw createToolError('INVALID_ARGUMENT', `Arguments for ${parsed.name} must be a JSON object`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a vendor's tool call and invoke the named tool from a registry
+ * Malformed payloads produce the standard JSON error response instead of throwing
+ */
+async function invokeToolCall(registry, vendor, call, options = {}) {
+  let parsed;
+  try {
+    parsed = parseToolCall(vendor, call);
+  } catch (error) {
+    return errorResponse(error);
+  }
+  return registry.invoke(parsed.name, parsed.args, options);
+}
+
+module.exports = {
+  VENDORS,
+  exportTool,
+  exportTools,
+  parseToolCall,
+  invokeToolCall,
+};
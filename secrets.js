@@ -0,0 +1,145 @@
+/**
+ * Secrets
+ * Keeps API keys, passwords and other secrets out of log lines, spans and error responses:
+ * fields with sensitive names are redacted, and the values of registered secrets are masked
+ * wherever they turn up, e.g. in a URL path or an upstream error message
+ */
+
+// Field and query parameter names whose values never reach a log line or span
+// Words must make up a whole segment of the name (api_key, clientSecret, X-Auth-Token), so that
+// passengers or tokens are left alone
+const SENSITIVE_KEY_PATTERN = /^(key|appid)$|(^|[-_.])(pass(wd|word)?|secret|token|api[-_]?key|authorization|cookies?|credentials?|signature)([-_.]|$)/i;
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values would mask ordinary words and numbers
+const MIN_SECRET_LENGTH = 4;
+
+// Secrets registered for a single call are only kept for the most recent calls, so a long-running
+// server does not hold on to every key a client has ever sent
+const MAX_TRANSIENT_SECRETS = 100;
+
+// Secrets that stay registered, and transient ones, oldest first
+const pinnedSecrets = new Set();
+let transientSecrets = [];
+
+// Every registered secret value, longest first so one containing another is masked whole
+let secretValues = [];
+
+/**
+ * Check whether a field or parameter name is sensitive
+ * camelCase names are also tested split into segments, so the pattern matches accessToken as access_token
+ */
+function isSensitiveKey(key, pattern) {
+  return pattern.test(key) || pattern.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+}
+
+/**
+ * Remember a secret value so that it is masked in everything redacted from now on
+ * A URL is registered together with its password, which may be used on its own
+ * Transient secrets, such as those passed with a single call, are forgotten again once
+ * MAX_TRANSIENT_SECRETS newer ones have been registered
+ */
+function registerSecret(value, { transient = false } = {}) {
+  if (typeof value !== 'string') {
+    return;
+  }
+
+  const values = [value];
+  try {
+    const { password } = new URL(value);
+    if (password) {
+      values.push(password, decodeURIComponent(password));
+    }
+  } catch {
+    // Not a URL
+  }
+
+  for (const secret of values.filter((entry) => entry.length >= MIN_SECRET_LENGTH)) {
+    transientSecrets = transientSecrets.filter((entry) => entry !== secret);
+    if (!transient) {
+      pinnedSecrets.add(secret);
+    } else if (!pinnedSecrets.has(secret)) {
+      transientSecrets.push(secret);
+    }
+  }
+
+  transientSecrets = transientSecrets.slice(-MAX_TRANSIENT_SECRETS);
+  secretValues = [...new Set([...pinnedSecrets, ...transientSecrets])].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Forget every registered secret
+ */
+function clearSecrets() {
+  pinnedSecrets.clear();
+  transientSecrets = [];
+  secretValues = [];
+}
+
+/**
+ * Replace registered secret values inside a string
+ */
+function maskSecrets(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return secretValues.reduce((masked, secret) => masked.split(secret).join(REDACTED), text);
+}
+
+/**
+ * Replace the values of sensitive fields, at any depth, with a placeholder,
+ * and mask registered secrets in every other string
+ */
+function redact(value, pattern = SENSITIVE_KEY_PATTERN) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, pattern));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isSensitiveKey(key, pattern) ? REDACTED : redact(item, pattern)
+    ]));
+  }
+  return maskSecrets(value);
+}
+
+/**
+ * Build the full URL of a request with its query parameters, hiding credentials, sensitive parameters
+ * and registered secrets
+ */
+function redactUrl(url, params = {}, pattern = SENSITIVE_KEY_PATTERN) {
+  const full = new URL(url);
+
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null) {
+      full.searchParams.set(key, value);
+    }
+  }
+  for (const key of [...full.searchParams.keys()]) {
+    if (isSensitiveKey(key, pattern)) {
+      full.searchParams.set(key, REDACTED);
+    }
+  }
+  if (full.username || full.password) {
+    full.username = REDACTED;
+    full.password = '';
+  }
+
+  // Secrets in the path stay percent-encoded in the URL, so mask that spelling too
+  return secretValues.reduce(
+    (masked, secret) => masked.split(encodeURIComponent(secret)).join(REDACTED),
+    maskSecrets(full.toString())
+  );
+}
+
+module.exports = {
+  SENSITIVE_KEY_PATTERN,
+  MAX_TRANSIENT_SECRETS,
+  REDACTED,
+  registerSecret,
+  clearSecrets,
+  maskSecrets,
+  redact,
+  redactUrl,
+};
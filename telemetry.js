@@ -0,0 +1,410 @@
+/**
+ * Telemetry
+ * Structured logs, metrics and traces for tool calls and outbound HTTP requests
+ *
+ * Telemetry is pluggable and does nothing until configured. Each sink is optional:
+ * - logger: { debug, info, warn, error }, each called as (message, fields);
+ *   `createJsonLogger` writes one redacted JSON object per line
+ * - metrics: { increment(name, labels, value), observe(name, labels, value) };
+ *   `createMemoryMetrics` keeps counters and latency histograms in memory
+ * - tracer: { startSpan(name, { kind, attributes, parent }) } returning a span with the
+ *   OpenTelemetry Span methods (spanContext, setAttribute(s), addEvent, setStatus, recordException, end).
+ *   `parent` is the parent span's spanContext(); to use an OpenTelemetry tracer, pass it as the
+ *   third argument of `tracer.startSpan` through `trace.setSpanContext(context.active(), parent)`.
+ *   `createRecordingTracer` keeps finished spans in memory
+ *
+ * Metrics recorded:
+ * - tool_calls_total, tool_call_duration_ms: labelled by tool and outcome
+ * - http_requests_total, http_request_duration_ms: labelled by provider, host and outcome
+ * - http_retries_total: labelled by provider, host and reason
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { LOG_LEVELS } = require('./toolEvents');
+const { SENSITIVE_KEY_PATTERN, maskSecrets, redact, redactUrl } = require('./secrets');
+
+// OpenTelemetry SpanKind and SpanStatusCode values
+const SPAN_KIND = { INTERNAL: 0, SERVER: 1, CLIENT: 2 };
+const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+// Upper bounds of the latency histogram buckets, in milliseconds
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// The span of the tool call or request in progress, so nested work can attach to it
+const activeSpan = new AsyncLocalStorage();
+
+/**
+ * Create a logger that writes one JSON object per line, with sensitive fields redacted
+ * Records below `level` are dropped
+ */
+function createJsonLogger({
+  level = 'info',
+  write = (line) => process.stderr.write(`${line}\n`),
+  redactPattern = SENSITIVE_KEY_PATTERN,
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const logger = {};
+
+  for (const name of LOG_LEVELS) {
+    logger[name] = (message, fields = {}) => {
+      if (LOG_LEVELS.indexOf(name) < threshold) {
+        return;
+      }
+      write(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: name,
+        message: maskSecrets(message),
+        ...redact(fields, redactPattern)
+      }));
+    };
+  }
+
+  return logger;
+}
+
+/**
+ * Create an in-memory metrics sink with counters and cumulative latency histograms
+ */
+function createMemoryMetrics({ buckets = DEFAULT_BUCKETS } = {}) {
+  const counters = new Map();
+  const histograms = new Map();
+
+  // One series per metric name and label set, whatever order the labels come in
+  const seriesKey = (name, labels) => `${name}${JSON.stringify(Object.entries(labels).sort())}`;
+
+  return {
+    increment(name, labels = {}, value = 1) {
+      const key = seriesKey(name, labels);
+      const counter = counters.get(key) || { name, labels, value: 0 };
+      counter.value += value;
+      counters.set(key, counter);
+    },
+
+    observe(name, labels = {}, value) {
+      const key = seriesKey(name, labels);
+      const histogram = histograms.get(key) || {
+        name,
+        labels,
+        count: 0,
+        sum: 0,
+        buckets: [...buckets.map((le) => ({ le, count: 0 })), { le: '+Inf', count: 0 }]
+      };
+
+      histogram.count++;
+      histogram.sum += value;
+      for (const bucket of histogram.buckets) {
+        if (bucket.le === '+Inf' || value <= bucket.le) {
+          bucket.count++;
+        }
+      }
+      histograms.set(key, histogram);
+    },
+
+    /**
+     * Read one counter value, or 0 when the series has not been recorded
+     */
+    counter(name, labels = {}) {
+      return counters.get(seriesKey(name, labels))?.value || 0;
+    },
+
+    /**
+     * Read one histogram, or undefined when the series has not been recorded
+     */
+    histogram(name, labels = {}) {
+      return histograms.get(seriesKey(name, labels));
+    },
+
+    snapshot() {
+      return {
+        counters: Array.from(counters.values()),
+        histograms: Array.from(histograms.values())
+      };
+    },
+
+    reset() {
+      counters.clear();
+      histograms.clear();
+    },
+  };
+}
+
+/**
+ * Create a tracer that keeps finished spans in memory, shaped like OpenTelemetry's ReadableSpan
+ * `onEnd(span)` is called as each span finishes, e.g. to export it
+ */
+function createRecordingTracer({ onEnd } = {}) {
+  const finished = [];
+  const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+  return {
+    startSpan(name, { kind = SPAN_KIND.INTERNAL, attributes = {}, parent = null } = {}) {
+      const record = {
+        name,
+        kind,
+        traceId: parent ? parent.traceId : randomId(16),
+        spanId: randomId(8),
+        parentSpanId: parent ? parent.spanId : null,
+        startTime: Date.now(),
+        endTime: null,
+        durationMs: null,
+        attributes: { ...attributes },
+        events: [],
+        status: { code: SPAN_STATUS.UNSET }
+      };
+
+      const span = {
+        spanContext: () => ({ traceId: record.traceId, spanId: record.spanId, traceFlags: 1 }),
+        setAttribute(key, value) {
+          record.attributes[key] = value;
+          return span;
+        },
+        setAttributes(values) {
+          Object.assign(record.attributes, values);
+          return span;
+        },
+        addEvent(eventName, eventAttributes = {}) {
+          record.events.push({ name: eventName, time: Date.now(), attributes: eventAttributes });
+          return span;
+        },
+        setStatus(status) {
+          record.status = status;
+          return span;
+        },
+        recordException(error) {
+          return span.addEvent('exception', {
+            'exception.type': error.code || error.name || 'Error',
+            'exception.message': maskSecrets(error.message)
+          });
+        },
+        end() {
+          if (record.endTime !== null) {
+            return;
+          }
+          record.endTime = Date.now();
+          record.durationMs = record.endTime - record.startTime;
+          finished.push(record);
+          if (onEnd) {
+            onEnd(record);
+          }
+        },
+      };
+
+      return span;
+    },
+
+    /**
+     * List the finished spans in the order they ended
+     */
+    spans() {
+      return [...finished];
+    },
+
+    reset() {
+      finished.length = 0;
+    },
+  };
+}
+
+// Sinks used when telemetry is not configured
+const noopLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const noopMetrics = { increment() {}, observe() {} };
+const noopSpan = {
+  spanContext: () => null,
+  setAttribute: () => noopSpan,
+  setAttributes: () => noopSpan,
+  addEvent: () => noopSpan,
+  setStatus: () => noopSpan,
+  recordException: () => noopSpan,
+  end() {},
+};
+const noopTracer = { startSpan: () => noopSpan };
+
+/**
+ * Work out the outcome of a tool call from its JSON result: success, error, timeout or cancelled
+ */
+function toolOutcome(result) {
+  try {
+    const code = JSON.parse(result)?.error?.code;
+
+    if (!code) {
+      return { outcome: 'success', errorCode: null };
+    }
+    if (code === 'TIMEOUT' || code === 'CANCELLED') {
+      return { outcome: code.toLowerCase(), errorCode: code };
+    }
+    return { outcome: 'error', errorCode: code };
+  } catch {
+    return { outcome: 'error', errorCode: 'INVALID_RESULT' };
+  }
+}
+
+/**
+ * Work out the outcome of an HTTP request from the error it failed with, if any
+ */
+function requestOutcome(error) {
+  if (!error) {
+    return 'success';
+  }
+  if (error.code === 'CIRCUIT_OPEN') {
+    return 'circuit_open';
+  }
+  return error.code === 'CANCELLED' ? 'cancelled' : 'error';
+}
+
+/**
+ * Create a telemetry hub that sends logs, metrics and spans to the configured sinks
+ */
+function createTelemetry({ logger = null, metrics = null, tracer = null, redactPattern = SENSITIVE_KEY_PATTERN } = {}) {
+  let settings = { logger, metrics, tracer, redactPattern };
+
+  const sinks = () => ({
+    logger: settings.logger || noopLogger,
+    metrics: settings.metrics || noopMetrics,
+    tracer: settings.tracer || noopTracer,
+  });
+
+  // Tie log lines to the span they were written in
+  const traceFields = (span) => {
+    const context = span.spanContext();
+    return context ? { traceId: context.traceId, spanId: context.spanId } : {};
+  };
+
+  const telemetry = {
+    /**
+     * Plug in a logger, metrics sink or tracer; pass null to switch one off again
+     */
+    configure(nextSettings = {}) {
+      settings = { ...settings, ...nextSettings };
+      return telemetry;
+    },
+
+    /**
+     * Switch every sink off
+     */
+    reset() {
+      settings = { logger: null, metrics: null, tracer: null, redactPattern: SENSITIVE_KEY_PATTERN };
+      return telemetry;
+    },
+
+    /**
+     * Run one tool call, resolving with its JSON result, and record its outcome and latency
+     */
+    async traceToolCall(name, args, invoke) {
+      const { logger: log, metrics: meter, tracer } = sinks();
+      const span = tracer.startSpan(`execute_tool ${name}`, {
+        kind: SPAN_KIND.INTERNAL,
+        parent: activeSpan.getStore()?.spanContext() || null,
+        attributes: { 'gen_ai.operation.name': 'execute_tool', 'gen_ai.tool.name': name }
+      });
+      const startedAt = performance.now();
+
+      log.debug('Tool call started', { tool: name, args: redact(args, settings.redactPattern), ...traceFields(span) });
+
+      const finish = ({ outcome, errorCode }, error) => {
+        const durationMs = Math.round((performance.now() - startedAt) * 1000) / 1000;
+
+        meter.increment('tool_calls_total', { tool: name, outcome });
+        meter.observe('tool_call_duration_ms', { tool: name, outcome }, durationMs);
+
+        span.setAttribute('agent_tools.outcome', outcome);
+        if (errorCode) {
+          span.setAttribute('error.type', errorCode);
+        }
+        if (error) {
+          span.recordException(error);
+        }
+        span.setStatus(outcome === 'success' ? { code: SPAN_STATUS.OK } : { code: SPAN_STATUS.ERROR, message: errorCode });
+        span.end();
+
+        const fields = { tool: name, outcome, errorCode, durationMs, ...traceFields(span) };
+        if (outcome === 'success') {
+          log.info('Tool call succeeded', fields);
+        } else {
+          log.warn('Tool call failed', error ? { ...fields, error: maskSecrets(error.message) } : fields);
+        }
+      };
+
+      try {
+        const result = await activeSpan.run(span, invoke);
+        finish(toolOutcome(result));
+        return result;
+      } catch (error) {
+        finish({ outcome: 'error', errorCode: error.code || 'UNHANDLED' }, error);
+        throw error;
+      }
+    },
+
+    /**
+     * Start tracing one outbound HTTP request, retries included
+     * Returns { retry({ attempt, delay, reason }), end({ status, error }) }
+     */
+    startRequest({ method = 'GET', url, params, provider }) {
+      const { logger: log, metrics: meter, tracer } = sinks();
+      const host = new URL(url).host;
+      const labels = { provider: provider || host, host };
+      const fullUrl = redactUrl(url, params, settings.redactPattern);
+      const span = tracer.startSpan(`${method} ${host}`, {
+        kind: SPAN_KIND.CLIENT,
+        parent: activeSpan.getStore()?.spanContext() || null,
+        attributes: {
+          'http.request.method': method,
+          'url.full': fullUrl,
+          'server.address': host,
+          'agent_tools.provider': labels.provider
+        }
+      });
+      const startedAt = performance.now();
+
+      return {
+        retry({ attempt, delay, reason }) {
+          meter.increment('http_retries_total', { ...labels, reason });
+          span.addEvent('retry', { attempt, delay, reason });
+          log.debug('Retrying upstream request', { ...labels, url: fullUrl, attempt, delay, reason, ...traceFields(span) });
+        },
+
+        end({ status = null, error = null } = {}) {
+          const outcome = requestOutcome(error);
+          const durationMs = Math.round((performance.now() - startedAt) * 1000) / 1000;
+
+          meter.increment('http_requests_total', { ...labels, outcome });
+          meter.observe('http_request_duration_ms', { ...labels, outcome }, durationMs);
+
+          if (status !== null) {
+            span.setAttribute('http.response.status_code', status);
+          }
+          if (error) {
+            span.recordException(error);
+            span.setStatus({ code: SPAN_STATUS.ERROR, message: maskSecrets(error.message) });
+          }
+          span.end();
+
+          const fields = { ...labels, url: fullUrl, outcome, status, durationMs, ...traceFields(span) };
+          if (error) {
+            log.warn('Upstream request failed', { ...fields, error: maskSecrets(error.message) });
+          } else {
+            log.debug('Upstream request succeeded', fields);
+          }
+        },
+      };
+    },
+  };
+
+  return telemetry;
+}
+
+// Shared telemetry used by the tool registry and the HTTP client; a no-op until configured
+const telemetry = createTelemetry();
+
+module.exports = {
+  SPAN_KIND,
+  SPAN_STATUS,
+  DEFAULT_BUCKETS,
+  redact,
+  redactUrl,
+  createJsonLogger,
+  createMemoryMetrics,
+  createRecordingTracer,
+  createTelemetry,
+  telemetry,
+};
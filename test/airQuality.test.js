@@ -0,0 +1,64 @@
+/**
+ * Tests for the air-quality, UV and pollen categories
+ */
+const {
+  US_AQI_CATEGORIES,
+  EUROPEAN_AQI_CATEGORIES,
+  UV_CATEGORIES,
+  describeIndex,
+  airQualityVariables,
+  formatAirQuality
+} = require('../airQuality');
+
+describe('Air Quality', () => {
+  test('labels index values with their category and advice', () => {
+    expect(describeIndex(US_AQI_CATEGORIES, 50).category).toBe('Good');
+    expect(describeIndex(US_AQI_CATEGORIES, 120).category).toBe('Unhealthy for Sensitive Groups');
+    expect(describeIndex(US_AQI_CATEGORIES, 420).category).toBe('Hazardous');
+    expect(describeIndex(EUROPEAN_AQI_CATEGORIES, 45).category).toBe('Moderate');
+    expect(describeIndex(UV_CATEGORIES, 11.3)).toEqual({
+      value: 11.3,
+      category: 'Extreme',
+      advice: expect.stringMatching(/midday/)
+    });
+  });
+
+  test('leaves missing values without a category', () => {
+    expect(describeIndex(US_AQI_CATEGORIES, null)).toEqual({ value: null, category: null, advice: null });
+  });
+
+  test('requests only the variables of the included sections', () => {
+    expect(airQualityVariables(['uv'])).toEqual(['uv_index']);
+    expect(airQualityVariables(['air_quality', 'uv'])).toEqual(['us_aqi', 'european_aqi', 'pm2_5', 'pm10', 'ozone', 'uv_index']);
+  });
+
+  test('formats the included sections', () => {
+    const current = {
+      time: '2024-06-01T12:00',
+      us_aqi: 57,
+      european_aqi: 34,
+      pm2_5: 11.8,
+      pm10: 19.4,
+      ozone: 86,
+      grass_pollen: 38.5,
+      birch_pollen: 0
+    };
+
+    const result = formatAirQuality(current, ['air_quality', 'pollen']);
+
+    expect(result.uv).toBeUndefined();
+    expect(result.airQuality.usAqi.category).toBe('Moderate');
+    expect(result.airQuality.europeanAqi.category).toBe('Fair');
+    expect(result.airQuality.pm2_5).toBe(11.8);
+    expect(result.pollen.available).toBe(true);
+    expect(result.pollen.grass).toEqual({ value: 38.5, level: 'Moderate' });
+    expect(result.pollen.birch).toEqual({ value: 0, level: 'None' });
+    expect(result.pollen.ragweed).toEqual({ value: null, level: null });
+  });
+
+  test('reports pollen as unavailable outside Europe', () => {
+    const result = formatAirQuality({ time: '2024-06-01T12:00' }, ['pollen']);
+
+    expect(result.pollen.available).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for the shared argument validator
+ */
+const { validateArguments, invalidArgumentsResponse } = require('../argumentValidator');
+
+describe('Argument Validator', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      amount: { type: 'number', minimum: 0 },
+      currency: { type: 'string', minLength: 3 },
+      units: { type: 'string', enum: ['metric', 'imperial'], default: 'metric' },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['amount', 'currency', 'units'],
+    additionalProperties: false
+  };
+
+  test('accepts valid arguments and applies defaults', () => {
+    const result = validateArguments(schema, { amount: 10, currency: 'USD' });
+
+    expect(result.valid).toBe(true);
+    expect(result.violations).toEqual([]);
+    expect(result.value).toEqual({ amount: 10, currency: 'USD', units: 'metric' });
+  });
+
+  test('reports type, enum, range and required violations per field', () => {
+    const result = validateArguments(schema, { amount: -5, units: 'kelvin', tags: ['a', 1] });
+
+    expect(result.valid).toBe(false);
+    expect(result.violations).toEqual([
+      { field: 'currency', message: 'Is required' },
+      { field: 'amount', message: 'Must be greater than or equal to 0' },
+      { field: 'units', message: 'Must be one of: metric, imperial' },
+      { field: 'tags[1]', message: 'Expected string but received integer' }
+    ]);
+  });
+
+  test('rejects strings and non-finite numbers where numbers are expected', () => {
+    expect(validateArguments(schema, { amount: '10', currency: 'USD' }).violations).toEqual([
+      { field: 'amount', message: 'Expected number but received string' }
+    ]);
+    expect(validateArguments(schema, { amount: NaN, currency: 'USD' }).valid).toBe(false);
+  });
+
+  test('rejects additional properties', () => {
+    const result = validateArguments(schema, { amount: 1, currency: 'USD', extra: true });
+
+    expect(result.violations).toEqual([{ field: 'extra', message: 'Is not an allowed property' }]);
+  });
+
+  test('builds the standard error response', () => {
+    const response = JSON.parse(invalidArgumentsResponse('convert-currency', [
+      { field: 'amount', message: 'Must be greater than or equal to 0' }
+    ]));
+
+    expect(response.error.message).toBe(
+      'Invalid arguments for convert-currency: amount must be greater than or equal to 0'
+    );
+    expect(response.error.details.violations).toHaveLength(1);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the command-line runner
+ */
+const { runCli, parseToolArguments, createProgressBar } = require('../cli');
+const { currencyProviders } = require('../currencyProviders');
+const { responseCache } = require('../responseCache');
+
+describe('Command-Line Runner', () => {
+  // Helper that collects everything written to a stream
+  const captureStream = ({ isTTY = false } = {}) => {
+    const stream = { output: '', isTTY, write: (chunk) => { stream.output += chunk; } };
+    return stream;
+  };
+
+  const parameters = {
+    type: 'object',
+    properties: {
+      amount: { type: 'number' },
+      days: { type: ['integer', 'null'] },
+      verbose: { type: 'boolean' },
+      codes: { type: 'array', items: { type: 'string' } },
+      name: { type: 'string' }
+    }
+  };
+
+  beforeEach(() => {
+    currencyProviders.use('fixture');
+    return responseCache.clear();
+  });
+
+  afterEach(() => {
+    currencyProviders.use(null);
+  });
+
+  test('derives typed arguments from the schema', () => {
+    expect(parseToolArguments(
+      ['--amount', '12.5', '--days=null', '--verbose', '--codes', 'EUR,GBP', '--name', '42'],
+      parameters
+    )).toEqual({ amount: 12.5, days: null, verbose: true, codes: ['EUR', 'GBP'], name: '42' });
+  });
+
+  test('merges --args JSON with individual flags', () => {
+    expect(parseToolArguments(['--args', '{"amount":1,"name":"x"}', '--amount', '2'], parameters))
+      .toEqual({ amount: 2, name: 'x' });
+  });
+
+  test('rejects --args JSON that is not an object', () => {
+    for (const json of ['"abc"', '[1,2]', 'null', '42']) {
+      expect(() => parseToolArguments(['--args', json], parameters)).toThrow('--args must be a JSON object');
+    }
+  });
+
+  test('lists the registered tools', async () => {
+    const stdout = captureStream();
+
+    const exitCode = await runCli(['list'], { stdout });
+
+    expect(exitCode).toBe(0);
+    expect(stdout.output).toMatch(/^convert-currency\s+Convert an amount/m);
+    expect(stdout.output).toMatch(/^weather-forecast\s+Get current weather/m);
+  });
+
+  test('describes a tool with its flags', async () => {
+    const stdout = captureStream();
+
+    await runCli(['describe', 'weather-forecast'], { stdout });
+
+    expect(stdout.output).toContain('--location <string|null> (default: null)');
+    expect(stdout.output).toContain('--latitude <number|null> (default: null)');
+    expect(stdout.output).toContain('--units <string|null> (one of: metric, imperial, null; default: null)');
+    expect(stdout.output).toContain('apiKey  $AGENT_TOOLS_WEATHER_FORECAST_API_KEY (secret)');
+    expect(stdout.output).toContain('units  $AGENT_TOOLS_WEATHER_FORECAST_UNITS (default: "metric")');
+  });
+
+  test('runs a tool and prints the parsed JSON result', async () => {
+    const stdout = captureStream();
+    const stderr = captureStream();
+
+    const exitCode = await runCli(
+      ['run', 'convert-currency', '--amount', '10', '--fromCurrency', 'USD', '--toCurrency', 'EUR'],
+      { stdout, stderr }
+    );
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout.output).data.equivalentString).toBe('10 USD = 9.21 EUR');
+    expect(stderr.output).toContain('[########################] 100% Conversion complete!');
+  });
+
+  test('exits non-zero when the tool returns an error', async () => {
+    const stdout = captureStream();
+    const stderr = captureStream();
+
+    const exitCode = await runCli(
+      ['run', 'convert-currency', '--amount', '-1', '--fromCurrency', 'USD', '--toCurrency', 'EUR'],
+      { stdout, stderr }
+    );
+
+    expect(exitCode).toBe(1);
+    expect(stdout.output).toBe('');
+    expect(stderr.output).toContain('"code": "INVALID_ARGUMENT"');
+  });
+
+  test('reports usage errors with exit code 2', async () => {
+    const stderr = captureStream();
+
+    expect(await runCli(['run', 'teleport'], { stderr })).toBe(2);
+    expect(stderr.output).toContain('Unknown tool "teleport"');
+    expect(await runCli(['run', 'convert-currency', '--amount'], { stderr })).toBe(2);
+    expect(stderr.output).toContain('Missing value for --amount');
+  });
+
+  test('redraws the progress bar in place on a terminal', () => {
+    const stream = captureStream({ isTTY: true });
+    const publishToClient = createProgressBar(stream, { width: 4 });
+
+    publishToClient({ type: 'progress', data: { message: 'Half way', progress: 50 } });
+    publishToClient({ type: 'progress', data: { message: 'Done', progress: 100 } });
+    publishToClient.finish();
+
+    expect(stream.output).toBe('\r[##--]  50% Half way\x1b[K\r[####] 100% Done\x1b[K\n');
+  });
+});
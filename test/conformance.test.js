@@ -0,0 +1,131 @@
+/**
+ * Conformance suite every registered tool must pass
+ */
+const { registry } = require('../index');
+const { STEP_ID_PATTERN } = require('../toolEvents');
+const { toolConfig } = require('../toolConfig');
+const {
+  withHttpFixture,
+  runTool,
+  expectProgressSequence,
+  expectSuccess,
+  expectToolError
+} = require('./toolHarness');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+// A successful call for each tool, replayed from an HTTP fixture when it makes requests;
+// new tools must add one
+const samples = {
+  'convert-currency': {
+    fixture: 'exchange-rate-api',
+    args: { amount: 100, fromCurrency: 'USD', toCurrency: 'EUR' }
+  },
+  'convert-units': {
+    fixture: null,
+    args: { value: 10, fromUnit: 'mi', toUnit: 'km' }
+  },
+  'weather-forecast': {
+    fixture: 'open-meteo-london',
+    args: { location: 'London', units: 'metric', days: 3 }
+  },
+  'world-time': {
+    fixture: null,
+    args: { timezone: 'Europe/London', time: '2024-03-01T12:00', toTimezone: 'Asia/Tokyo' }
+  },
+  'travel-briefing': {
+    fixture: 'travel-briefing-london',
+    args: { destination: 'London', homeCurrency: 'USD', units: 'metric' }
+  }
+};
+
+/**
+ * List the ways a parameters schema breaks the strict function-calling rules:
+ * closed objects, every property required, and optional properties nullable with a default
+ */
+function strictSchemaProblems(schema, field = 'parameters') {
+  const problems = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length === 0 && !schema.enum) {
+    problems.push(`${field} has no type`);
+  }
+
+  if (types.includes('object')) {
+    const properties = Object.keys(schema.properties || {});
+
+    if (schema.additionalProperties !== false) {
+      problems.push(`${field} must set additionalProperties to false`);
+    }
+    for (const name of properties) {
+      const property = schema.properties[name];
+
+      if (!(schema.required || []).includes(name)) {
+        problems.push(`${field}.${name} must be listed in required`);
+      }
+      if (field === 'parameters' && [].concat(property.type).includes('null') && !('default' in property)) {
+        problems.push(`${field}.${name} is nullable but has no default`);
+      }
+      problems.push(...strictSchemaProblems(property, `${field}.${name}`));
+    }
+  }
+
+  if (types.includes('array') && schema.items) {
+    problems.push(...strictSchemaProblems(schema.items, `${field}[]`));
+  }
+
+  return problems;
+}
+
+describe.each(registry.list().map((tool) => [tool.name, tool]))('%s conformance', (name, tool) => {
+  test('has a valid strict tool definition', () => {
+    const definition = tool.toolDefinition;
+
+    expect(definition.type).toBe('function');
+    expect(definition.function.name).toBe(name);
+    expect(definition.function.description).toEqual(expect.any(String));
+    expect(definition.function.strict).toBe(true);
+    expect(definition.function.parameters.type).toBe('object');
+    expect(strictSchemaProblems(definition.function.parameters)).toEqual([]);
+  });
+
+  test('lists its steps with stable IDs', () => {
+    expect(tool.steps.length).toBeGreaterThan(0);
+    for (const step of tool.steps) {
+      expect(step).toEqual({ id: expect.stringMatching(new RegExp(STEP_ID_PATTERN)), description: expect.any(String), progress: expect.any(Number) });
+    }
+  });
+
+  test('declares a closed configuration schema with a default for every setting', () => {
+    const schema = tool.configSchema;
+    expect(schema).toEqual(expect.objectContaining({ type: 'object', additionalProperties: false }));
+
+    for (const [key, property] of Object.entries(schema.properties)) {
+      expect({ key, hasDefault: 'default' in property }).toEqual({ key, hasDefault: true });
+    }
+    expect(toolConfig.resolve(tool)).toEqual(expect.any(Object));
+  });
+
+  test('returns a structured INVALID_ARGUMENT error for unknown arguments', async () => {
+    const { response, events } = await runTool(tool, { notAParameter: true });
+
+    const error = expectToolError(response, 'INVALID_ARGUMENT');
+    expect(error.details.violations).toContainEqual({ field: 'notAParameter', message: expect.any(String) });
+    expect(events).toEqual([]);
+  });
+
+  test('completes a sample call with progress ending at 100', async () => {
+    const sample = samples[name];
+    expect(sample).toBeDefined();
+
+    const run = async () => {
+      const { response, events } = await runTool(tool, sample.args);
+
+      expectSuccess(response);
+      expectProgressSequence(events);
+    };
+
+    await (sample.fixture ? withHttpFixture(sample.fixture, run) : run());
+  });
+});
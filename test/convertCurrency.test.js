@@ -2,6 +2,9 @@
  * End-to-end tests for the currency conversion tool
  */
 const { convertCurrencyTool } = require('../convertCurrency');
+const { responseCache } = require('../responseCache');
+const { validateEvent } = require('../toolEvents');
+const { withHttpFixture, runTool, expectProgressSequence, expectSuccess, expectToolError } = require('./toolHarness');
 const axios = require('axios');
 
 // Mock axios for controlled testing
@@ -17,6 +20,8 @@ describe('Currency Conversion Tool E2E Tests', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    // Start every test with an empty response cache
+    return responseCache.clear();
   });
 
   test('successfully converts USD to EUR', async () => {
@@ -48,10 +53,11 @@ describe('Currency Conversion Tool E2E Tests', () => {
     expect(response.data.equivalentString).toBe('100 USD = 85 EUR');
 
     // Verify progress updates were sent
-    expect(mockPublishToClient).toHaveBeenCalledTimes(3);
-    expect(mockPublishToClient.mock.calls[0][0].data.progress).toBe(25);
-    expect(mockPublishToClient.mock.calls[1][0].data.progress).toBe(75);
-    expect(mockPublishToClient.mock.calls[2][0].data.progress).toBe(100);
+    const progress = mockPublishToClient.mock.calls
+      .map(([event]) => event)
+      .filter((event) => event.type === 'progress')
+      .map((event) => event.data.progress);
+    expect(progress).toEqual([25, 75, 100]);
   });
 
   test('handles API errors gracefully', async () => {
@@ -74,14 +80,6 @@ describe('Currency Conversion Tool E2E Tests', () => {
   });
 
   test('handles unsupported currency', async () => {
-    // Mock API response with missing target currency
-    axios.get.mockResolvedValueOnce({
-      data: {
-        base: 'USD',
-        rates: { EUR: 0.85, GBP: 0.75 }
-      }
-    });
-
     const result = await convertCurrencyTool.executor({
       amount: 100,
       fromCurrency: 'USD',
@@ -95,6 +93,11 @@ describe('Currency Conversion Tool E2E Tests', () => {
     expect(response.error).toBeDefined();
     expect(response.data).toBeUndefined();
     expect(response.error.message).toBe('Conversion to XYZ is not supported');
+    expect(response.error.code).toBe('UNSUPPORTED_CURRENCY');
+    expect(response.error.hint).toMatch(/ISO 4217/);
+
+    // Codes outside the ISO 4217 table are rejected before any request is made
+    expect(axios.get).not.toHaveBeenCalled();
   });
 
   test('converts with decimal precision', async () => {
@@ -117,4 +120,319 @@ describe('Currency Conversion Tool E2E Tests', () => {
     // Verify decimal precision (should be rounded to 2 decimal places)
     expect(response.data.amount).toBe(105.39); // 123.45 * 0.8537 = 105.389065, rounded to 105.39
   });
+
+  test('rejects invalid arguments without calling the API', async () => {
+    const result = await convertCurrencyTool.executor({
+      amount: -10,
+      fromCurrency: 'USD',
+      toCurrency: 42,
+      publishToClient: mockPublishToClient
+    });
+
+    const response = parseResponse(result);
+
+    // Verify field-level violations are reported and no request was made
+    expect(response.error).toBeDefined();
+    expect(response.error.details.violations).toEqual([
+      { field: 'amount', message: 'Must be greater than or equal to 0' },
+      { field: 'toCurrency', message: 'Expected string or array or null but received integer' }
+    ]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('converts using the rate on a historical date', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        amount: 1,
+        base: 'EUR',
+        date: '2024-03-01',
+        rates: { USD: 1.0813 }
+      }
+    });
+
+    const result = await convertCurrencyTool.executor({
+      amount: 500,
+      fromCurrency: 'EUR',
+      toCurrency: 'USD',
+      date: '2024-03-01'
+    });
+
+    const response = parseResponse(result);
+
+    // Verify the historical endpoint was used and the rate date is reported
+    expect(axios.get).toHaveBeenCalledWith('https://api.frankfurter.app/2024-03-01', expect.objectContaining({
+      params: { from: 'EUR', to: 'USD' }
+    }));
+    expect(response.data.amount).toBe(540.65);
+    expect(response.data.rateDate).toBe('2024-03-01');
+    expect(response.data.lastUpdated).toBe('2024-03-01T00:00:00.000Z');
+    expect(response.data.provider).toBe('Frankfurter (European Central Bank)');
+  });
+
+  test('returns a daily time series with min, max and average', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        amount: 1,
+        base: 'EUR',
+        start_date: '2024-03-01',
+        end_date: '2024-03-05',
+        rates: {
+          '2024-03-05': { USD: 1.0857 },
+          '2024-03-01': { USD: 1.0813 },
+          '2024-03-04': { USD: 1.0852 }
+        }
+      }
+    });
+
+    const result = await convertCurrencyTool.executor({
+      amount: 100,
+      fromCurrency: 'EUR',
+      toCurrency: 'USD',
+      startDate: '2024-03-01',
+      endDate: '2024-03-05',
+      publishToClient: mockPublishToClient
+    });
+
+    const response = parseResponse(result);
+
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.frankfurter.app/2024-03-01..2024-03-05');
+    expect(response.data.rates).toEqual([
+      { date: '2024-03-01', rate: 1.0813, amount: 108.13 },
+      { date: '2024-03-04', rate: 1.0852, amount: 108.52 },
+      { date: '2024-03-05', rate: 1.0857, amount: 108.57 }
+    ]);
+    expect(response.data.statistics).toEqual({
+      min: { date: '2024-03-01', rate: 1.0813 },
+      max: { date: '2024-03-05', rate: 1.0857 },
+      average: 1.084067
+    });
+    expect(response.data.lastUpdated).toBe('2024-03-05T00:00:00.000Z');
+    expect(mockPublishToClient.mock.calls.at(-1)[0].data.progress).toBe(100);
+  });
+
+  test('rejects inconsistent date arguments without calling the API', async () => {
+    const result = await convertCurrencyTool.executor({
+      amount: 100,
+      fromCurrency: 'EUR',
+      toCurrency: 'USD',
+      startDate: '2024-03-10',
+      endDate: '2024-02-30'
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.error.details.violations).toEqual([
+      { field: 'endDate', message: 'Is not a valid calendar date' },
+      { field: 'endDate', message: 'Must be on or after startDate' }
+    ]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('reports unknown base currencies as UNSUPPORTED_CURRENCY', async () => {
+    axios.get.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 404'), {
+      response: { status: 404, data: { result: 'error', 'error-type': 'unsupported-code' } }
+    }));
+
+    const result = await convertCurrencyTool.executor({
+      amount: 100,
+      fromCurrency: 'KPW',
+      toCurrency: 'EUR'
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.error.code).toBe('UNSUPPORTED_CURRENCY');
+    expect(response.error.message).toBe('Conversion from KPW to EUR is not supported');
+    expect(response.error.details['error-type']).toBe('unsupported-code');
+  });
+
+  test('converts one amount into several currencies with a single rate fetch', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        base: 'USD',
+        rates: { EUR: 0.85, GBP: 0.75, JPY: 110.2 },
+        time_last_updated: Date.now() / 1000
+      }
+    });
+
+    const result = await convertCurrencyTool.executor({
+      amount: 120,
+      fromCurrency: 'USD',
+      toCurrency: ['EUR', 'GBP', 'CHF']
+    });
+
+    const response = parseResponse(result);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(response.data.amount).toBe(120);
+    expect(response.data.conversions.map((conversion) => conversion.amount)).toEqual([102, 90, undefined]);
+    expect(response.data.conversions[1].equivalentString).toBe('120 USD = 90 GBP');
+
+    // A target the provider has no rate for fails on its own without failing the whole call
+    expect(response.data.conversions[2].toCurrency).toBe('CHF');
+    expect(response.data.conversions[2].error.code).toBe('UNSUPPORTED_CURRENCY');
+  });
+
+  test('converts a batch of items, sharing fetches per base currency', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.endsWith('/USD')) {
+        return { data: { base: 'USD', rates: { EUR: 0.85, JPY: 110.2 }, time_last_updated: 1700000000 } };
+      }
+      throw Object.assign(new Error('Request failed with status code 404'), {
+        response: { status: 404, data: { result: 'error', 'error-type': 'unsupported-code' } }
+      });
+    });
+
+    const result = await convertCurrencyTool.executor({
+      items: [
+        { amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' },
+        { amount: 20, fromCurrency: 'USD', toCurrency: ['EUR', 'JPY'] },
+        { amount: 5, fromCurrency: 'KPW', toCurrency: 'EUR' },
+        { amount: 5, fromCurrency: 'ABC', toCurrency: 'EUR' }
+      ],
+      publishToClient: mockPublishToClient
+    });
+
+    const response = parseResponse(result);
+
+    // One fetch for USD and one for KPW; ABC is not an ISO 4217 code, so it is never requested
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(response.data.succeeded).toBe(2);
+    expect(response.data.failed).toBe(2);
+    expect(response.data.results[0]).toMatchObject({ index: 0, data: { amount: 8.5, toCurrency: 'EUR' } });
+    expect(response.data.results[1].data.conversions.map((conversion) => conversion.amount)).toEqual([17, 2204]);
+    expect(response.data.results[2].index).toBe(2);
+    expect(response.data.results[2].error.code).toBe('UNSUPPORTED_CURRENCY');
+    expect(response.data.results[2].error.message).toBe('Conversion from KPW to EUR is not supported');
+    expect(response.data.results[3].error.message).toBe('Conversion from ABC is not supported');
+    expect(mockPublishToClient.mock.calls.at(-1)[0].data.progress).toBe(100);
+
+    // Every item is shared as a partial result, and the failed ones are reported as warnings
+    const events = mockPublishToClient.mock.calls.map(([event]) => event);
+    expect(events.filter((event) => event.type === 'partial_result').map((event) => event.data.result.index))
+      .toEqual([0, 1, 2, 3]);
+    expect(events.filter((event) => event.type === 'warning').map((event) => event.data.code))
+      .toEqual(['UNSUPPORTED_CURRENCY', 'UNSUPPORTED_CURRENCY']);
+    expect(events.every((event) => validateEvent(event).valid)).toBe(true);
+  });
+
+  test('rejects a batch combined with single-conversion arguments', async () => {
+    const result = await convertCurrencyTool.executor({
+      amount: 10,
+      items: [{ amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' }]
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.error.code).toBe('INVALID_ARGUMENT');
+    expect(response.error.details.violations).toEqual([
+      { field: 'amount', message: 'Cannot be combined with items' }
+    ]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('rounds to the minor units of the target currency', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { base: 'USD', rates: { JPY: 151.237, KWD: 0.30745, EUR: 0.1 } }
+    });
+
+    const result = await convertCurrencyTool.executor({
+      amount: 8.1649,
+      fromCurrency: 'USD',
+      toCurrency: ['JPY', 'KWD', 'EUR']
+    });
+
+    const [jpy, kwd, eur] = parseResponse(result).data.conversions;
+
+    // Yen has no minor unit and the Kuwaiti dinar has three
+    expect(jpy.amount).toBe(1235);
+    expect(jpy.currency).toEqual({ name: 'Yen', symbol: '¥', minorUnits: 0 });
+    expect(kwd.amount).toBe(2.51);
+    // Intl separates codes and symbols with non-breaking spaces
+    expect(kwd.formatted.replace(/\s/g, ' ')).toBe('KWD 2.510');
+
+    // 8.1649 * 0.1 is 0.81649 exactly, though floating point gives 0.8164900000000001
+    expect(eur.amount).toBe(0.82);
+  });
+
+  test('rounds halves exactly instead of drifting through floating point', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { base: 'USD', rates: { EUR: 1.005 } }
+    });
+
+    const result = await convertCurrencyTool.executor({
+      amount: 1,
+      fromCurrency: 'USD',
+      toCurrency: 'EUR'
+    });
+
+    // (1 * 1.005).toFixed(2) gives "1.00"
+    expect(parseResponse(result).data.amount).toBe(1.01);
+  });
+
+  test('normalises currency codes and formats amounts for a locale', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { base: 'USD', rates: { EUR: 0.9, JPY: 151.2 } }
+    });
+
+    const result = await convertCurrencyTool.executor({
+      amount: 1371.73,
+      fromCurrency: 'usd',
+      toCurrency: ['eur', 'Jpy'],
+      locale: 'de-DE'
+    });
+
+    const response = parseResponse(result);
+
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.exchangerate-api.com/v4/latest/USD');
+    expect(response.data.fromCurrency).toBe('USD');
+    expect(response.data.conversions.map((conversion) => conversion.formatted.replace(/\s/g, ' '))).toEqual([
+      '1.234,56 €',
+      '207.406 ¥'
+    ]);
+  });
+
+  test('rejects malformed currency codes and unknown locales', async () => {
+    const malformed = parseResponse(await convertCurrencyTool.executor({
+      amount: 10,
+      fromCurrency: 'US',
+      toCurrency: 'EUR'
+    }));
+    const unknownLocale = parseResponse(await convertCurrencyTool.executor({
+      amount: 10,
+      fromCurrency: 'USD',
+      toCurrency: 'EUR',
+      locale: 'not a locale'
+    }));
+
+    expect(malformed.error.details.violations).toEqual([
+      { field: 'fromCurrency', message: 'Must match the pattern ^[A-Za-z]{3}$' }
+    ]);
+    expect(unknownLocale.error.details.violations).toEqual([
+      { field: 'locale', message: 'Is not a supported BCP 47 locale tag' }
+    ]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  describe('replayed provider responses', () => {
+    test('converts with the replayed Exchange Rate API table', () => withHttpFixture('exchange-rate-api', async () => {
+      const { response, events } = await runTool(convertCurrencyTool, {
+        amount: 100,
+        fromCurrency: 'USD',
+        toCurrency: ['EUR', 'JPY']
+      });
+
+      const data = expectSuccess(response);
+      expect(data.conversions.map((conversion) => conversion.amount)).toEqual([92.4, 15008]);
+      expect(data.lastUpdated).toBe('2024-03-01T00:00:01.000Z');
+      expectProgressSequence(events, [25, 75, 100]);
+    }));
+
+    test('replays the provider rejecting a currency', () => withHttpFixture('exchange-rate-api', async () => {
+      const { response } = await runTool(convertCurrencyTool, { amount: 100, fromCurrency: 'KPW', toCurrency: 'EUR' });
+
+      const error = expectToolError(response, 'UNSUPPORTED_CURRENCY');
+      expect(error.message).toBe('Conversion from KPW to EUR is not supported');
+    }));
+  });
 });
@@ -0,0 +1,72 @@
+/**
+ * End-to-end tests for the unit conversion tool
+ */
+const { convertUnitsTool } = require('../convertUnits');
+const { runTool, expectProgressSequence, expectSuccess, expectToolError } = require('./toolHarness');
+
+describe('Unit Conversion Tool E2E Tests', () => {
+  test('converts miles to kilometres', async () => {
+    const { response, events } = await runTool(convertUnitsTool, { value: 26.2, fromUnit: 'miles', toUnit: 'km' });
+
+    expect(expectSuccess(response)).toEqual({
+      value: 26.2,
+      fromUnit: 'mi',
+      toUnit: 'km',
+      result: 42.1648128,
+      dimension: 'length',
+      precision: null,
+      equivalentString: '26.2 mi = 42.1648128 km',
+      fromUnitName: 'mile',
+      toUnitName: 'kilometre'
+    });
+    expectProgressSequence(events, [0, 100]);
+  });
+
+  test('rounds to the requested precision', async () => {
+    const { response } = await runTool(convertUnitsTool, { value: 98.6, fromUnit: 'F', toUnit: 'C', precision: 1 });
+
+    expect(expectSuccess(response)).toMatchObject({ result: 37, equivalentString: '98.6 °F = 37 °C', precision: 1 });
+  });
+
+  test('rejects units of different dimensions', async () => {
+    const { response, events } = await runTool(convertUnitsTool, { value: 5, fromUnit: 'lb', toUnit: 'L' });
+
+    expect(expectToolError(response, 'INVALID_ARGUMENT').details.violations).toEqual([
+      { field: 'toUnit', message: 'Measures volume and cannot be converted from lb, which measures mass' }
+    ]);
+    expect(events).toEqual([]);
+  });
+
+  test('rejects unknown and ambiguous units', async () => {
+    const { response } = await runTool(convertUnitsTool, { value: 5, fromUnit: 'furlong', toUnit: 'mB' });
+
+    expect(expectToolError(response, 'INVALID_ARGUMENT').details.violations).toEqual([
+      { field: 'fromUnit', message: 'Is not a supported unit' },
+      { field: 'toUnit', message: 'Is ambiguous; use one of: mbar, Mbit, MB' }
+    ]);
+  });
+
+  test('rejects temperatures below absolute zero', async () => {
+    const { response } = await runTool(convertUnitsTool, { value: -500, fromUnit: '°F', toUnit: 'K' });
+
+    expect(expectToolError(response, 'INVALID_ARGUMENT').details.violations).toEqual([
+      { field: 'value', message: 'Is below absolute zero' }
+    ]);
+  });
+
+  test('rejects values whose result is out of range', async () => {
+    const { response } = await runTool(convertUnitsTool, { value: 1e308, fromUnit: 'km', toUnit: 'mm' });
+
+    expect(expectToolError(response, 'INVALID_ARGUMENT').details.violations).toEqual([
+      { field: 'value', message: 'Result is out of range' }
+    ]);
+  });
+
+  test('rejects a precision outside the supported range', async () => {
+    const { response } = await runTool(convertUnitsTool, { value: 1, fromUnit: 'm', toUnit: 'ft', precision: 20 });
+
+    expect(expectToolError(response, 'INVALID_ARGUMENT').details.violations).toEqual([
+      { field: 'precision', message: 'Must be less than or equal to 12' }
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the ISO 4217 currency table
+ */
+const {
+  ISO_4217,
+  COUNTRY_CURRENCIES,
+  normalizeCurrencyCode,
+  getCurrency,
+  currencyForCountry,
+  isValidLocale,
+  formatCurrency
+} = require('../currencies');
+
+describe('Currencies', () => {
+  // Intl separates codes and symbols with non-breaking spaces
+  const plain = (text) => text.replace(/\s/g, ' ');
+
+  test('looks up names, symbols and minor units', () => {
+    expect(getCurrency('JPY')).toEqual({ code: 'JPY', name: 'Yen', symbol: '¥', minorUnits: 0 });
+    expect(getCurrency('BHD').minorUnits).toBe(3);
+    expect(getCurrency('KWD').minorUnits).toBe(3);
+    expect(getCurrency('EUR').symbol).toBe('€');
+    expect(getCurrency('XYZ')).toBeNull();
+  });
+
+  test('normalises codes before looking them up', () => {
+    expect(normalizeCurrencyCode(' gbp ')).toBe('GBP');
+    expect(getCurrency('usd').code).toBe('USD');
+    expect(normalizeCurrencyCode(null)).toBeNull();
+  });
+
+  test('only lists three-letter codes', () => {
+    for (const code of Object.keys(ISO_4217)) {
+      expect(code).toMatch(/^[A-Z]{3}$/);
+    }
+  });
+
+  test('looks up the currency used in a country', () => {
+    expect(currencyForCountry('JP')).toEqual(getCurrency('JPY'));
+    expect(currencyForCountry('gb').code).toBe('GBP');
+    expect(currencyForCountry('FR').code).toBe('EUR');
+    expect(currencyForCountry('PR').code).toBe('USD');
+    expect(currencyForCountry('ZZ')).toBeNull();
+    expect(currencyForCountry(null)).toBeNull();
+  });
+
+  test('maps every country onto a currency in the table', () => {
+    for (const [country, code] of Object.entries(COUNTRY_CURRENCIES)) {
+      expect({ country, known: code in ISO_4217 }).toEqual({ country, known: true });
+    }
+  });
+
+  test('formats amounts for a locale with the currency minor units', () => {
+    expect(plain(formatCurrency(1234.56, 'EUR', 'de-DE'))).toBe('1.234,56 €');
+    expect(formatCurrency(1235, 'JPY', 'en-US')).toBe('¥1,235');
+    expect(plain(formatCurrency(2.5, 'BHD', 'en-US'))).toBe('BHD 2.500');
+    expect(formatCurrency(10, 'USD')).toBe('$10.00');
+  });
+
+  test('recognises supported locales', () => {
+    expect(isValidLocale('ja-JP')).toBe(true);
+    expect(isValidLocale('not a locale')).toBe(false);
+  });
+});
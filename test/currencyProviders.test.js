@@ -0,0 +1,144 @@
+/**
+ * Tests for the pluggable currency providers
+ */
+const { convertCurrencyTool } = require('../convertCurrency');
+const {
+  currencyProviders,
+  createExchangeRateApiProvider,
+  createFixtureCurrencyProvider,
+} = require('../currencyProviders');
+const { responseCache } = require('../responseCache');
+const { telemetry, createJsonLogger } = require('../telemetry');
+const { clearSecrets } = require('../secrets');
+const axios = require('axios');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+describe('Currency Providers', () => {
+  // Helper function to parse the JSON string returned by the tool
+  const parseResponse = (jsonString) => JSON.parse(jsonString);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Start every test with an empty response cache
+    return responseCache.clear();
+  });
+
+  afterEach(() => {
+    // Go back to the default provider selection
+    currencyProviders.use(null);
+    delete process.env[currencyProviders.envVar];
+    telemetry.reset();
+    clearSecrets();
+  });
+
+  test('uses the default provider unless configured otherwise', () => {
+    expect(currencyProviders.current().name).toBe('default');
+    expect(currencyProviders.names()).toEqual(['default', 'exchange-rate-api', 'frankfurter', 'fixture']);
+  });
+
+  test('selects a provider through the environment', () => {
+    process.env.AGENT_TOOLS_CURRENCY_PROVIDER = 'fixture';
+
+    expect(currencyProviders.current().name).toBe('Offline fixtures');
+  });
+
+  test('rejects unknown provider names', () => {
+    expect(() => currencyProviders.use('fixer')).toThrow(
+      'Unknown currency provider "fixer". Available providers: default, exchange-rate-api, frankfurter, fixture'
+    );
+  });
+
+  test('reports an unknown provider in the environment as a configuration error', async () => {
+    process.env.AGENT_TOOLS_CURRENCY_PROVIDER = 'fixer';
+
+    const response = parseResponse(await convertCurrencyTool.executor({ amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' }));
+
+    expect(response.error).toMatchObject({
+      code: 'INVALID_CONFIGURATION',
+      message: 'Unknown currency provider "fixer". Available providers: default, exchange-rate-api, frankfurter, fixture',
+      details: { availableProviders: ['default', 'exchange-rate-api', 'frankfurter', 'fixture'] }
+    });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('converts offline with the fixture provider', async () => {
+    currencyProviders.use('fixture');
+
+    const result = await convertCurrencyTool.executor({
+      amount: 100,
+      fromCurrency: 'USD',
+      toCurrency: 'EUR'
+    });
+
+    const response = parseResponse(result);
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(response.data.amount).toBe(92.12);
+    expect(response.data.provider).toBe('Offline fixtures');
+  });
+
+  test('derives cross rates and weekday series from the fixture table', async () => {
+    const provider = createFixtureCurrencyProvider({
+      base: 'USD',
+      date: '2024-06-03',
+      rates: { USD: 1, EUR: 0.8, GBP: 0.6 }
+    });
+
+    const { rates } = await provider.getLatestRates('EUR');
+    const { series } = await provider.getRateSeries('EUR', 'GBP', '2024-06-07', '2024-06-10');
+
+    expect(rates).toEqual({ USD: 1.25, EUR: 1, GBP: 0.75 });
+    expect(series).toEqual([
+      { date: '2024-06-07', rate: 0.75 },
+      { date: '2024-06-10', rate: 0.75 }
+    ]);
+  });
+
+  test('uses a custom provider object and base URL', async () => {
+    axios.get.mockResolvedValueOnce({ data: { rates: { EUR: 0.9 } } });
+    currencyProviders.use(createExchangeRateApiProvider({ baseUrl: 'https://rates.internal/v4' }));
+
+    const result = await convertCurrencyTool.executor({
+      amount: 10,
+      fromCurrency: 'USD',
+      toCurrency: 'EUR'
+    });
+
+    expect(axios.get.mock.calls[0][0]).toBe('https://rates.internal/v4/latest/USD');
+    expect(parseResponse(result).data.amount).toBe(9);
+  });
+
+  test('reports a rejected API key from the paid endpoint as a configuration error', async () => {
+    axios.get.mockResolvedValueOnce({ data: { result: 'error', 'error-type': 'invalid-key' } });
+    currencyProviders.use(createExchangeRateApiProvider({ apiKey: 'bad-key-1234' }));
+
+    const response = parseResponse(await convertCurrencyTool.executor({ amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' }));
+
+    expect(axios.get.mock.calls[0][0]).toBe('https://v6.exchangerate-api.com/v6/bad-key-1234/latest/USD');
+    expect(response.error).toMatchObject({ code: 'INVALID_CONFIGURATION', retryable: false });
+    expect(response.error.message).toMatch(/invalid-key/);
+  });
+
+  test('keeps the key of a provider built directly out of the logged URL', async () => {
+    const lines = [];
+    telemetry.configure({ logger: createJsonLogger({ level: 'debug', write: (line) => lines.push(line) }) });
+    axios.get.mockResolvedValueOnce({ data: { result: 'success', time_last_update_unix: 1709251201, conversion_rates: { EUR: 0.9 } } });
+    currencyProviders.use(createExchangeRateApiProvider({ apiKey: 'direct-key-8642' }));
+
+    await convertCurrencyTool.executor({ amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' });
+
+    expect(lines.join('\n')).toContain('https://v6.exchangerate-api.com/v6/[REDACTED]/latest/USD');
+    expect(lines.join('\n')).not.toContain('direct-key-8642');
+  });
+
+  test('configures the selected provider with a tool\'s settings', () => {
+    const configured = currencyProviders.configured({ provider: 'frankfurter', baseUrl: 'https://fx.internal' });
+
+    expect(configured.name).toBe('Frankfurter (European Central Bank)');
+    expect(configured).not.toBe(currencyProviders.get('frankfurter'));
+    expect(currencyProviders.configured({ provider: 'fixture' })).toBe(currencyProviders.get('fixture'));
+    expect(() => currencyProviders.configured({ baseUrl: 'https://fx.internal' })).toThrow(/needs the provider setting/);
+  });
+});
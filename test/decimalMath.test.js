@@ -0,0 +1,34 @@
+/**
+ * Tests for exact decimal arithmetic
+ */
+const { parseDecimal, multiplyDecimals, formatDecimal, roundDecimal, multiplyAndRound } = require('../decimalMath');
+
+describe('Decimal Math', () => {
+  test('reads numbers as the decimals they print as', () => {
+    expect(parseDecimal(0.1)).toEqual({ digits: 1n, scale: 1 });
+    expect(parseDecimal(-12.05)).toEqual({ digits: -1205n, scale: 2 });
+    expect(parseDecimal(1e21)).toEqual({ digits: 10n ** 21n, scale: 0 });
+    expect(parseDecimal(2.5e-7)).toEqual({ digits: 25n, scale: 8 });
+    expect(() => parseDecimal(Infinity)).toThrow(RangeError);
+  });
+
+  test('multiplies without floating-point error', () => {
+    // 0.1 * 0.2 is 0.020000000000000004 in floating point
+    expect(formatDecimal(multiplyDecimals(0.1, 0.2))).toBe('0.02');
+    expect(formatDecimal(multiplyDecimals(123.45, 0.8537))).toBe('105.389265');
+  });
+
+  test('rounds halves away from zero', () => {
+    expect(roundDecimal(parseDecimal(1.005), 2)).toBe(1.01);
+    expect(roundDecimal(parseDecimal(-1.005), 2)).toBe(-1.01);
+    expect(roundDecimal(parseDecimal(1.004), 2)).toBe(1);
+    expect(roundDecimal(parseDecimal(2.5), 0)).toBe(3);
+    expect(roundDecimal(parseDecimal(7), 3)).toBe(7);
+  });
+
+  test('multiplies and rounds in one step', () => {
+    expect(multiplyAndRound(8.1649, 151.237, 0)).toBe(1235);
+    expect(multiplyAndRound(8.1649, 0.30745, 3)).toBe(2.51);
+    expect(multiplyAndRound(0.0001, 0.0001, 2)).toBe(0);
+  });
+});
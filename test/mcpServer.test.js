@@ -0,0 +1,110 @@
+/**
+ * Tests for the MCP server adapter, using an in-process MCP client
+ */
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createMcpServer, startHttpServer, parseServerArguments } = require('../mcpServer');
+const { currencyProviders } = require('../currencyProviders');
+const { weatherProviders } = require('../weatherProviders');
+const { responseCache } = require('../responseCache');
+
+describe('MCP Server', () => {
+  let client;
+  let server;
+
+  beforeEach(async () => {
+    // Serve the tools offline from the fixture providers
+    currencyProviders.use('fixture');
+    weatherProviders.use('fixture');
+    await responseCache.clear();
+
+    server = createMcpServer();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+    currencyProviders.use(null);
+    weatherProviders.use(null);
+  });
+
+  test('lists every registered tool with its input schema', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.map((tool) => tool.name)).toEqual(['convert-currency', 'convert-units', 'weather-forecast', 'world-time', 'travel-briefing']);
+    expect(tools[0].inputSchema.required).toContain('amount');
+    expect(tools[2].description).toMatch(/weather/);
+  });
+
+  test('calls a tool and returns its JSON result as text', async () => {
+    const result = await client.callTool({
+      name: 'convert-currency',
+      arguments: { amount: 100, fromCurrency: 'USD', toCurrency: 'EUR' }
+    });
+
+    expect(result.isError).toBe(false);
+    expect(JSON.parse(result.content[0].text).data.amount).toBe(92.12);
+  });
+
+  test('forwards progress events as MCP progress notifications', async () => {
+    const onprogress = jest.fn();
+
+    await client.callTool({
+      name: 'weather-forecast',
+      arguments: { location: 'London', units: 'metric' }
+    }, undefined, { onprogress });
+
+    expect(onprogress.mock.calls.map(([progress]) => progress.progress)).toEqual([25, 75, 100]);
+    expect(onprogress.mock.calls[0][0]).toMatchObject({ total: 100, message: 'Fetching weather data for London...' });
+  });
+
+  test('flags tool errors with isError', async () => {
+    const result = await client.callTool({
+      name: 'weather-forecast',
+      arguments: { location: 'Atlantis', units: 'metric' }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text).error.code).toBe('LOCATION_NOT_FOUND');
+  });
+});
+
+describe('MCP HTTP Server', () => {
+  test('answers a tools/list request over HTTP', async () => {
+    const httpServer = await startHttpServer({ port: 0 });
+    const { port } = httpServer.address();
+
+    try {
+      const response = await fetch(`http://localhost:${port}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+      });
+      const body = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(body).toContain('convert-currency');
+    } finally {
+      await new Promise((resolve) => httpServer.close(resolve));
+    }
+  });
+});
+
+describe('MCP server command line', () => {
+  test('reads the transport and port', () => {
+    expect(parseServerArguments([])).toEqual({ http: false, port: 3000 });
+    expect(parseServerArguments(['--http', '--port', '8080'])).toEqual({ http: true, port: 8080 });
+    expect(parseServerArguments(['--http', '--port', '0'])).toEqual({ http: true, port: 0 });
+  });
+
+  test('rejects a missing or invalid port', () => {
+    expect(() => parseServerArguments(['--http', '--port'])).toThrow('--port must be an integer from 0 to 65535');
+    expect(() => parseServerArguments(['--http', '--port', 'abc'])).toThrow('--port must be an integer from 0 to 65535, not "abc"');
+    expect(() => parseServerArguments(['--http', '--port', '65536'])).toThrow(/not "65536"/);
+    expect(() => parseServerArguments(['--port', '--http'])).toThrow(/not "--http"/);
+  });
+});
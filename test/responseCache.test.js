@@ -0,0 +1,215 @@
+/**
+ * Tests for the response cache
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  responseCache,
+  createResponseCache,
+  createFileCacheBackend,
+} = require('../responseCache');
+const { convertCurrencyTool } = require('../convertCurrency');
+const axios = require('axios');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+describe('Response Cache', () => {
+  // Helper function to parse the JSON string returned by the tool
+  const parseResponse = (jsonString) => JSON.parse(jsonString);
+
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    return responseCache.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves fresh entries from the cache and reports their age', async () => {
+    const cache = createResponseCache({ ttls: { 'currency:latest': 60000 } });
+    const load = jest.fn().mockResolvedValue({ rates: { EUR: 0.9 } });
+
+    const first = await cache.fetch('currency:latest', 'USD', load);
+    now += 30000;
+    const second = await cache.fetch('currency:latest', 'USD', load);
+
+    expect(first).toEqual({ value: { rates: { EUR: 0.9 } }, cached: false, age: null });
+    expect(second).toEqual({ value: { rates: { EUR: 0.9 } }, cached: true, age: 30 });
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('reloads entries once their TTL has passed', async () => {
+    const cache = createResponseCache({ ttls: { 'currency:latest': 60000 } });
+    const load = jest.fn().mockResolvedValue({ rates: {} });
+
+    await cache.fetch('currency:latest', 'USD', load);
+    now += 60000;
+    const result = await cache.fetch('currency:latest', 'USD', load);
+
+    expect(result.cached).toBe(false);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('lets providers override the TTL for their responses', async () => {
+    const cache = createResponseCache();
+    const provider = { name: 'live-only', cacheTtls: { latest: 0 } };
+    const load = jest.fn().mockResolvedValue({ rates: {} });
+
+    await cache.fetch('currency:latest', 'USD', load, { provider });
+    await cache.fetch('currency:latest', 'USD', load, { provider });
+
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('coalesces concurrent identical lookups', async () => {
+    const cache = createResponseCache();
+    let resolve;
+    const load = jest.fn(() => new Promise((done) => { resolve = done; }));
+
+    const pending = [
+      cache.fetch('weather:geocode', 'en:paris', load),
+      cache.fetch('weather:geocode', 'en:paris', load)
+    ];
+    // Let the cache lookups settle before the load finishes
+    await new Promise((done) => setImmediate(done));
+    resolve([{ name: 'Paris' }]);
+
+    const results = await Promise.all(pending);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(results[0].value).toBe(results[1].value);
+  });
+
+  test('keeps a coalesced load going when only one caller cancels', async () => {
+    const cache = createResponseCache();
+    const controller = new AbortController();
+    let resolve;
+    let shared;
+    const load = jest.fn((request) => {
+      shared = request;
+      return new Promise((done) => { resolve = done; });
+    });
+
+    const first = cache.fetch('weather:geocode', 'en:paris', load, { request: { signal: controller.signal } });
+    const second = cache.fetch('weather:geocode', 'en:paris', load);
+    await new Promise((done) => setImmediate(done));
+
+    controller.abort();
+    await expect(first).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(shared.signal.aborted).toBe(false);
+
+    resolve([{ name: 'Paris' }]);
+    await expect(second).resolves.toEqual({ value: [{ name: 'Paris' }], cached: false, age: null });
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborts a coalesced load once every caller has cancelled', async () => {
+    const cache = createResponseCache();
+    const controllers = [new AbortController(), new AbortController()];
+    let shared;
+    const load = jest.fn((request) => {
+      shared = request;
+      return new Promise(() => {});
+    });
+
+    const pending = controllers.map((controller) =>
+      cache.fetch('weather:geocode', 'en:paris', load, { request: { signal: controller.signal } }));
+    await new Promise((done) => setImmediate(done));
+
+    controllers[0].abort();
+    expect(shared.signal.aborted).toBe(false);
+    controllers[1].abort();
+    expect(shared.signal.aborted).toBe(true);
+    await Promise.all(pending.map((call) => expect(call).rejects.toMatchObject({ code: 'CANCELLED' })));
+
+    // The abandoned load is not joined by later lookups
+    load.mockResolvedValueOnce([{ name: 'Paris' }]);
+    await expect(cache.fetch('weather:geocode', 'en:paris', load)).resolves.toMatchObject({ cached: false });
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports retries of a coalesced load to every caller still waiting', async () => {
+    const cache = createResponseCache();
+    const controller = new AbortController();
+    const retries = [jest.fn(), jest.fn(), jest.fn()];
+    let resolve;
+    let shared;
+    const load = jest.fn((request) => {
+      shared = request;
+      return new Promise((done) => { resolve = done; });
+    });
+
+    const pending = [
+      cache.fetch('weather:geocode', 'en:paris', load, { request: { onRetry: retries[0] } }),
+      cache.fetch('weather:geocode', 'en:paris', load, { request: { onRetry: retries[1], signal: controller.signal } }),
+      cache.fetch('weather:geocode', 'en:paris', load, { request: { onRetry: retries[2] } })
+    ];
+    await new Promise((done) => setImmediate(done));
+
+    controller.abort();
+    await expect(pending[1]).rejects.toMatchObject({ code: 'CANCELLED' });
+    shared.onRetry({ attempt: 2, maxAttempts: 3, delay: 100, reason: 'HTTP 503' });
+    resolve([]);
+    await Promise.all([pending[0], pending[2]]);
+
+    expect(retries[0]).toHaveBeenCalledWith(expect.objectContaining({ attempt: 2 }));
+    expect(retries[1]).not.toHaveBeenCalled();
+    expect(retries[2]).toHaveBeenCalledWith(expect.objectContaining({ attempt: 2 }));
+  });
+
+  test('does not cache failed loads', async () => {
+    const cache = createResponseCache();
+    const load = jest.fn()
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce({ rates: {} });
+
+    await expect(cache.fetch('currency:latest', 'USD', load)).rejects.toThrow('Network error');
+    const result = await cache.fetch('currency:latest', 'USD', load);
+
+    expect(result.cached).toBe(false);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('persists entries with the file backend', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-tools-cache-test-'));
+    const load = jest.fn().mockResolvedValue({ rates: { GBP: 0.78 } });
+
+    try {
+      await createResponseCache({ backend: createFileCacheBackend({ directory }) })
+        .fetch('currency:latest', 'USD', load);
+      now += 1000;
+      const result = await createResponseCache({ backend: createFileCacheBackend({ directory }) })
+        .fetch('currency:latest', 'USD', load);
+
+      expect(result).toEqual({ value: { rates: { GBP: 0.78 } }, cached: true, age: 1 });
+      expect(load).toHaveBeenCalledTimes(1);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('reports cache hits in the currency tool output', async () => {
+    axios.get.mockResolvedValue({ data: { rates: { EUR: 0.85, GBP: 0.75 } } });
+
+    const first = parseResponse(await convertCurrencyTool.executor({
+      amount: 10, fromCurrency: 'USD', toCurrency: 'EUR'
+    }));
+    now += 5000;
+    const second = parseResponse(await convertCurrencyTool.executor({
+      amount: 10, fromCurrency: 'USD', toCurrency: 'GBP'
+    }));
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(first.data.cached).toBe(false);
+    expect(second.data.cached).toBe(true);
+    expect(second.data.cacheAge).toBe(5);
+    expect(second.data.amount).toBe(7.5);
+  });
+});
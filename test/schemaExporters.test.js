@@ -0,0 +1,116 @@
+/**
+ * Tests for the vendor schema exporters and tool-call parsers
+ */
+const { exportTool, exportTools, parseToolCall, invokeToolCall } = require('../schemaExporters');
+const { registry, weatherForecastTool, convertCurrencyTool } = require('../index');
+const { currencyProviders } = require('../currencyProviders');
+const { responseCache } = require('../responseCache');
+
+describe('Schema Exporters', () => {
+  // Helper function to parse the JSON string returned by a tool
+  const parseResponse = (jsonString) => JSON.parse(jsonString);
+
+  test('exports OpenAI definitions without defaults in strict mode', () => {
+    const definition = exportTool(weatherForecastTool, 'openai');
+
+    expect(definition.type).toBe('function');
+    expect(definition.function.strict).toBe(true);
+    expect(definition.function.parameters.properties.units).toEqual({
+      type: ['string', 'null'],
+      description: 'Units of measurement: metric (Celsius) or imperial (Fahrenheit), or null for the configured default (metric unless configured otherwise)',
+      enum: ['metric', 'imperial', null]
+    });
+    // The original definition is left untouched
+    expect(weatherForecastTool.toolDefinition.function.parameters.properties.granularity.default).toBe('daily');
+  });
+
+  test('exports Anthropic tools with an input schema', () => {
+    const definition = exportTool(weatherForecastTool, 'anthropic');
+
+    expect(Object.keys(definition)).toEqual(['name', 'description', 'input_schema']);
+    expect(definition.input_schema).toBe(weatherForecastTool.toolDefinition.function.parameters);
+  });
+
+  test('exports Gemini declarations in its schema dialect', () => {
+    const { parameters } = exportTool(weatherForecastTool, 'gemini');
+
+    expect(parameters.type).toBe('OBJECT');
+    expect(parameters.additionalProperties).toBeUndefined();
+    expect(parameters.properties.units).toEqual({
+      type: 'STRING',
+      nullable: true,
+      description: 'Units of measurement: metric (Celsius) or imperial (Fahrenheit), or null for the configured default (metric unless configured otherwise)',
+      enum: ['metric', 'imperial'],
+      format: 'enum'
+    });
+    expect(parameters.properties.days).toMatchObject({ type: 'INTEGER', nullable: true, minimum: 1, maximum: 16 });
+    expect(parameters.properties.days.default).toBeUndefined();
+  });
+
+  test('exports Gemini unions of several types as one branch per type', () => {
+    const { parameters } = exportTool(convertCurrencyTool, 'gemini');
+
+    expect(parameters.properties.toCurrency).toEqual({
+      description: expect.any(String),
+      nullable: true,
+      anyOf: [
+        { type: 'STRING', pattern: expect.any(String) },
+        { type: 'ARRAY', items: { type: 'STRING', pattern: expect.any(String) }, minItems: 1, maxItems: 50 }
+      ]
+    });
+  });
+
+  test('exports Bedrock tool specs', () => {
+    const definitions = exportTools(registry, 'bedrock');
+
+    expect(definitions.map((definition) => definition.toolSpec.name)).toEqual(['convert-currency', 'convert-units', 'weather-forecast', 'world-time', 'travel-briefing']);
+    expect(definitions[0].toolSpec.inputSchema.json.required).toContain('amount');
+  });
+
+  test('rejects unknown vendors', () => {
+    expect(() => exportTool(weatherForecastTool, 'acme')).toThrow(
+      'Unknown vendor "acme". Supported vendors: openai, anthropic, gemini, bedrock'
+    );
+  });
+
+  test('parses each vendor tool-call payload into executor arguments', () => {
+    const expected = { name: 'weather-forecast', args: { location: 'Paris', units: 'metric' } };
+
+    expect(parseToolCall('openai', {
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'weather-forecast', arguments: '{"location":"Paris","units":"metric"}' }
+    })).toEqual({ id: 'call_1', ...expected });
+    expect(parseToolCall('anthropic', {
+      type: 'tool_use', id: 'toolu_1', name: 'weather-forecast', input: expected.args
+    })).toEqual({ id: 'toolu_1', ...expected });
+    expect(parseToolCall('gemini', {
+      functionCall: { name: 'weather-forecast', args: expected.args }
+    })).toEqual({ id: null, ...expected });
+    expect(parseToolCall('bedrock', {
+      toolUse: { toolUseId: 'tooluse_1', name: 'weather-forecast', input: expected.args }
+    })).toEqual({ id: 'tooluse_1', ...expected });
+  });
+
+  test('reports malformed OpenAI arguments as INVALID_ARGUMENT', () => {
+    expect(() => parseToolCall('openai', { function: { name: 'weather-forecast', arguments: '{"location":' } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+  });
+
+  test('invokes the tool named in a vendor tool call', async () => {
+    currencyProviders.use('fixture');
+    await responseCache.clear();
+
+    const result = await invokeToolCall(registry, 'anthropic', {
+      type: 'tool_use',
+      id: 'toolu_2',
+      name: 'convert-currency',
+      input: { amount: 100, fromCurrency: 'USD', toCurrency: 'EUR' }
+    });
+
+    expect(parseResponse(result).data.amount).toBe(92.12);
+    expect(parseResponse(await invokeToolCall(registry, 'bedrock', { toolUse: {} })).error.code)
+      .toBe('INVALID_ARGUMENT');
+    currencyProviders.use(null);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for time zone offsets, transitions and local time resolution
+ */
+const {
+  isValidTimeZone,
+  offsetAt,
+  formatOffset,
+  formatLocalTime,
+  nextTransition,
+  describeTimeZone,
+  parseTimestamp,
+  zonedTimeToInstant
+} = require('../timeZones');
+
+const at = (iso) => Date.parse(iso);
+
+describe('timeZones', () => {
+  test('recognises IANA zones from the bundled database', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+
+  test('finds offsets, including half hours and south of the equator', () => {
+    expect(offsetAt('America/New_York', at('2024-01-15T12:00:00Z'))).toBe(-5 * 3600);
+    expect(offsetAt('America/New_York', at('2024-07-15T12:00:00Z'))).toBe(-4 * 3600);
+    expect(offsetAt('Asia/Kolkata', at('2024-07-15T12:00:00Z'))).toBe(5.5 * 3600);
+    expect(offsetAt('Australia/Sydney', at('2024-01-15T12:00:00Z'))).toBe(11 * 3600);
+  });
+
+  test('formats offsets and local times', () => {
+    expect(formatOffset(0)).toBe('+00:00');
+    expect(formatOffset(-9.5 * 3600)).toBe('-09:30');
+    expect(formatOffset(5.75 * 3600)).toBe('+05:45');
+    expect(formatLocalTime('Asia/Tokyo', at('2024-12-31T20:30:00Z'))).toBe('2025-01-01T05:30:00');
+  });
+
+  test('finds the next daylight saving transition to the second', () => {
+    expect(nextTransition('Europe/London', at('2024-03-01T00:00:00Z'))).toEqual({
+      instant: at('2024-03-31T01:00:00Z'),
+      offsetBefore: 0,
+      offsetAfter: 3600
+    });
+    expect(nextTransition('Asia/Tokyo', at('2024-03-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('describes a zone at an instant', () => {
+    expect(describeTimeZone('America/New_York', at('2024-07-04T16:00:00Z'))).toEqual({
+      timezone: 'America/New_York',
+      localTime: '2024-07-04T12:00:00',
+      utcOffset: '-04:00',
+      utcOffsetSeconds: -14400,
+      abbreviation: 'EDT',
+      isDst: true,
+      nextTransition: {
+        time: '2024-11-03T06:00:00.000Z',
+        localTime: '2024-11-03T01:00:00',
+        utcOffsetBefore: '-04:00',
+        utcOffsetAfter: '-05:00'
+      }
+    });
+    expect(describeTimeZone('Australia/Sydney', at('2024-07-04T16:00:00Z')).isDst).toBe(false);
+  });
+
+  test('parses timestamps with and without offsets', () => {
+    expect(parseTimestamp('2024-03-10T02:30')).toEqual({ local: at('2024-03-10T02:30:00Z'), offsetSeconds: null });
+    expect(parseTimestamp('2024-03-10T02:30:15.5Z')).toEqual({ local: at('2024-03-10T02:30:15.500Z'), offsetSeconds: 0 });
+    expect(parseTimestamp('2024-03-10T02:30-03:30').offsetSeconds).toBe(-12600);
+    expect(parseTimestamp('2024-02-30T10:00')).toBeNull();
+    expect(parseTimestamp('2024-03-10T25:00')).toBeNull();
+  });
+
+  describe('zonedTimeToInstant', () => {
+    test('reads ordinary local times with the offset in force', () => {
+      expect(zonedTimeToInstant(at('2024-07-04T12:00:00Z'), 'America/New_York')).toEqual({
+        instant: at('2024-07-04T16:00:00Z'),
+        adjustment: null,
+        alternatives: []
+      });
+    });
+
+    test('moves times skipped when clocks go forward past the gap', () => {
+      const resolved = zonedTimeToInstant(at('2024-03-10T02:30:00Z'), 'America/New_York');
+
+      expect(resolved).toEqual({ instant: at('2024-03-10T07:30:00Z'), adjustment: 'skipped', alternatives: [] });
+      expect(formatLocalTime('America/New_York', resolved.instant)).toBe('2024-03-10T03:30:00');
+    });
+
+    test('takes the earlier of two times repeated when clocks go back', () => {
+      expect(zonedTimeToInstant(at('2024-11-03T01:30:00Z'), 'America/New_York')).toEqual({
+        instant: at('2024-11-03T05:30:00Z'),
+        adjustment: 'repeated',
+        alternatives: [at('2024-11-03T06:30:00Z')]
+      });
+    });
+  });
+});
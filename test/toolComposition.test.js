@@ -0,0 +1,149 @@
+/**
+ * Tests for composite tools that call other tools
+ */
+const { createCompositeTool, scopeEvents } = require('../toolComposition');
+const { createToolError, errorResponse } = require('../toolErrors');
+const { createEventEmitter } = require('../toolEvents');
+const { telemetry, createRecordingTracer, SPAN_KIND } = require('../telemetry');
+const { runTool, expectProgressSequence, expectSuccess, expectToolError } = require('./toolHarness');
+
+// A tool with two steps that echoes its argument, or fails when asked to
+const echoTool = {
+  name: 'echo',
+  steps: [
+    { id: 'think', description: 'Think', progress: 0 },
+    { id: 'answer', description: 'Answer', progress: 50 },
+  ],
+  executor: async ({ publishToClient, text }) => {
+    if (text === 'fail') {
+      return errorResponse(createToolError('UPSTREAM_UNAVAILABLE', 'Echo is down'));
+    }
+
+    const events = createEventEmitter(publishToClient, echoTool.steps);
+    events.startStep('think', 'Thinking...');
+    events.completeStep('think');
+    events.startStep('answer', 'Answering...');
+    events.warning('Echoing', { code: 'ECHO' });
+    events.completeStep('answer');
+    return JSON.stringify({ data: { text } });
+  },
+};
+
+function createPairTool(run) {
+  return createCompositeTool({
+    name: 'pair',
+    description: 'Echo two texts',
+    parameters: {
+      type: 'object',
+      properties: {
+        first: { type: 'string', description: 'First text' },
+        second: { type: 'string', description: 'Second text' },
+      },
+      required: ['first', 'second'],
+      additionalProperties: false,
+    },
+    steps: [
+      { id: 'first', description: 'Echo the first text', progress: 0 },
+      { id: 'second', description: 'Echo the second text', progress: 40 },
+    ],
+    check: ({ first, second }) => (first === second ? [{ field: 'second', message: 'Must differ from first' }] : []),
+    run
+  });
+}
+
+const echoBoth = async ({ first, second }, { call, unwrap }) => ({
+  first: unwrap(await call('first', echoTool, { text: first })).text,
+  second: unwrap(await call('second', echoTool, { text: second })).text
+});
+
+describe('Tool composition', () => {
+  afterEach(() => {
+    telemetry.reset();
+  });
+
+  test('defines a strict tool with an empty configuration schema', () => {
+    const tool = createPairTool(echoBoth);
+
+    expect(tool.name).toBe('pair');
+    expect(tool.toolDefinition.function).toEqual(expect.objectContaining({ name: 'pair', strict: true }));
+    expect(tool.configSchema).toEqual({ type: 'object', properties: {}, additionalProperties: false });
+  });
+
+  test('returns the data of its run', async () => {
+    const { response } = await runTool(createPairTool(echoBoth), { first: 'a', second: 'b' });
+
+    expect(expectSuccess(response)).toEqual({ first: 'a', second: 'b' });
+  });
+
+  test('passes events through under the calling step, scaling progress into its share', async () => {
+    const { events } = await runTool(createPairTool(echoBoth), { first: 'a', second: 'b' });
+
+    expectProgressSequence(events, [0, 0, 20, 40, 40, 40, 70, 100, 100]);
+    expect(events.filter((event) => event.type === 'step_started').map((event) => event.data.step))
+      .toEqual(['first', 'first.think', 'first.answer', 'second', 'second.think', 'second.answer']);
+    expect(events).toContainEqual(expect.objectContaining({ type: 'warning', data: { message: 'Echoing', code: 'ECHO' } }));
+  });
+
+  test('checks its arguments before calling anything', async () => {
+    const run = jest.fn();
+
+    const { response, events } = await runTool(createPairTool(run), { first: 'a', second: 'a' });
+
+    const error = expectToolError(response, 'INVALID_ARGUMENT');
+    expect(error.details.violations).toEqual([{ field: 'second', message: 'Must differ from first' }]);
+    expect(run).not.toHaveBeenCalled();
+    expect(events).toEqual([]);
+  });
+
+  test('fails with the error of an unwrapped call', async () => {
+    const { response } = await runTool(createPairTool(echoBoth), { first: 'a', second: 'fail' });
+
+    const error = expectToolError(response, 'UPSTREAM_UNAVAILABLE');
+    expect(error).toEqual(expect.objectContaining({ message: 'Echo is down', retryable: true }));
+  });
+
+  test('lets the run handle a failed call itself', async () => {
+    const tool = createPairTool(async ({ first, second }, { call }) => ({
+      first: (await call('first', echoTool, { text: first })).data.text,
+      second: (await call('second', echoTool, { text: second })).error.code
+    }));
+
+    const { response, events } = await runTool(tool, { first: 'a', second: 'fail' });
+
+    expect(expectSuccess(response)).toEqual({ first: 'a', second: 'UPSTREAM_UNAVAILABLE' });
+    expectProgressSequence(events);
+  });
+
+  test('stops before the next call once cancelled', async () => {
+    const controller = new AbortController();
+    const tool = createPairTool(async ({ first, second }, { call, unwrap }) => {
+      unwrap(await call('first', echoTool, { text: first }));
+      controller.abort();
+      return unwrap(await call('second', echoTool, { text: second }));
+    });
+
+    const { response, events } = await runTool(tool, { first: 'a', second: 'b' }, { signal: controller.signal });
+
+    expectToolError(response, 'CANCELLED');
+    expect(events.map((event) => event.data.step)).not.toContain('second');
+  });
+
+  test('traces each call nested under the composite call', async () => {
+    const tracer = createRecordingTracer();
+    telemetry.configure({ tracer });
+    const tool = createPairTool(echoBoth);
+
+    await telemetry.traceToolCall('pair', {}, () => tool.executor({ first: 'a', second: 'b' }));
+
+    const spans = tracer.spans();
+    const parent = spans.find((span) => span.name === 'execute_tool pair');
+    expect(spans.filter((span) => span.name === 'execute_tool echo')).toEqual([
+      expect.objectContaining({ kind: SPAN_KIND.INTERNAL, parentSpanId: parent.spanId }),
+      expect.objectContaining({ kind: SPAN_KIND.INTERNAL, parentSpanId: parent.spanId }),
+    ]);
+  });
+
+  test('scopes events without a client to nothing', () => {
+    expect(scopeEvents(undefined, 'first', { from: 0, to: 50 })).toBeUndefined();
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for per-tool configuration and keeping configured secrets out of logs and errors
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createToolConfig, toolConfig, envVarName } = require('../toolConfig');
+const { MAX_TRANSIENT_SECRETS, clearSecrets, maskSecrets } = require('../secrets');
+const { telemetry, createJsonLogger } = require('../telemetry');
+const { registry } = require('../index');
+const { responseCache } = require('../responseCache');
+const { describeWeatherCode } = require('../weatherCodes');
+const { expectSuccess, expectToolError } = require('./toolHarness');
+const axios = require('axios');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+// A tool with one setting of each kind
+const tool = {
+  name: 'demo-tool',
+  configSchema: {
+    type: 'object',
+    properties: {
+      baseUrl: { type: ['string', 'null'], pattern: '^https?://', default: null },
+      apiKey: { type: ['string', 'null'], secret: true, default: null },
+      timeout: { type: ['integer', 'null'], minimum: 1, default: null },
+      verbose: { type: 'boolean', default: false },
+      units: { type: 'string', enum: ['metric', 'imperial'], default: 'metric' },
+    },
+    additionalProperties: false,
+  },
+};
+
+describe('Tool Configuration', () => {
+  let directory;
+
+  const writeConfig = (content) => {
+    const file = path.join(directory, 'agent-tools.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-tools-config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    clearSecrets();
+  });
+
+  test('names environment variables after the tool and setting', () => {
+    expect(envVarName('weather-forecast', 'apiKey')).toBe('AGENT_TOOLS_WEATHER_FORECAST_API_KEY');
+    expect(envVarName('convert-currency', 'baseUrl')).toBe('AGENT_TOOLS_CONVERT_CURRENCY_BASE_URL');
+  });
+
+  test('uses the schema defaults when nothing is configured', () => {
+    const config = createToolConfig({ env: {} });
+
+    expect(config.resolve(tool)).toEqual({ baseUrl: null, apiKey: null, timeout: null, verbose: false, units: 'metric' });
+    expect(Object.isFrozen(config.resolve(tool))).toBe(true);
+  });
+
+  test('merges the file, in-code values, environment and call overrides in that order', () => {
+    const file = writeConfig({ tools: { 'demo-tool': { baseUrl: 'https://file.example', timeout: 1000, units: 'imperial' } } });
+    const config = createToolConfig({
+      env: {
+        AGENT_TOOLS_CONFIG: file,
+        AGENT_TOOLS_DEMO_TOOL_TIMEOUT: '2000',
+        AGENT_TOOLS_DEMO_TOOL_VERBOSE: 'true',
+        AGENT_TOOLS_DEMO_TOOL_API_KEY: 'env-key-123'
+      },
+      values: { 'demo-tool': { baseUrl: 'https://code.example', timeout: 1500 } }
+    });
+
+    expect(config.resolve(tool, { apiKey: 'call-key-456' })).toEqual({
+      baseUrl: 'https://code.example',
+      apiKey: 'call-key-456',
+      timeout: 2000,
+      verbose: true,
+      units: 'imperial'
+    });
+  });
+
+  test('names the source of each invalid setting without quoting the value', () => {
+    const config = createToolConfig({
+      env: { AGENT_TOOLS_DEMO_TOOL_TIMEOUT: 'soon', AGENT_TOOLS_DEMO_TOOL_API_KEY: 'super-secret-key' }
+    });
+
+    let thrown;
+    try {
+      config.resolve(tool, { baseUrl: 'ftp://super-secret-key@example.com', colour: 'blue' });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.code).toBe('INVALID_CONFIGURATION');
+    expect(thrown.details.violations).toEqual([
+      { field: 'timeout', message: 'Expected integer or null but received string', source: 'environment variable AGENT_TOOLS_DEMO_TOOL_TIMEOUT' },
+      { field: 'baseUrl', message: 'Must match the pattern ^https?://', source: 'call overrides' },
+      { field: 'colour', message: 'Is not an allowed property', source: 'call overrides' }
+    ]);
+    expect(JSON.stringify({ message: thrown.message, details: thrown.details })).not.toMatch(/super-secret-key/);
+  });
+
+  test('reports unreadable config files without quoting them', () => {
+    const broken = writeConfig('{ "tools": { "demo-tool": { "apiKey": "leaked-key-789" ');
+
+    expect(() => createToolConfig({ file: broken, env: {} }).resolve(tool)).toThrow(`Config file ${broken} is not valid JSON`);
+    expect(() => createToolConfig({ file: broken, env: {} }).resolve(tool)).not.toThrow(/leaked-key-789/);
+    expect(() => createToolConfig({ file: path.join(directory, 'missing.json'), env: {} }).resolve(tool))
+      .toThrow(/does not exist/);
+    expect(() => createToolConfig({ file: writeConfig([]), env: {} }).resolve(tool)).toThrow(/"tools" object/);
+  });
+
+  test('re-reads the config file after configure', () => {
+    const config = createToolConfig({ file: writeConfig({ tools: { 'demo-tool': { units: 'imperial' } } }), env: {} });
+    expect(config.resolve(tool).units).toBe('imperial');
+
+    config.configure({ file: writeConfig({ tools: {} }) });
+    expect(config.resolve(tool).units).toBe('metric');
+  });
+
+  test('registers secret settings so they are masked from then on', () => {
+    createToolConfig({ env: {} }).resolve(tool, { apiKey: 'masked-key-0001' });
+
+    expect(maskSecrets('rejected masked-key-0001')).toBe('rejected [REDACTED]');
+  });
+
+  test('lets secrets from call overrides expire while configured ones stay masked', () => {
+    const config = createToolConfig({ env: { AGENT_TOOLS_DEMO_TOOL_API_KEY: 'configured-key-0001' } });
+    config.resolve(tool);
+
+    for (let index = 0; index <= MAX_TRANSIENT_SECRETS; index++) {
+      config.resolve(tool, { apiKey: `call-key-${String(index).padStart(4, '0')}` });
+    }
+
+    expect(maskSecrets('call-key-0000')).toBe('call-key-0000');
+    expect(maskSecrets('configured-key-0001')).toBe('[REDACTED]');
+  });
+
+  test('describes each setting with its environment variable', () => {
+    expect(createToolConfig({ env: {} }).describe(tool)[1]).toEqual({
+      key: 'apiKey',
+      envVar: 'AGENT_TOOLS_DEMO_TOOL_API_KEY',
+      description: null,
+      secret: true,
+      default: null
+    });
+  });
+
+  describe('configured tools', () => {
+    let lines;
+
+    beforeEach(async () => {
+      axios.get.mockReset();
+      await responseCache.clear();
+      lines = [];
+      telemetry.configure({ logger: createJsonLogger({ level: 'debug', write: (line) => lines.push(line) }) });
+    });
+
+    afterEach(() => {
+      telemetry.reset();
+      toolConfig.configure({ file: null, env: process.env, values: {} });
+    });
+
+    test('applies per-call overrides passed through the registry', async () => {
+      axios.get.mockResolvedValueOnce({ data: { result: 'success', time_last_update_unix: 1709251201, conversion_rates: { EUR: 0.9 } } });
+
+      const result = await registry.invoke('convert-currency', { amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' }, {
+        config: { provider: 'exchange-rate-api', apiKey: 'paid-key-2468', timeout: 4000 }
+      });
+
+      expect(expectSuccess(JSON.parse(result)).amount).toBe(9);
+      expect(axios.get).toHaveBeenCalledWith('https://v6.exchangerate-api.com/v6/paid-key-2468/latest/USD', { timeout: 4000 });
+      expect(lines.join('\n')).toContain('https://v6.exchangerate-api.com/v6/[REDACTED]/latest/USD');
+      expect(lines.join('\n')).not.toContain('paid-key-2468');
+    });
+
+    test('keeps responses cached for one API key away from calls with another', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { result: 'success', time_last_update_unix: 1709251201, conversion_rates: { EUR: 0.9 } } })
+        .mockResolvedValueOnce({ data: { result: 'error', 'error-type': 'invalid-key' } });
+      const convert = (apiKey) => registry.invoke('convert-currency', { amount: 10, fromCurrency: 'USD', toCurrency: 'EUR' }, {
+        config: { provider: 'exchange-rate-api', apiKey }
+      });
+
+      expect(expectSuccess(JSON.parse(await convert('good-key-1357'))).amount).toBe(9);
+      expectToolError(JSON.parse(await convert('revoked-key-2468')), 'INVALID_CONFIGURATION');
+      expect(expectSuccess(JSON.parse(await convert('good-key-1357'))).cached).toBe(true);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps an echoed API key out of error details and logs', async () => {
+      toolConfig.configure({ values: { 'weather-forecast': { apiKey: 'om-key-13579', units: 'imperial' } } });
+      axios.get.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, headers: {}, data: { reason: 'Invalid API key om-key-13579', apikey: 'om-key-13579' } }
+      }));
+
+      const result = await registry.invoke('weather-forecast', { latitude: 48.85, longitude: 2.35 });
+
+      expect(axios.get.mock.calls[0][1].params).toMatchObject({ apikey: 'om-key-13579', temperature_unit: 'fahrenheit' });
+      expect(expectToolError(JSON.parse(result)).details).toEqual({ reason: 'Invalid API key [REDACTED]', apikey: '[REDACTED]' });
+      expect(result).not.toContain('om-key-13579');
+      expect(lines.join('\n')).not.toContain('om-key-13579');
+    });
+
+    test('reads settings from the environment', async () => {
+      toolConfig.configure({ env: { AGENT_TOOLS_CONVERT_UNITS_PRECISION: '1' } });
+
+      const result = await registry.invoke('convert-units', { value: 1, fromUnit: 'mi', toUnit: 'km' });
+
+      expect(expectSuccess(JSON.parse(result))).toMatchObject({ result: 1.6, precision: 1 });
+    });
+
+    test('applies configured defaults to strict calls that send null for them', async () => {
+      toolConfig.configure({
+        values: { 'weather-forecast': { units: 'imperial', language: 'de' } },
+        env: { AGENT_TOOLS_CONVERT_UNITS_PRECISION: '1' }
+      });
+      axios.get.mockResolvedValueOnce({ data: { current: { temperature_2m: 70, weather_code: 0, is_day: 1 } } });
+
+      // Strict function calling sends every parameter, with null for the ones the model leaves out
+      const weather = await registry.invoke('weather-forecast', {
+        location: null,
+        latitude: 48.85,
+        longitude: 2.35,
+        countryCode: null,
+        admin1: null,
+        units: null,
+        days: null,
+        granularity: 'daily',
+        language: null,
+        include: null
+      });
+      const units = await registry.invoke('convert-units', { value: 1, fromUnit: 'mi', toUnit: 'km', precision: null });
+      const chosen = await registry.invoke('convert-units', { value: 1, fromUnit: 'mi', toUnit: 'km', precision: 3 });
+
+      expect(axios.get.mock.calls[0][1].params).toMatchObject({ temperature_unit: 'fahrenheit' });
+      expect(expectSuccess(JSON.parse(weather))).toMatchObject({
+        units: { temperature: '°F' },
+        current: { description: describeWeatherCode(0, { language: 'de' }).description }
+      });
+      expect(expectSuccess(JSON.parse(units))).toMatchObject({ result: 1.6, precision: 1 });
+      expect(expectSuccess(JSON.parse(chosen))).toMatchObject({ result: 1.609, precision: 3 });
+    });
+
+    test('fails with INVALID_CONFIGURATION before any request when settings are invalid', async () => {
+      const unknownProvider = await registry.invoke('weather-forecast', { location: 'Paris' }, { config: { provider: 'nope' } });
+      const badTimeout = await registry.invoke('world-time', { location: 'Paris' }, { config: { timeout: 0 } });
+
+      expect(expectToolError(JSON.parse(unknownProvider), 'INVALID_CONFIGURATION').details.availableProviders).toContain('open-meteo');
+      expect(expectToolError(JSON.parse(badTimeout), 'INVALID_CONFIGURATION').details.violations).toEqual([
+        { field: 'timeout', message: 'Must be greater than or equal to 1', source: 'call overrides' }
+      ]);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+});
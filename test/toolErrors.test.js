@@ -0,0 +1,71 @@
+/**
+ * Tests for the shared error taxonomy
+ */
+const { ERROR_CODES, createToolError, classifyError, errorResponse } = require('../toolErrors');
+
+describe('Tool Errors', () => {
+  // Helper to build an axios-style error
+  const httpError = (status, headers = {}, data = null) => Object.assign(
+    new Error(`Request failed with status code ${status}`),
+    { request: {}, response: { status, headers, data } }
+  );
+
+  test('creates errors with the defaults of their code', () => {
+    const error = createToolError('LOCATION_NOT_FOUND', 'Location "Nowhere" not found');
+
+    expect(error.code).toBe('LOCATION_NOT_FOUND');
+    expect(error.retryable).toBe(false);
+    expect(error.hint).toBe(ERROR_CODES.LOCATION_NOT_FOUND.hint);
+    expect(error.details).toBeNull();
+  });
+
+  test('rejects codes outside the taxonomy', () => {
+    expect(() => createToolError('OOPS', 'Broken')).toThrow('Unknown tool error code "OOPS"');
+  });
+
+  test('classifies upstream failures', () => {
+    expect(classifyError(httpError(503)).code).toBe('UPSTREAM_UNAVAILABLE');
+    expect(classifyError(Object.assign(new Error('socket hang up'), { request: {} })).code)
+      .toBe('UPSTREAM_UNAVAILABLE');
+    expect(classifyError(Object.assign(new Error('paused'), { code: 'CIRCUIT_OPEN', retryAfter: 12 })))
+      .toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', retryAfter: 12 });
+    expect(classifyError(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' })).code)
+      .toBe('TIMEOUT');
+  });
+
+  test('classifies rate limiting with the Retry-After delay', () => {
+    const error = classifyError(httpError(429, { 'retry-after': '30' }));
+
+    expect(error.code).toBe('RATE_LIMITED');
+    expect(error.retryable).toBe(true);
+    expect(error.retryAfter).toBe(30);
+  });
+
+  test('classifies aborted calls as cancelled', () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    expect(classifyError(new Error('canceled'), { signal: controller.signal }).code).toBe('CANCELLED');
+  });
+
+  test('falls back to INTERNAL for unexpected errors', () => {
+    const error = classifyError(new TypeError('Cannot read properties of undefined'));
+
+    expect(error.code).toBe('INTERNAL');
+    expect(error.retryable).toBe(false);
+  });
+
+  test('builds the standard JSON error response', () => {
+    const response = JSON.parse(errorResponse(httpError(502, {}, { reason: 'bad gateway' })));
+
+    expect(response).toEqual({
+      error: {
+        code: 'UPSTREAM_UNAVAILABLE',
+        message: 'Request failed with status code 502',
+        retryable: true,
+        hint: ERROR_CODES.UPSTREAM_UNAVAILABLE.hint,
+        details: { reason: 'bad gateway' }
+      }
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the tool event protocol
+ */
+const { EVENT_TYPES, STEP_ID_PATTERN, validateEvent, createEventEmitter } = require('../toolEvents');
+const { convertCurrencyTool } = require('../convertCurrency');
+const { weatherForecastTool } = require('../weatherForecast');
+
+describe('Tool Events', () => {
+  const steps = [
+    { id: 'fetch', description: 'Fetch the data', progress: 25 },
+    { id: 'process', description: 'Process the data', progress: 75 }
+  ];
+
+  test('emits step, progress and completion events in order', () => {
+    const publishToClient = jest.fn();
+    const events = createEventEmitter(publishToClient, steps);
+
+    events.startStep('fetch', 'Fetching...');
+    events.completeStep('fetch');
+    events.startStep('process', 'Processing...');
+    events.completeStep('process', 'Done!');
+
+    const emitted = publishToClient.mock.calls.map(([event]) => event);
+    expect(emitted.map((event) => event.type)).toEqual([
+      'step_started', 'progress', 'step_completed', 'step_started', 'progress', 'step_completed', 'progress'
+    ]);
+    expect(emitted[0].data).toEqual({ step: 'fetch', message: 'Fetching...', index: 0, total: 2 });
+    expect(emitted[1].data).toEqual({ message: 'Fetching...', progress: 25, step: 'fetch' });
+    expect(emitted[5].data).toMatchObject({ step: 'process', message: 'Done!' });
+    expect(emitted[6].data).toEqual({ message: 'Done!', progress: 100, step: 'process' });
+    expect(emitted.every((event) => validateEvent(event).valid)).toBe(true);
+  });
+
+  test('emits partial results, warnings and log lines', () => {
+    const publishToClient = jest.fn();
+    const events = createEventEmitter(publishToClient, steps);
+
+    events.partialResult('fetch', { index: 0 });
+    events.warning('Item 1 failed', { code: 'UNSUPPORTED_CURRENCY' });
+    events.log('debug', 'Cache hit');
+
+    expect(publishToClient.mock.calls.map(([event]) => event.data)).toEqual([
+      { step: 'fetch', result: { index: 0 } },
+      { message: 'Item 1 failed', code: 'UNSUPPORTED_CURRENCY' },
+      { level: 'debug', message: 'Cache hit' }
+    ]);
+    expect(publishToClient.mock.calls.every(([event]) => typeof event.timestamp === 'string')).toBe(true);
+  });
+
+  test('does nothing without a client, but rejects unknown steps', () => {
+    const events = createEventEmitter(undefined, steps);
+
+    expect(() => events.startStep('fetch', 'Fetching...')).not.toThrow();
+    expect(() => events.startStep('upload', 'Uploading...')).toThrow('Unknown step "upload"');
+  });
+
+  test('validates events against the protocol', () => {
+    expect(validateEvent({ type: 'progress', data: { message: 'Working', progress: 50 } }).valid).toBe(true);
+    expect(validateEvent({ type: 'partial_result', data: { step: 'convert', result: null } }).valid).toBe(true);
+
+    expect(validateEvent({ type: 'status', data: {} }).violations).toEqual([
+      { field: 'type', message: `Must be one of: ${EVENT_TYPES.join(', ')}` }
+    ]);
+    expect(validateEvent({ type: 'progress', data: { message: 'Working', progress: 150 } }).violations).toEqual([
+      { field: 'data.progress', message: 'Must be less than or equal to 100' }
+    ]);
+    expect(validateEvent({ type: 'step_started', data: { step: 'Fetch Rates', message: 'x', index: 0, total: 1 } }).valid)
+      .toBe(false);
+    expect(validateEvent({ type: 'log', data: { level: 'trace', message: 'x' } }).violations[0].field).toBe('data.level');
+  });
+
+  test('every tool lists its steps with stable IDs', () => {
+    for (const tool of [convertCurrencyTool, weatherForecastTool]) {
+      expect(tool.steps.length).toBeGreaterThan(0);
+      for (const step of tool.steps) {
+        expect(step.id).toMatch(new RegExp(STEP_ID_PATTERN));
+        expect(typeof step.description).toBe('string');
+      }
+    }
+    expect(convertCurrencyTool.steps.map((step) => step.id)).toEqual(['fetch_rates', 'convert']);
+    expect(weatherForecastTool.steps.map((step) => step.id)).toEqual(['fetch_weather', 'process_weather']);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tool Test Harness
+ * Shared helpers for tool tests: record and replay upstream HTTP responses,
+ * run a tool while collecting its events, and assert event sequences and result shapes
+ *
+ * Test files using the HTTP fixtures must call `jest.mock('axios')` themselves.
+ * Fixtures live in test/fixtures/http/<name>.json; run the tests with AGENT_TOOLS_RECORD=1
+ * to call the real providers once and write their responses there, stamped with `recordedAt`.
+ * Hand-written fixtures carry a `synthetic` note instead, and replay the same way.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { redact } = require('../telemetry');
+const { validateEvent } = require('../toolEvents');
+const { ERROR_CODES } = require('../toolErrors');
+const { responseCache } = require('../responseCache');
+
+const FIXTURE_DIRECTORY = path.join(__dirname, 'fixtures', 'http');
+
+// Response headers worth keeping in a recording
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+// Keys allowed on the `error` object of a tool response
+const ERROR_KEYS = ['code', 'message', 'retryable', 'hint', 'details', 'retryAfter'];
+
+/**
+ * Describe a request the way it is stored in a fixture: sorted parameters, secrets redacted
+ */
+function describeRequest(url, config = {}) {
+  const params = Object.fromEntries(Object.entries(config.params || {}).sort(([a], [b]) => a.localeCompare(b)));
+  return redact({ method: 'GET', url, params });
+}
+
+/**
+ * Turn a recorded error response back into the error axios would have thrown
+ */
+function toAxiosError({ status, headers = {}, data = null }) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data }
+  });
+}
+
+/**
+ * Answer axios.get from a fixture file, failing loudly on any request it does not contain
+ */
+function replayFrom(name) {
+  const file = path.join(FIXTURE_DIRECTORY, `${name}.json`);
+  const { interactions } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  axios.get.mockImplementation(async (url, config = {}) => {
+    const request = JSON.stringify(describeRequest(url, config));
+    const match = interactions.find((interaction) => JSON.stringify(interaction.request) === request);
+
+    if (!match) {
+      throw new Error(`No recorded response in ${name}.json for ${request}; record it with AGENT_TOOLS_RECORD=1`);
+    }
+    if (match.response.status >= 400) {
+      throw toAxiosError(match.response);
+    }
+    return { ...match.response };
+  });
+}
+
+/**
+ * Send axios.get to the real providers, keeping every response for the fixture file
+ */
+function recordInto(interactions) {
+  const realAxios = jest.requireActual('axios');
+  const keep = (response) => ({
+    status: response.status,
+    headers: Object.fromEntries(RECORDED_HEADERS
+      .filter((header) => response.headers?.[header] !== undefined)
+      .map((header) => [header, String(response.headers[header])])),
+    data: response.data
+  });
+
+  axios.get.mockImplementation(async (url, config = {}) => {
+    try {
+      const response = await realAxios.get(url, config);
+      interactions.push({ request: describeRequest(url, config), response: keep(response) });
+      return response;
+    } catch (error) {
+      // Error responses are recorded too, so failures replay the same way
+      if (error.response) {
+        interactions.push({ request: describeRequest(url, config), response: keep(error.response) });
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Run `test` with axios.get answered from the named fixture, or recording it when
+ * AGENT_TOOLS_RECORD=1. The response cache is cleared first so every request reaches axios
+ */
+async function withHttpFixture(name, test, { record = process.env.AGENT_TOOLS_RECORD === '1' } = {}) {
+  const interactions = [];
+  await responseCache.clear();
+
+  if (record) {
+    recordInto(interactions);
+  } else {
+    replayFrom(name);
+  }
+
+  try {
+    const result = await test();
+
+    // Only a passing test replaces the recording
+    if (record) {
+      fs.mkdirSync(FIXTURE_DIRECTORY, { recursive: true });
+      fs.writeFileSync(
+        path.join(FIXTURE_DIRECTORY, `${name}.json`),
+        `${JSON.stringify({ recordedAt: new Date().toISOString(), interactions }, null, 2)}\n`
+      );
+    }
+    return result;
+  } finally {
+    axios.get.mockReset();
+  }
+}
+
+/**
+ * Call a tool's executor, collecting everything it publishes
+ * Resolves with { response, raw, events }, where response is the parsed JSON result
+ */
+async function runTool(tool, args, options = {}) {
+  const events = [];
+  const raw = await tool.executor({ ...args, ...options, publishToClient: (event) => events.push(event) });
+
+  return { response: JSON.parse(raw), raw, events };
+}
+
+/**
+ * Assert that every event follows the protocol, steps start before they finish,
+ * and progress never goes backwards and ends at 100
+ * Pass `expected` to also check the exact progress values, retries excluded
+ */
+function expectProgressSequence(events, expected) {
+  for (const event of events) {
+    expect({ event, violations: validateEvent(event).violations }).toEqual({ event, violations: [] });
+  }
+
+  const started = new Set();
+  for (const { type, data } of events) {
+    if (type === 'step_started') {
+      started.add(data.step);
+    } else if (type === 'step_completed') {
+      expect(started).toContain(data.step);
+    }
+  }
+
+  const progress = events
+    .filter((event) => event.type === 'progress' && !event.data.retry)
+    .map((event) => event.data.progress);
+
+  progress.forEach((value, index) => {
+    expect(value).toBeGreaterThanOrEqual(index > 0 ? progress[index - 1] : 0);
+  });
+  expect(progress[progress.length - 1]).toBe(100);
+  if (expected) {
+    expect(progress).toEqual(expected);
+  }
+}
+
+/**
+ * Assert that a tool response succeeded, returning its data
+ */
+function expectSuccess(response) {
+  expect(response.error).toBeUndefined();
+  expect(response.data).toBeDefined();
+  return response.data;
+}
+
+/**
+ * Assert that a tool response is a well-formed error from the taxonomy, optionally with a given code
+ * Returns the error object
+ */
+function expectToolError(response, code) {
+  expect(response.data).toBeUndefined();
+  expect(response.error).toEqual(expect.objectContaining({
+    code: expect.any(String),
+    message: expect.any(String),
+    retryable: expect.any(Boolean),
+    hint: expect.any(String)
+  }));
+  expect(ERROR_CODES).toHaveProperty(response.error.code);
+  expect(Object.keys(response.error).filter((key) => !ERROR_KEYS.includes(key))).toEqual([]);
+  if (code) {
+    expect(response.error.code).toBe(code);
+  }
+  return response.error;
+}
+
+module.exports = {
+  FIXTURE_DIRECTORY,
+  withHttpFixture,
+  runTool,
+  expectProgressSequence,
+  expectSuccess,
+  expectToolError,
+};
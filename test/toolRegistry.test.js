@@ -0,0 +1,110 @@
+/**
+ * Tests for the tool registry
+ */
+const { isTool, discoverTools, createToolRegistry } = require('../toolRegistry');
+const { registry, convertCurrencyTool, weatherForecastTool } = require('../index');
+
+describe('Tool Registry', () => {
+  // Helper function to parse the JSON string returned by a tool
+  const parseResponse = (jsonString) => JSON.parse(jsonString);
+
+  // Helper to build a minimal tool object
+  const makeTool = (name, executor = jest.fn(async () => JSON.stringify({ data: { ok: true } }))) => ({
+    name,
+    toolDefinition: {
+      type: 'function',
+      function: { name, description: `The ${name} tool`, parameters: { type: 'object', properties: {} } }
+    },
+    executor
+  });
+
+  test('recognises tool objects', () => {
+    expect(isTool(makeTool('echo'))).toBe(true);
+    expect(isTool({ name: 'echo' })).toBe(false);
+    expect(isTool(null)).toBe(false);
+  });
+
+  test('discovers tools among module exports', () => {
+    const echo = makeTool('echo');
+    const tools = discoverTools({ echo, helper: () => {}, version: '1.0.0' }, makeTool('ping'));
+
+    expect(tools.map((tool) => tool.name)).toEqual(['echo', 'ping']);
+  });
+
+  test('index registers every exported tool', () => {
+    expect(registry.list().map((tool) => tool.name)).toEqual(['convert-currency', 'convert-units', 'weather-forecast', 'world-time', 'travel-briefing']);
+    expect(registry.get('convert-currency')).toBe(convertCurrencyTool);
+    expect(registry.get('weather-forecast')).toBe(weatherForecastTool);
+  });
+
+  test('rejects duplicate tool names', () => {
+    const tools = createToolRegistry([makeTool('echo')]);
+
+    expect(() => tools.register(makeTool('echo'))).toThrow('A tool named "echo" is already registered');
+  });
+
+  test('rejects tools whose name does not match the definition', () => {
+    const tool = makeTool('echo');
+    tool.toolDefinition.function.name = 'shout';
+
+    expect(() => createToolRegistry([tool])).toThrow(
+      'Tool "echo" does not match its toolDefinition.function.name "shout"'
+    );
+  });
+
+  test('invokes a tool by name and forwards publishToClient', async () => {
+    const echo = makeTool('echo');
+    const tools = createToolRegistry([echo]);
+    const publishToClient = jest.fn();
+
+    const result = await tools.invoke('echo', { text: 'hi' }, { publishToClient });
+
+    expect(parseResponse(result).data.ok).toBe(true);
+    expect(echo.executor).toHaveBeenCalledWith({ text: 'hi', publishToClient });
+  });
+
+  test('forwards per-call configuration only when given', async () => {
+    const echo = makeTool('echo');
+    const tools = createToolRegistry([echo]);
+
+    await tools.invoke('echo', { text: 'hi' }, { config: { timeout: 500 } });
+
+    expect(echo.executor).toHaveBeenCalledWith({ text: 'hi', publishToClient: undefined, config: { timeout: 500 } });
+  });
+
+  test('returns a JSON error for unknown tools', async () => {
+    const tools = createToolRegistry([makeTool('echo')]);
+
+    const response = parseResponse(await tools.invoke('missing'));
+
+    expect(response.error.code).toBe('INVALID_ARGUMENT');
+    expect(response.error.message).toBe('Tool "missing" is not registered');
+    expect(response.error.details.availableTools).toEqual(['echo']);
+  });
+
+  test('enforces a per-tool deadline', async () => {
+    // An executor that never finishes on its own
+    const slow = makeTool('slow', jest.fn(() => new Promise(() => {})));
+    const tools = createToolRegistry([slow], { deadlines: { slow: 20 } });
+
+    const response = parseResponse(await tools.invoke('slow'));
+
+    expect(response.error.code).toBe('TIMEOUT');
+    expect(response.error.retryable).toBe(true);
+    expect(response.error.message).toBe('Tool "slow" exceeded its deadline of 20ms');
+    expect(slow.executor.mock.calls[0][0].signal.aborted).toBe(true);
+  });
+
+  test('forwards the caller signal to the executor', async () => {
+    const controller = new AbortController();
+    const echo = makeTool('echo', jest.fn(({ signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => resolve(JSON.stringify({ data: { stopped: true } })));
+    })));
+    const tools = createToolRegistry([echo]);
+
+    const pending = tools.invoke('echo', {}, { signal: controller.signal });
+    controller.abort();
+
+    expect(parseResponse(await pending).error.code).toBe('CANCELLED');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * End-to-end tests for the travel briefing tool
+ */
+const { travelBriefingTool } = require('../travelBriefing');
+const { weatherForecastTool } = require('../weatherForecast');
+const { ERROR_CODES } = require('../toolErrors');
+const { weatherProviders } = require('../weatherProviders');
+const { currencyProviders } = require('../currencyProviders');
+const { responseCache } = require('../responseCache');
+const { toolConfig } = require('../toolConfig');
+const { withHttpFixture, runTool, expectProgressSequence, expectSuccess, expectToolError } = require('./toolHarness');
+const axios = require('axios');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+describe('Travel Briefing Tool E2E Tests', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+    return responseCache.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    toolConfig.configure({ values: {} });
+    weatherProviders.use(null);
+    currencyProviders.use(null);
+  });
+
+  test('briefs on the weather and exchange rate at a destination', async () => {
+    await withHttpFixture('travel-briefing-london', async () => {
+      const { response, events } = await runTool(travelBriefingTool, { destination: 'London', homeCurrency: 'usd', amount: 100 });
+
+      const data = expectSuccess(response);
+      expect(data.destination).toEqual(expect.objectContaining({ name: 'London', country: 'GB', timezone: 'Europe/London' }));
+      expect(data.weather).toEqual({
+        current: expect.objectContaining({ temperature: expect.any(Number) }),
+        forecast: expect.objectContaining({ granularity: 'daily', days: 3 }),
+        advisories: expect.any(Array),
+        units: expect.objectContaining({ temperature: '°C' })
+      });
+      expect(data.exchangeRate).toEqual(expect.objectContaining({
+        fromCurrency: 'USD',
+        toCurrency: 'GBP',
+        rate: 0.791,
+        amount: 79.1,
+        currency: { code: 'GBP', name: 'Pound Sterling', symbol: '£', minorUnits: 2 }
+      }));
+
+      expectProgressSequence(events);
+      expect(events.filter((event) => event.type === 'step_started').map((event) => event.data.step)).toEqual([
+        'forecast',
+        'forecast.fetch_weather',
+        'forecast.process_weather',
+        'exchange_rate',
+        'exchange_rate.fetch_rates',
+        'exchange_rate.convert'
+      ]);
+    });
+  });
+
+  test('uses the currency of the country the destination is in', async () => {
+    weatherProviders.use('fixture');
+    currencyProviders.use('fixture');
+
+    const { response } = await runTool(travelBriefingTool, { destination: 'Paris', countryCode: 'US', homeCurrency: 'EUR' });
+
+    const data = expectSuccess(response);
+    expect(data.destination).toEqual(expect.objectContaining({ region: 'Texas', country: 'US' }));
+    expect(data.exchangeRate).toEqual(expect.objectContaining({ fromCurrency: 'EUR', toCurrency: 'USD', rate: expect.any(Number) }));
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('leaves units to the weather tool configuration when they are null', async () => {
+    weatherProviders.use('fixture');
+    currencyProviders.use('fixture');
+    toolConfig.configure({ values: { 'weather-forecast': { units: 'imperial' } } });
+
+    const { response } = await runTool(travelBriefingTool, {
+      destination: 'Tokyo',
+      countryCode: null,
+      homeCurrency: 'USD',
+      amount: 1,
+      units: null,
+      days: 3
+    });
+
+    expect(expectSuccess(response).weather.units.temperature).toBe('°F');
+  });
+
+  test('skips the conversion when the destination uses the home currency', async () => {
+    weatherProviders.use('fixture');
+    currencyProviders.use('fixture');
+
+    const { response, events } = await runTool(travelBriefingTool, { destination: 'Berlin', homeCurrency: 'EUR', amount: 20 });
+
+    expect(expectSuccess(response).exchangeRate).toEqual({
+      fromCurrency: 'EUR',
+      toCurrency: 'EUR',
+      rate: 1,
+      amount: 20,
+      currency: { code: 'EUR', name: 'Euro', symbol: '€', minorUnits: 2 }
+    });
+    expectProgressSequence(events);
+    expect(events.map((event) => event.data.step)).not.toContain('exchange_rate.fetch_rates');
+  });
+
+  test('still briefs on the weather when the exchange rate fails', async () => {
+    weatherProviders.use('fixture');
+    currencyProviders.use('exchange-rate-api');
+    axios.get.mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), {
+      response: { status: 503, headers: {}, data: null }
+    }));
+
+    const { response, events } = await runTool(travelBriefingTool, { destination: 'Tokyo', homeCurrency: 'USD' });
+
+    const data = expectSuccess(response);
+    expect(data.weather.current).toBeDefined();
+    expect(data.exchangeRate).toEqual({
+      fromCurrency: 'USD',
+      toCurrency: 'JPY',
+      error: expect.objectContaining({ code: 'UPSTREAM_UNAVAILABLE', retryable: true })
+    });
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'warning',
+      data: expect.objectContaining({ code: 'UPSTREAM_UNAVAILABLE', message: expect.stringContaining('No exchange rate from USD to JPY') })
+    }));
+    expectProgressSequence(events);
+  });
+
+  test('warns with a taxonomy code when the destination has no known currency', async () => {
+    jest.spyOn(weatherForecastTool, 'executor').mockResolvedValue(JSON.stringify({
+      data: { location: { name: 'McMurdo Station', country: 'AQ' }, current: {}, advisories: [], units: {} }
+    }));
+
+    const { response, events } = await runTool(travelBriefingTool, { destination: 'McMurdo Station', homeCurrency: 'USD' });
+
+    expect(expectSuccess(response).exchangeRate).toBeNull();
+    const warning = events.find((event) => event.type === 'warning');
+    expect(warning.data).toEqual(expect.objectContaining({ code: 'UNSUPPORTED_CURRENCY', details: { country: 'AQ' } }));
+    expect(ERROR_CODES).toHaveProperty(warning.data.code);
+    expectProgressSequence(events);
+  });
+
+  test('fails with the weather error when the destination cannot be found', async () => {
+    await withHttpFixture('open-meteo-london', async () => {
+      const { response } = await runTool(travelBriefingTool, { destination: 'Atlantis', homeCurrency: 'USD' });
+
+      expectToolError(response, 'LOCATION_NOT_FOUND');
+    });
+  });
+
+  test('rejects unknown home currencies before any request', async () => {
+    const { response, events } = await runTool(travelBriefingTool, { destination: 'London', homeCurrency: 'XYZ' });
+
+    const error = expectToolError(response, 'INVALID_ARGUMENT');
+    expect(error.details.violations).toEqual([{ field: 'homeCurrency', message: 'Is not a known ISO 4217 currency code' }]);
+    expect(events).toEqual([]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
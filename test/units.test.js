@@ -0,0 +1,65 @@
+/**
+ * Tests for the unit table
+ */
+const { DIMENSIONS, UNITS, findUnit, listUnits, convertValue } = require('../units');
+
+describe('Units', () => {
+  const convert = (value, from, to, precision) => convertValue(value, findUnit(from).unit, findUnit(to).unit, precision);
+
+  test('covers every requested dimension', () => {
+    expect(DIMENSIONS).toEqual(['length', 'mass', 'volume', 'temperature', 'speed', 'pressure', 'area', 'data']);
+    for (const dimension of DIMENSIONS) {
+      expect(listUnits(dimension)).toContain(UNITS[dimension].base);
+    }
+  });
+
+  test('finds units by symbol, name, plural or alias', () => {
+    expect(findUnit('km').unit.symbol).toBe('km');
+    expect(findUnit('Kilometres').unit.symbol).toBe('km');
+    expect(findUnit('feet').unit.symbol).toBe('ft');
+    expect(findUnit('F').unit.symbol).toBe('°F');
+    expect(findUnit(' gallons ').unit.symbol).toBe('gal');
+    expect(findUnit('meters').unit.symbol).toBe('m');
+    expect(findUnit('furlong')).toBeNull();
+  });
+
+  test('keeps case-sensitive symbols apart and reports ambiguous spellings', () => {
+    expect(findUnit('MB').unit.name).toBe('megabyte');
+    expect(findUnit('Mb').unit.name).toBe('megabit');
+    expect(findUnit('mb').unit.name).toBe('millibar');
+    expect(findUnit('mB')).toEqual({ ambiguous: ['mbar', 'Mbit', 'MB'] });
+  });
+
+  test('converts common units exactly enough to hide floating-point noise', () => {
+    expect(convert(10, 'mi', 'km')).toBe(16.09344);
+    expect(convert(1, 'lb', 'kg')).toBe(0.45359237);
+    expect(convert(1, 'gal', 'L')).toBe(3.785411784);
+    expect(convert(60, 'mph', 'km/h')).toBe(96.56064);
+    expect(convert(1, 'atm', 'hPa')).toBe(1013.25);
+    expect(convert(1, 'acre', 'm²')).toBe(4046.856422);
+    expect(convert(1, 'GiB', 'MB')).toBe(1073.741824);
+    expect(convert(8, 'Mbit', 'MB')).toBe(1);
+  });
+
+  test('converts temperatures through kelvin', () => {
+    expect(convert(212, '°F', '°C')).toBe(100);
+    expect(convert(-40, '°C', '°F')).toBe(-40);
+    expect(convert(0, 'K', '°C')).toBe(-273.15);
+    expect(convert(491.67, '°R', '°F')).toBe(32);
+  });
+
+  test('rounds to the requested decimal places, halves away from zero', () => {
+    expect(convert(1, 'in', 'cm', 0)).toBe(3);
+    expect(convert(10, 'mi', 'km', 2)).toBe(16.09);
+    expect(convert(0.125, 'm', 'm', 2)).toBe(0.13);
+    expect(convert(-0.125, 'm', 'm', 2)).toBe(-0.13);
+  });
+
+  test('refuses to convert between dimensions', () => {
+    expect(() => convert(1, 'kg', 'm')).toThrow('Cannot convert mass (kg) to length (m)');
+  });
+
+  test('refuses results too large for a number', () => {
+    expect(() => convert(1e308, 'km', 'mm')).toThrow('Converting 1e+308 km to mm gives a result out of range');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the derived weather advisories
+ */
+const { createWeatherAdvisories, defaultThresholds } = require('../weatherAdvisories');
+
+describe('Weather Advisories', () => {
+  // Three forecast days in Open-Meteo's column-oriented layout
+  const daily = {
+    time: ['2024-07-01', '2024-07-02', '2024-07-03'],
+    weather_code: [1, 95, 96],
+    temperature_2m_max: [31.2, 36.4, 29],
+    temperature_2m_min: [18, 21.5, 17],
+    precipitation_sum: [0, 24.3, 12],
+    wind_speed_10m_max: [5.1, 14.2, 9]
+  };
+
+  test('returns no advisories for mild weather', () => {
+    const advisories = createWeatherAdvisories().evaluate({
+      current: { time: '2024-07-01T12:00', temperature_2m: 21, apparent_temperature: 20, wind_speed_10m: 3, precipitation: 0, weather_code: 2 }
+    });
+
+    expect(advisories).toEqual([]);
+  });
+
+  test('derives one advisory per type, most severe first', () => {
+    const advisories = createWeatherAdvisories().evaluate({ daily });
+
+    expect(advisories.map(({ type, severity }) => [type, severity])).toEqual([
+      ['heat', 'severe'],
+      ['thunderstorm', 'severe'],
+      ['wind', 'moderate'],
+      ['heavy_precipitation', 'moderate']
+    ]);
+    expect(advisories[0]).toEqual({
+      type: 'heat',
+      severity: 'severe',
+      message: 'Temperatures up to 36.4°C between 2024-07-01 and 2024-07-02',
+      peak: 36.4,
+      threshold: 35,
+      unit: '°C',
+      start: '2024-07-01',
+      end: '2024-07-02'
+    });
+    expect(advisories[1].message).toBe('Thunderstorms with hail between 2024-07-02 and 2024-07-03');
+  });
+
+  test('warns about frost from current conditions', () => {
+    const advisories = createWeatherAdvisories().evaluate({
+      current: { time: '2024-01-10T07:00', temperature_2m: -12.5, apparent_temperature: -18, wind_speed_10m: 2, weather_code: 0 }
+    });
+
+    expect(advisories).toEqual([expect.objectContaining({
+      type: 'frost',
+      severity: 'severe',
+      message: 'Temperatures down to -12.5°C on 2024-01-10T07:00'
+    })]);
+  });
+
+  test('converts thresholds to imperial units', () => {
+    const evaluator = createWeatherAdvisories();
+
+    expect(evaluator.thresholds('imperial').heat).toEqual({ moderate: 86, severe: 95, unit: '°F' });
+    expect(evaluator.thresholds('imperial').precipitation).toEqual({ moderate: 0.79, severe: 1.97, unit: 'inch' });
+
+    // 40 mph is above the 31.1 mph equivalent of 13.9 m/s
+    const advisories = evaluator.evaluate({
+      current: { time: '2024-03-02T18:00', temperature_2m: 50, wind_speed_10m: 40, weather_code: 3 }
+    }, 'imperial');
+
+    expect(advisories).toEqual([expect.objectContaining({ type: 'wind', severity: 'moderate', unit: 'mph', threshold: 31.1 })]);
+  });
+
+  test('uses configured thresholds', () => {
+    const evaluator = createWeatherAdvisories({ thresholds: { heat: { moderate: 25, severe: 40 } } });
+
+    expect(evaluator.evaluate({ daily }).find((advisory) => advisory.type === 'heat').severity).toBe('moderate');
+
+    evaluator.configure({ thresholds: { heat: defaultThresholds.heat } });
+    expect(evaluator.evaluate({ daily }).find((advisory) => advisory.type === 'heat').severity).toBe('severe');
+  });
+
+  test('keeps the default for a severity a partial override leaves out', () => {
+    const evaluator = createWeatherAdvisories({ thresholds: { heat: { severe: 45 } } });
+
+    expect(evaluator.thresholds().heat).toEqual({ moderate: 30, severe: 45, unit: '°C' });
+    expect(evaluator.evaluate({ daily }).find((advisory) => advisory.type === 'heat').severity).toBe('moderate');
+
+    evaluator.configure({ thresholds: { heat: { moderate: 40 } } });
+    expect(evaluator.thresholds().heat).toEqual({ moderate: 40, severe: 45, unit: '°C' });
+    expect(evaluator.thresholds().frost).toEqual(expect.objectContaining({ moderate: 0, severe: -10 }));
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for the WMO weather code table
+ */
+const { SUPPORTED_LANGUAGES, WEATHER_CODES, describeWeatherCode } = require('../weatherCodes');
+
+describe('Weather Codes', () => {
+  test('covers every code Open-Meteo returns', () => {
+    expect(WEATHER_CODES).toEqual([
+      0, 1, 2, 3, 45, 48, 51, 53, 55, 56, 57, 61, 63, 65, 66, 67,
+      71, 73, 75, 77, 80, 81, 82, 85, 86, 95, 96, 99
+    ]);
+    expect(describeWeatherCode(57).description).toBe('Dense freezing drizzle');
+    expect(describeWeatherCode(66).description).toBe('Light freezing rain');
+    expect(describeWeatherCode(77).description).toBe('Snow grains');
+    expect(describeWeatherCode(82)).toEqual({ description: 'Violent rain showers', icon: '09d' });
+    expect(describeWeatherCode(86)).toEqual({ description: 'Heavy snow showers', icon: '13d' });
+  });
+
+  test('chooses night icons from is_day', () => {
+    expect(describeWeatherCode(0, { isDay: 0 }).icon).toBe('01n');
+    expect(describeWeatherCode(0, { isDay: 1 }).icon).toBe('01d');
+    expect(describeWeatherCode(0).icon).toBe('01d');
+  });
+
+  test('translates every code into every supported language', () => {
+    for (const language of SUPPORTED_LANGUAGES) {
+      for (const code of WEATHER_CODES) {
+        expect(describeWeatherCode(code, { language }).description).not.toMatch(/^(undefined)?$/);
+      }
+    }
+    expect(describeWeatherCode(63, { language: 'de' }).description).toBe('Mäßiger Regen');
+    expect(describeWeatherCode(95, { language: 'fr' }).description).toBe('Orage');
+  });
+
+  test('falls back for unknown codes and languages', () => {
+    expect(describeWeatherCode(42, { isDay: false, language: 'es' })).toEqual({ description: 'Desconocido', icon: '03n' });
+    expect(describeWeatherCode(1, { language: 'xx' }).description).toBe('Mainly clear');
+  });
+});
@@ -2,6 +2,8 @@
  * End-to-end tests for the weather forecast tool
  */
 const { weatherForecastTool } = require('../weatherForecast');
+const { responseCache } = require('../responseCache');
+const { withHttpFixture, runTool, expectProgressSequence, expectSuccess, expectToolError } = require('./toolHarness');
 const axios = require('axios');
 
 // Mock axios for controlled testing
@@ -17,6 +19,8 @@ describe('Weather Forecast Tool E2E Tests', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    // Start every test with an empty response cache
+    return responseCache.clear();
   });
 
   test('successfully fetches weather data for a valid location', async () => {
@@ -71,10 +75,11 @@ describe('Weather Forecast Tool E2E Tests', () => {
     expect(response.data.units.temperature).toBe('°C');
 
     // Verify progress updates were sent
-    expect(mockPublishToClient).toHaveBeenCalledTimes(3);
-    expect(mockPublishToClient.mock.calls[0][0].data.progress).toBe(25);
-    expect(mockPublishToClient.mock.calls[1][0].data.progress).toBe(75);
-    expect(mockPublishToClient.mock.calls[2][0].data.progress).toBe(100);
+    const progress = mockPublishToClient.mock.calls
+      .map(([event]) => event)
+      .filter((event) => event.type === 'progress')
+      .map((event) => event.data.progress);
+    expect(progress).toEqual([25, 75, 100]);
   });
 
   test('handles location not found error', async () => {
@@ -101,6 +106,8 @@ describe('Weather Forecast Tool E2E Tests', () => {
     expect(response.error).toBeDefined();
     expect(response.data).toBeUndefined();
     expect(response.error.message).toBe('Location "NonExistentPlace" not found');
+    expect(response.error.code).toBe('LOCATION_NOT_FOUND');
+    expect(response.error.retryable).toBe(false);
   });
 
   test('handles API errors gracefully', async () => {
@@ -227,4 +234,359 @@ describe('Weather Forecast Tool E2E Tests', () => {
       expect(response.data.current.description).toBe(weatherCode.description);
     }
   });
+
+  test('rejects unsupported units without calling the API', async () => {
+    const result = await weatherForecastTool.executor({
+      location: 'London',
+      units: 'kelvin',
+      publishToClient: mockPublishToClient
+    });
+
+    const response = parseResponse(result);
+
+    // Verify the enum violation is reported and no request was made
+    expect(response.error).toBeDefined();
+    expect(response.error.details.violations).toEqual([
+      { field: 'units', message: 'Must be one of: metric, imperial, null' }
+    ]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('returns a daily forecast when days is set', async () => {
+    axios.get.mockImplementation((url, config) => {
+      if (url.includes('geocoding-api.open-meteo.com')) {
+        return Promise.resolve({
+          data: {
+            results: [{ name: 'Rome', country_code: 'IT', latitude: 41.9, longitude: 12.5 }]
+          }
+        });
+      } else if (url.includes('api.open-meteo.com')) {
+        // Verify the daily block is requested for the right number of days
+        expect(config.params.daily).toContain('temperature_2m_max');
+        expect(config.params.forecast_days).toBe(2);
+
+        return Promise.resolve({
+          data: {
+            current: { temperature_2m: 22, weather_code: 0, time: '2023-06-15T12:00' },
+            daily: {
+              time: ['2023-06-15', '2023-06-16'],
+              weather_code: [0, 63],
+              temperature_2m_max: [27.1, 24.3],
+              temperature_2m_min: [16.4, 15.9],
+              precipitation_sum: [0, 6.2],
+              precipitation_probability_max: [5, 80]
+            }
+          }
+        });
+      }
+    });
+
+    const result = await weatherForecastTool.executor({
+      location: 'Rome',
+      units: 'metric',
+      days: 2,
+      granularity: 'daily'
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.data.forecast.granularity).toBe('daily');
+    expect(response.data.forecast.daily).toEqual([
+      {
+        date: '2023-06-15',
+        temperature: { min: 16.4, max: 27.1 },
+        precipitation: { sum: 0, probability: 5 },
+        description: 'Clear sky',
+        icon: '01d'
+      },
+      {
+        date: '2023-06-16',
+        temperature: { min: 15.9, max: 24.3 },
+        precipitation: { sum: 6.2, probability: 80 },
+        description: 'Moderate rain',
+        icon: '10d'
+      }
+    ]);
+  });
+
+  test('returns an hourly forecast when granularity is hourly', async () => {
+    axios.get.mockImplementation((url, config) => {
+      if (url.includes('geocoding-api.open-meteo.com')) {
+        return Promise.resolve({
+          data: {
+            results: [{ name: 'Oslo', country_code: 'NO', latitude: 59.9, longitude: 10.7 }]
+          }
+        });
+      } else if (url.includes('api.open-meteo.com')) {
+        expect(config.params.hourly).toContain('precipitation_probability');
+        expect(config.params.daily).toBeUndefined();
+
+        return Promise.resolve({
+          data: {
+            current: { temperature_2m: 3, weather_code: 71, time: '2023-12-01T09:00' },
+            hourly: {
+              time: ['2023-12-01T09:00', '2023-12-01T10:00'],
+              weather_code: [71, 73],
+              temperature_2m: [3, 2.5],
+              precipitation: [0.2, 0.8],
+              precipitation_probability: [60, 75],
+              wind_speed_10m: [4.1, 5.3]
+            }
+          }
+        });
+      }
+    });
+
+    const result = await weatherForecastTool.executor({
+      location: 'Oslo',
+      units: 'metric',
+      days: 1,
+      granularity: 'hourly'
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.data.forecast.hourly).toHaveLength(2);
+    expect(response.data.forecast.hourly[1]).toEqual({
+      time: '2023-12-01T10:00',
+      temperature: 2.5,
+      precipitation: { amount: 0.8, probability: 75 },
+      wind_speed: 5.3,
+      description: 'Moderate snow fall',
+      icon: '13d'
+    });
+  });
+
+  test('returns a CANCELLED error when the call is aborted', async () => {
+    const controller = new AbortController();
+
+    // Abort while the geocoding request is in flight
+    axios.get.mockImplementation((url, config) => new Promise((resolve, reject) => {
+      config.signal.addEventListener('abort', () => {
+        reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+      });
+      controller.abort();
+    }));
+
+    const result = await weatherForecastTool.executor({
+      location: 'London',
+      units: 'metric',
+      signal: controller.signal,
+      publishToClient: mockPublishToClient
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.error.code).toBe('CANCELLED');
+    expect(response.data).toBeUndefined();
+    // Only the geocoding request was started
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('fetches air quality alongside the forecast when included', async () => {
+    axios.get.mockImplementation((url) => {
+      if (url.includes('geocoding-api.open-meteo.com')) {
+        return Promise.resolve({
+          data: { results: [{ name: 'Delhi', country_code: 'IN', latitude: 28.65195, longitude: 77.23149 }] }
+        });
+      }
+      if (url.includes('air-quality-api.open-meteo.com')) {
+        return Promise.resolve({
+          data: { current: { time: '2024-11-05T12:00', us_aqi: 182, european_aqi: 96, pm2_5: 112.4, pm10: 160.2, ozone: 31, uv_index: 4.1 } }
+        });
+      }
+      return Promise.resolve({ data: { current: { temperature_2m: 27, weather_code: 45 } } });
+    });
+
+    const result = await weatherForecastTool.executor({ location: 'Delhi', include: ['air_quality', 'uv'] });
+    const response = parseResponse(result);
+
+    const airQualityCall = axios.get.mock.calls.find(([url]) => url.includes('air-quality-api'));
+    expect(airQualityCall[1].params).toMatchObject({
+      latitude: 28.65195,
+      longitude: 77.23149,
+      current: 'us_aqi,european_aqi,pm2_5,pm10,ozone,uv_index'
+    });
+    expect(response.data.airQuality.usAqi.category).toBe('Unhealthy');
+    expect(response.data.airQuality.europeanAqi.category).toBe('Very poor');
+    expect(response.data.uv.category).toBe('Moderate');
+    expect(response.data.pollen).toBeUndefined();
+  });
+
+  test('describes the weather in the requested language with night icons', async () => {
+    axios.get.mockImplementation((url) => {
+      if (url.includes('geocoding-api.open-meteo.com')) {
+        return Promise.resolve({
+          data: { results: [{ name: 'München', country_code: 'DE', latitude: 48.13743, longitude: 11.57549 }] }
+        });
+      }
+      return Promise.resolve({
+        data: { current: { temperature_2m: 4.2, weather_code: 85, is_day: 0, time: '2024-01-12T22:00' } }
+      });
+    });
+
+    const result = await weatherForecastTool.executor({ location: 'Munich', language: 'de' });
+    const response = parseResponse(result);
+
+    expect(axios.get.mock.calls[0][1].params.language).toBe('de');
+    expect(response.data.location.name).toBe('München');
+    expect(response.data.current.description).toBe('Leichte Schneeschauer');
+    expect(response.data.current.icon).toBe('13n');
+  });
+
+  describe('location disambiguation', () => {
+    // Geocoder matches for "Springfield" and "Paris", as Open-Meteo returns them
+    const places = {
+      Springfield: [
+        { name: 'Springfield', admin1: 'Missouri', country: 'United States', country_code: 'US', latitude: 37.21533, longitude: -93.29824, population: 169176 },
+        { name: 'Springfield', admin1: 'Massachusetts', country: 'United States', country_code: 'US', latitude: 42.10148, longitude: -72.58981, population: 155929 },
+        { name: 'Springfield', admin1: 'Illinois', country: 'United States', country_code: 'US', latitude: 39.80172, longitude: -89.64371, population: 114394 }
+      ],
+      Paris: [
+        { name: 'Paris', admin1: 'Texas', country: 'United States', country_code: 'US', latitude: 33.66094, longitude: -95.55551, population: 24782 },
+        { name: 'Paris', admin1: 'Île-de-France', country: 'France', country_code: 'FR', latitude: 48.85341, longitude: 2.3488, population: 2138551 }
+      ],
+      London: [
+        { name: 'London', admin1: 'England', country: 'United Kingdom', country_code: 'GB', latitude: 51.50853, longitude: -0.12574, population: 7556900 },
+        { name: 'London', admin1: 'Ontario', country: 'Canada', country_code: 'CA', latitude: 42.98339, longitude: -81.23304, population: 346765 },
+        { name: 'London', admin1: 'Kentucky', country: 'United States', country_code: 'US', latitude: 37.12898, longitude: -84.08326, population: 8126 }
+      ]
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url, config) => {
+        if (url.includes('geocoding-api.open-meteo.com')) {
+          const results = (places[config.params.name] || [])
+            .filter((place) => !config.params.countryCode || place.country_code === config.params.countryCode);
+          return Promise.resolve({ data: { results } });
+        }
+        return Promise.resolve({ data: { current: { temperature_2m: 21, weather_code: 0 } } });
+      });
+    });
+
+    test('returns ranked candidates instead of guessing between similar places', async () => {
+      const response = parseResponse(await weatherForecastTool.executor({ location: 'Springfield' }));
+
+      expect(response.error.code).toBe('AMBIGUOUS_LOCATION');
+      expect(response.error.message).toBe('Location "Springfield" matches 3 places');
+      expect(response.error.details.candidates.map((candidate) => candidate.region)).toEqual([
+        'Missouri', 'Massachusetts', 'Illinois'
+      ]);
+      expect(response.error.details.candidates[0]).toEqual({
+        rank: 1,
+        name: 'Springfield',
+        region: 'Missouri',
+        country: 'United States',
+        countryCode: 'US',
+        population: 169176,
+        coordinates: { lat: 37.21533, lon: -93.29824 },
+        timezone: null
+      });
+      // No forecast is fetched for a guess
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('picks a far more populous place over the geocoder order', async () => {
+      const response = parseResponse(await weatherForecastTool.executor({ location: 'Paris' }));
+
+      expect(response.data.location.country).toBe('FR');
+      expect(response.data.location.region).toBe('Île-de-France');
+    });
+
+    test('narrows the search with countryCode and admin1', async () => {
+      const byCountry = parseResponse(await weatherForecastTool.executor({ location: 'Paris', countryCode: 'us' }));
+      const byRegion = parseResponse(await weatherForecastTool.executor({ location: 'Springfield', admin1: 'illinois' }));
+
+      expect(axios.get.mock.calls[0][1].params).toMatchObject({ name: 'Paris', countryCode: 'US', count: 10 });
+      expect(byCountry.data.location.region).toBe('Texas');
+      expect(byRegion.data.location.coordinates).toEqual({ lat: 39.80172, lon: -89.64371 });
+    });
+
+    test('reads a country or region written after a comma', async () => {
+      const response = parseResponse(await weatherForecastTool.executor({ location: 'Springfield, Massachusetts' }));
+
+      expect(axios.get.mock.calls[0][1].params.name).toBe('Springfield');
+      expect(response.data.location.region).toBe('Massachusetts');
+    });
+
+    test('matches each comma-separated part on its own, including common country names', async () => {
+      const uk = parseResponse(await weatherForecastTool.executor({ location: 'London, UK' }));
+      const ontario = parseResponse(await weatherForecastTool.executor({ location: 'London, Ontario, Canada' }));
+      const usa = parseResponse(await weatherForecastTool.executor({ location: 'London, Kentucky, USA' }));
+
+      expect(uk.data.location).toMatchObject({ region: 'England', country: 'GB' });
+      expect(ontario.data.location).toMatchObject({ region: 'Ontario', country: 'CA' });
+      expect(usa.data.location).toMatchObject({ region: 'Kentucky', country: 'US' });
+    });
+
+    test('offers the places sharing the name when the qualifiers match none of them', async () => {
+      const response = parseResponse(await weatherForecastTool.executor({ location: 'London, Ontario, USA' }));
+
+      expect(response.error.code).toBe('AMBIGUOUS_LOCATION');
+      expect(response.error.message).toBe('No place named "London" matches "Ontario, USA"; 3 places share the name');
+      expect(response.error.details.candidates.map((candidate) => candidate.region)).toEqual(['England', 'Ontario', 'Kentucky']);
+    });
+
+    test('uses coordinates without geocoding', async () => {
+      const response = parseResponse(await weatherForecastTool.executor({ latitude: 48.8566, longitude: 2.3522 }));
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][1].params).toMatchObject({ latitude: 48.8566, longitude: 2.3522 });
+      expect(response.data.location).toEqual({
+        name: null,
+        region: null,
+        country: null,
+        coordinates: { lat: 48.8566, lon: 2.3522 },
+        timezone: null,
+        utcOffset: null,
+        utcOffsetSeconds: null,
+        cached: false,
+        cacheAge: null
+      });
+      expect(response.data.current.temperature).toBe(21);
+    });
+
+    test('rejects incomplete or conflicting location arguments', async () => {
+      const response = parseResponse(await weatherForecastTool.executor({ latitude: 48.8566, countryCode: 'FR' }));
+
+      expect(response.error.code).toBe('INVALID_ARGUMENT');
+      expect(response.error.details.violations).toEqual([
+        { field: 'longitude', message: 'Is required when passing coordinates' },
+        { field: 'countryCode', message: 'Only applies when searching by location' }
+      ]);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replayed provider responses', () => {
+    test('picks London, England and returns its replayed forecast', () => withHttpFixture('open-meteo-london', async () => {
+      const { response, events } = await runTool(weatherForecastTool, { location: 'London', units: 'metric', days: 3 });
+
+      const data = expectSuccess(response);
+      expect(data.location).toMatchObject({
+        name: 'London',
+        region: 'England',
+        country: 'GB',
+        timezone: 'Europe/London',
+        utcOffset: '+00:00',
+        utcOffsetSeconds: 0
+      });
+      expect(data.current).toMatchObject({ temperature: 9.4, description: 'Slight rain', icon: '10d' });
+      expect(data.forecast.daily.map((day) => day.date)).toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+      expect(data.advisories).toEqual([]);
+      expectProgressSequence(events, [25, 75, 100]);
+    }));
+
+    test('replays an empty geocoder answer as LOCATION_NOT_FOUND', () => withHttpFixture('open-meteo-london', async () => {
+      const { response } = await runTool(weatherForecastTool, { location: 'Atlantis', units: 'metric' });
+
+      expectToolError(response, 'LOCATION_NOT_FOUND');
+    }));
+
+    test('fails loudly on requests missing from the recording', () => withHttpFixture('open-meteo-london', async () => {
+      const { response } = await runTool(weatherForecastTool, { location: 'Paris', units: 'metric' });
+
+      expect(expectToolError(response, 'INTERNAL').message).toMatch(/^No recorded response in open-meteo-london\.json/);
+    }));
+  });
 });
@@ -0,0 +1,134 @@
+/**
+ * Tests for the pluggable weather providers
+ */
+const { weatherForecastTool } = require('../weatherForecast');
+const { weatherProviders, createOpenMeteoProvider } = require('../weatherProviders');
+const { responseCache } = require('../responseCache');
+const axios = require('axios');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+describe('Weather Providers', () => {
+  // Helper function to parse the JSON string returned by the tool
+  const parseResponse = (jsonString) => JSON.parse(jsonString);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Start every test with an empty response cache
+    return responseCache.clear();
+  });
+
+  afterEach(() => {
+    // Go back to the default provider selection
+    weatherProviders.use(null);
+  });
+
+  test('fetches a forecast offline with the fixture provider', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({
+      location: 'Tokyo',
+      units: 'imperial',
+      days: 3,
+      granularity: 'daily'
+    });
+
+    const response = parseResponse(result);
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(response.data.location.name).toBe('Tokyo');
+    expect(response.data.current.temperature).toBe(65.1);
+    expect(response.data.forecast.daily).toHaveLength(3);
+    expect(response.data.forecast.daily[1].description).toBe('Slight rain');
+  });
+
+  test('returns 24 hourly values per day from the fixture provider', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({
+      location: 'Berlin',
+      units: 'metric',
+      days: 2,
+      granularity: 'hourly'
+    });
+
+    const response = parseResponse(result);
+
+    expect(response.data.forecast.hourly).toHaveLength(48);
+    expect(response.data.forecast.hourly[15].temperature).toBe(22.1);
+  });
+
+  test('reports unknown places from the fixture provider', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({ location: 'Atlantis', units: 'metric' });
+
+    expect(parseResponse(result).error.message).toBe('Location "Atlantis" not found');
+  });
+
+  test('filters fixture places by country', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({ location: 'Paris', countryCode: 'US' });
+
+    expect(parseResponse(result).data.location.region).toBe('Texas');
+  });
+
+  test('reports the fixture place time zone as of the fixture date', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({ location: 'New York' });
+
+    expect(parseResponse(result).data.location).toMatchObject({
+      timezone: 'America/New_York',
+      utcOffset: '-04:00',
+      utcOffsetSeconds: -14400
+    });
+  });
+
+  test('adds air quality, UV and pollen from the fixture provider', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({ location: 'Berlin', include: ['air_quality', 'uv', 'pollen'] });
+    const response = parseResponse(result);
+
+    expect(response.data.airQuality.usAqi).toMatchObject({ value: 57, category: 'Moderate' });
+    expect(response.data.uv).toMatchObject({ index: 6.2, category: 'High' });
+    expect(response.data.pollen.grass.level).toBe('Moderate');
+    expect(response.data.units.concentration).toBe('μg/m³');
+  });
+
+  test('derives advisories from the fixture forecast', async () => {
+    weatherProviders.use('fixture');
+
+    const result = await weatherForecastTool.executor({ location: 'Sydney', days: 5 });
+    const response = parseResponse(result);
+
+    // The fifth fixture day has a thunderstorm
+    expect(response.data.advisories).toEqual([
+      expect.objectContaining({ type: 'thunderstorm', severity: 'moderate', start: '2024-06-05' })
+    ]);
+  });
+
+  test('points the Open-Meteo provider at a self-hosted instance', async () => {
+    axios.get.mockImplementation((url) => {
+      if (url === 'https://weather.internal/geocode') {
+        return Promise.resolve({
+          data: { results: [{ name: 'Lyon', country_code: 'FR', latitude: 45.75, longitude: 4.85 }] }
+        });
+      }
+      return Promise.resolve({ data: { current: { temperature_2m: 19, weather_code: 0 } } });
+    });
+
+    weatherProviders.use(createOpenMeteoProvider({
+      geocodingUrl: 'https://weather.internal/geocode',
+      forecastUrl: 'https://weather.internal/forecast'
+    }));
+
+    const result = await weatherForecastTool.executor({ location: 'Lyon', units: 'metric' });
+
+    expect(axios.get.mock.calls[1][0]).toBe('https://weather.internal/forecast');
+    expect(parseResponse(result).data.current.temperature).toBe(19);
+  });
+});
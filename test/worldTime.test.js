@@ -0,0 +1,137 @@
+/**
+ * End-to-end tests for the world time tool
+ */
+const { worldTimeTool } = require('../worldTime');
+const { weatherProviders } = require('../weatherProviders');
+const { responseCache } = require('../responseCache');
+const { withHttpFixture, runTool, expectProgressSequence, expectSuccess, expectToolError } = require('./toolHarness');
+const axios = require('axios');
+
+// Mock axios for controlled testing
+jest.mock('axios');
+
+describe('World Time Tool E2E Tests', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+    return responseCache.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    weatherProviders.use(null);
+  });
+
+  test('gives the current local time in a zone without any requests', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-07-04T16:00:00Z'));
+
+    const { response, events } = await runTool(worldTimeTool, { timezone: 'Asia/Kolkata' });
+
+    expect(expectSuccess(response)).toEqual({
+      time: '2024-07-04T16:00:00.000Z',
+      input: null,
+      adjustment: null,
+      source: {
+        location: null,
+        timezone: 'Asia/Kolkata',
+        localTime: '2024-07-04T21:30:00',
+        utcOffset: '+05:30',
+        utcOffsetSeconds: 19800,
+        abbreviation: expect.any(String),
+        isDst: false,
+        nextTransition: null
+      },
+      target: null,
+      offsetDifference: null,
+      offsetDifferenceSeconds: null
+    });
+    expect(axios.get).not.toHaveBeenCalled();
+    expectProgressSequence(events, [0, 50, 100]);
+  });
+
+  test('converts a local time between places found by the geocoder', async () => {
+    weatherProviders.use('fixture');
+
+    const { response } = await runTool(worldTimeTool, { location: 'New York', time: '2024-07-04T09:00', toLocation: 'Tokyo' });
+
+    const data = expectSuccess(response);
+    expect(data.time).toBe('2024-07-04T13:00:00.000Z');
+    expect(data.source).toMatchObject({
+      location: { name: 'New York', region: 'New York', country: 'US' },
+      timezone: 'America/New_York',
+      localTime: '2024-07-04T09:00:00',
+      abbreviation: 'EDT',
+      isDst: true
+    });
+    expect(data.target).toMatchObject({ location: { name: 'Tokyo', country: 'JP' }, localTime: '2024-07-04T22:00:00', utcOffset: '+09:00' });
+    expect(data.offsetDifference).toBe('+13:00');
+    expect(data.offsetDifferenceSeconds).toBe(46800);
+  });
+
+  test('converts a timestamp with its own offset without a source zone', async () => {
+    const { response } = await runTool(worldTimeTool, { time: '2024-01-15T23:30:00Z', toTimezone: 'Australia/Sydney' });
+
+    const data = expectSuccess(response);
+    expect(data.source).toBeNull();
+    expect(data.target).toMatchObject({ localTime: '2024-01-16T10:30:00', utcOffset: '+11:00', isDst: true });
+  });
+
+  test('moves a time skipped by daylight saving forward and warns about it', async () => {
+    const { response, events } = await runTool(worldTimeTool, { timezone: 'America/New_York', time: '2024-03-10T02:30' });
+
+    const data = expectSuccess(response);
+    expect(data.time).toBe('2024-03-10T07:30:00.000Z');
+    expect(data.source).toMatchObject({ localTime: '2024-03-10T03:30:00', abbreviation: 'EDT' });
+    expect(data.adjustment).toEqual({ type: 'skipped', message: expect.stringMatching(/does not exist/), alternatives: [] });
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'warning',
+      data: { message: data.adjustment.message, code: 'TIME_SKIPPED' }
+    }));
+  });
+
+  test('uses the earlier of two times repeated by daylight saving', async () => {
+    const { response } = await runTool(worldTimeTool, { timezone: 'America/New_York', time: '2024-11-03T01:30', toTimezone: 'UTC' });
+
+    const data = expectSuccess(response);
+    expect(data.time).toBe('2024-11-03T05:30:00.000Z');
+    expect(data.source).toMatchObject({ abbreviation: 'EDT', utcOffset: '-04:00' });
+    expect(data.adjustment).toMatchObject({ type: 'repeated', alternatives: ['2024-11-03T06:30:00.000Z'] });
+    expect(data.target.localTime).toBe('2024-11-03T05:30:00');
+  });
+
+  test('rejects conflicting, missing and unknown zones', async () => {
+    const conflicting = await runTool(worldTimeTool, { location: 'Paris', timezone: 'Europe/Paris', toLocation: 'Tokyo', toTimezone: 'Asia/Tokyo' });
+    const missing = await runTool(worldTimeTool, { time: '2024-03-10T02:30' });
+    const unknown = await runTool(worldTimeTool, { timezone: 'Europe/Atlantis', time: '2024-02-30T10:00' });
+
+    expect(expectToolError(conflicting.response, 'INVALID_ARGUMENT').details.violations).toEqual([
+      { field: 'timezone', message: 'Cannot be combined with location' },
+      { field: 'toTimezone', message: 'Cannot be combined with toLocation' }
+    ]);
+    expect(missing.response.error.details.violations).toEqual([
+      { field: 'location', message: 'Is required unless timezone is given or time includes a UTC offset' }
+    ]);
+    expect(unknown.response.error.details.violations).toEqual([
+      { field: 'timezone', message: 'Is not a known IANA time zone' },
+      { field: 'time', message: 'Is not a valid date and time' }
+    ]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('reports places without a known time zone', async () => {
+    axios.get.mockResolvedValue({ data: { results: [{ name: 'Nowhere', latitude: 0, longitude: 0 }] } });
+
+    const { response } = await runTool(worldTimeTool, { location: 'Nowhere' });
+
+    expect(expectToolError(response, 'LOCATION_NOT_FOUND').hint).toMatch(/IANA time zone/);
+  });
+
+  test('resolves London from the replayed geocoder response', () => withHttpFixture('open-meteo-london', async () => {
+    const { response, events } = await runTool(worldTimeTool, { location: 'London', time: '2024-03-31T01:30' });
+
+    const data = expectSuccess(response);
+    expect(data.source).toMatchObject({ location: { name: 'London', region: 'England', country: 'GB' }, timezone: 'Europe/London' });
+    expect(data.adjustment.type).toBe('skipped');
+    expect(data.source.localTime).toBe('2024-03-31T02:30:00');
+    expectProgressSequence(events, [0, 50, 100]);
+  }));
+});
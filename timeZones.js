@@ -0,0 +1,214 @@
+/**
+ * Time Zones
+ * Offsets, local times and daylight saving transitions for IANA time zones,
+ * read from the time zone database bundled with the JavaScript runtime, so no requests are needed
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// ISO 8601 date-time, with an optional UTC offset or Z; without one it is a local time
+const TIMESTAMP_PATTERN = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,3})?)?(Z|[+-]\\d{2}:\\d{2})?$';
+
+// One formatter per zone; creating them is far slower than using them
+const formatters = new Map();
+
+/**
+ * Get the formatter that splits an instant into wall-clock fields for a zone
+ */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a zone name is in the bundled database, e.g. 'Europe/Paris' or 'UTC'
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the wall-clock fields and zone abbreviation of an instant in a zone
+ */
+function wallClock(timeZone, instant) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(new Date(instant)).map((part) => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    abbreviation: parts.timeZoneName
+  };
+}
+
+/**
+ * Find a zone's UTC offset at an instant, in seconds
+ */
+function offsetAt(timeZone, instant) {
+  const clock = wallClock(timeZone, instant);
+  const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 1000);
+}
+
+/**
+ * Write an offset in seconds as ±HH:MM
+ */
+function formatOffset(seconds) {
+  const sign = seconds < 0 ? '-' : '+';
+  const minutes = Math.abs(seconds) / 60;
+
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Write the local date and time of an instant in a zone as YYYY-MM-DDTHH:mm:ss
+ */
+function formatLocalTime(timeZone, instant) {
+  const clock = wallClock(timeZone, instant);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${clock.year}-${pad(clock.month)}-${pad(clock.day)}T${pad(clock.hour)}:${pad(clock.minute)}:${pad(clock.second)}`;
+}
+
+/**
+ * Find the first offset change after an instant, looking up to a year ahead
+ * Returns { instant, offsetBefore, offsetAfter } or null for zones without transitions
+ */
+function nextTransition(timeZone, instant) {
+  const start = offsetAt(timeZone, instant);
+  let low = instant;
+  let high = null;
+
+  // Step a day at a time to the first day with a different offset, then narrow it down to the second
+  for (let probe = instant + DAY; probe <= instant + 366 * DAY; probe += DAY) {
+    if (offsetAt(timeZone, probe) !== start) {
+      high = probe;
+      break;
+    }
+    low = probe;
+  }
+  if (high === null) {
+    return null;
+  }
+
+  while (high - low > 1000) {
+    const middle = Math.floor((low + high) / 2000) * 1000;
+    if (offsetAt(timeZone, middle) === start) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return { instant: high, offsetBefore: start, offsetAfter: offsetAt(timeZone, high) };
+}
+
+/**
+ * Describe a zone at an instant: local time, offset, abbreviation, daylight saving and the next transition
+ */
+function describeTimeZone(timeZone, instant = Date.now()) {
+  const offset = offsetAt(timeZone, instant);
+  const year = new Date(instant).getUTCFullYear();
+
+  // Standard time is the smaller of the January and July offsets, which also holds south of the equator
+  const standardOffset = Math.min(offsetAt(timeZone, Date.UTC(year, 0, 1)), offsetAt(timeZone, Date.UTC(year, 6, 1)));
+  const transition = nextTransition(timeZone, instant);
+
+  return {
+    timezone: timeZone,
+    localTime: formatLocalTime(timeZone, instant),
+    utcOffset: formatOffset(offset),
+    utcOffsetSeconds: offset,
+    abbreviation: wallClock(timeZone, instant).abbreviation,
+    isDst: offset > standardOffset,
+    nextTransition: transition && {
+      time: new Date(transition.instant).toISOString(),
+      localTime: formatLocalTime(timeZone, transition.instant),
+      utcOffsetBefore: formatOffset(transition.offsetBefore),
+      utcOffsetAfter: formatOffset(transition.offsetAfter)
+    }
+  };
+}
+
+/**
+ * Read a timestamp matching TIMESTAMP_PATTERN
+ * Returns { local: milliseconds of the wall-clock time as if it were UTC, offsetSeconds } where
+ * offsetSeconds is null when the timestamp names no offset
+ */
+function parseTimestamp(text) {
+  const [, date, time, zone] = text.match(/^(\d{4}-\d{2}-\d{2})T([\d:.]+)(Z|[+-]\d{2}:\d{2})?$/);
+  const local = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+
+  if (Number.isNaN(local) || new Date(local).toISOString().slice(0, 10) !== date) {
+    return null;
+  }
+  if (!zone) {
+    return { local, offsetSeconds: null };
+  }
+  if (zone === 'Z') {
+    return { local, offsetSeconds: 0 };
+  }
+
+  const sign = zone.startsWith('-') ? -1 : 1;
+  const [hours, minutes] = zone.slice(1).split(':').map(Number);
+  return { local, offsetSeconds: sign * (hours * 3600 + minutes * 60) };
+}
+
+/**
+ * Find the instant a wall-clock time in a zone refers to, handling daylight saving transitions
+ * like Temporal's 'compatible' disambiguation: a time skipped when clocks go forward moves
+ * forward by the gap, and a time repeated when clocks go back takes the earlier instant
+ * Returns { instant, adjustment, alternatives }, with adjustment null, 'skipped' or 'repeated'
+ */
+function zonedTimeToInstant(local, timeZone) {
+  // Either offset in force around the time, from a day before and a day after
+  const offsets = [...new Set([offsetAt(timeZone, local - DAY), offsetAt(timeZone, local + DAY)])];
+  const candidates = offsets
+    .map((offset) => local - offset * 1000)
+    .filter((instant) => offsetAt(timeZone, instant) * 1000 === local - instant)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 1) {
+    return { instant: candidates[0], adjustment: null, alternatives: [] };
+  }
+  if (candidates.length > 1) {
+    return { instant: candidates[0], adjustment: 'repeated', alternatives: candidates.slice(1) };
+  }
+
+  // In a gap, read the time with the offset from before the transition
+  return { instant: local - offsetAt(timeZone, local - DAY) * 1000, adjustment: 'skipped', alternatives: [] };
+}
+
+module.exports = {
+  TIMESTAMP_PATTERN,
+  isValidTimeZone,
+  offsetAt,
+  formatOffset,
+  formatLocalTime,
+  nextTransition,
+  describeTimeZone,
+  parseTimestamp,
+  zonedTimeToInstant,
+};
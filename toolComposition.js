@@ -0,0 +1,140 @@
+/**
+ * Tool Composition
+ * Builds tools whose executors call other tools' executors, so an agent gets a combined answer
+ * in one round-trip instead of one per tool
+ *
+ * Each call to another tool runs inside one of the composite's steps. The called tool's events are
+ * passed through with their step IDs prefixed by that step (e.g. forecast.fetch_weather), and its
+ * progress is scaled into the share of the composite's progress between that step and the next.
+ */
+
+const { validateArguments, invalidArgumentsResponse } = require('./argumentValidator');
+const { createToolError, errorResponse } = require('./toolErrors');
+const { throwIfAborted } = require('./cancellation');
+const { createEventEmitter } = require('./toolEvents');
+const { telemetry } = require('./telemetry');
+const { toolConfig } = require('./toolConfig');
+
+/**
+ * Build a publishToClient callback that passes a called tool's events through under a composite step
+ * Progress from 0 to 100 maps onto `from` to `to`
+ */
+function scopeEvents(publishToClient, step, { from, to }) {
+  if (!publishToClient) {
+    return undefined;
+  }
+
+  return (event) => {
+    const data = { ...event.data };
+
+    if (data.step !== undefined) {
+      data.step = `${step}.${data.step}`;
+    }
+    if (event.type === 'progress') {
+      data.progress = Math.round((from + (to - from) * data.progress / 100) * 100) / 100;
+    }
+    publishToClient({ ...event, data });
+  };
+}
+
+/**
+ * Turn a called tool's error response back into an error, so the composite can fail with it
+ */
+function toToolError({ code, message, hint, retryable, details, retryAfter }) {
+  return createToolError(code, message, { hint, retryable, details, retryAfter });
+}
+
+/**
+ * Create a tool that calls other tools
+ * - parameters: the strict JSON Schema of the composite's own arguments
+ * - steps: its steps as { id, description, progress }, as for any tool
+ * - configSchema: optional settings of the composite itself; the tools it calls read their own
+ * - check(args): optional, returns violations the schema cannot express
+ * - run(args, context): does the work and resolves to the result's `data`; `context` offers
+ *   `call(step, tool, args)`, resolving to the called tool's parsed response ({ data } or { error }),
+ *   `unwrap(response)`, returning its data or throwing its error, `events`, `settings` and `signal`
+ * Calls are traced as tool calls of their own, nested under the composite's
+ */
+function createCompositeTool({
+  name,
+  description,
+  parameters,
+  steps,
+  configSchema = { type: 'object', properties: {}, additionalProperties: false },
+  check = () => [],
+  run,
+  fallbackMessage = `Tool "${name}" failed`
+}) {
+  const compositeTool = {
+    name,
+    toolDefinition: {
+      type: 'function',
+      function: {
+        name,
+        description,
+        strict: true,
+        parameters,
+      },
+    },
+    configSchema,
+    steps,
+    executor: async ({ publishToClient, signal, config, ...args }) => {
+      let settings;
+      try {
+        settings = toolConfig.resolve(compositeTool, config);
+      } catch (error) {
+        return errorResponse(error);
+      }
+
+      const validation = validateArguments(parameters, args);
+      const violations = validation.valid ? check(validation.value) : validation.violations;
+      if (violations.length > 0) {
+        return invalidArgumentsResponse(name, violations);
+      }
+
+      const events = createEventEmitter(publishToClient, steps);
+      const context = {
+        events,
+        settings,
+        signal,
+
+        async call(step, tool, toolArgs, message = `Calling ${tool.name}...`) {
+          const index = steps.findIndex((entry) => entry.id === step);
+          const range = { from: steps[index].progress, to: steps[index + 1]?.progress ?? 100 };
+
+          throwIfAborted(signal);
+          events.startStep(step, message);
+
+          const raw = await telemetry.traceToolCall(tool.name, toolArgs, () => tool.executor({
+            ...toolArgs,
+            publishToClient: scopeEvents(publishToClient, step, range),
+            signal
+          }));
+
+          events.completeStep(step);
+          return JSON.parse(raw);
+        },
+
+        unwrap(response) {
+          if (response.error) {
+            throw toToolError(response.error);
+          }
+          return response.data;
+        },
+      };
+
+      try {
+        return JSON.stringify({ data: await run(validation.value, context) });
+      } catch (error) {
+        return errorResponse(error, { signal, fallbackMessage });
+      }
+    },
+  };
+
+  return compositeTool;
+}
+
+module.exports = {
+  scopeEvents,
+  createCompositeTool,
+};
@@ -0,0 +1,220 @@
+/**
+ * Tool Configuration
+ * Per-tool settings such as provider base URLs, API keys, timeouts, proxies and default arguments
+ *
+ * Each tool may declare a `configSchema`: a closed JSON Schema object whose properties all have
+ * defaults. Properties marked `secret: true` are registered with the secrets module once resolved,
+ * so their values are masked in log lines and error responses. Settings are merged from, lowest first:
+ * - the schema defaults
+ * - the JSON config file named by the `file` option or the AGENT_TOOLS_CONFIG environment variable,
+ *   shaped as { "tools": { "<tool name>": { ... } } }
+ * - values passed to `configure({ values })` in code, keyed by tool name in the same way
+ * - environment variables named AGENT_TOOLS_<TOOL>_<SETTING>, e.g. AGENT_TOOLS_WEATHER_FORECAST_API_KEY
+ * - overrides for a single call, passed to `registry.invoke` as the `config` option
+ */
+
+const fs = require('fs');
+const { validateArguments } = require('./argumentValidator');
+const { createToolError } = require('./toolErrors');
+const { registerSecret } = require('./secrets');
+
+const CONFIG_FILE_ENV_VAR = 'AGENT_TOOLS_CONFIG';
+
+// Settings every tool that makes requests accepts
+const CONNECTION_SETTINGS = {
+  provider: {
+    type: ['string', 'null'],
+    description: 'Name of the registered provider to use, or null for the selected one',
+    minLength: 1,
+    default: null,
+  },
+  timeout: {
+    type: ['integer', 'null'],
+    description: 'Milliseconds before a single request attempt is abandoned, or null for the HTTP client timeout',
+    minimum: 1,
+    default: null,
+  },
+  proxy: {
+    type: ['string', 'null'],
+    description: 'Proxy URL for every request, which may carry credentials, or null for none',
+    pattern: '^https?://',
+    secret: true,
+    default: null,
+  },
+};
+
+// Tools without a configSchema accept no settings
+const EMPTY_SCHEMA = { type: 'object', properties: {}, additionalProperties: false };
+
+/**
+ * Name the environment variable of a setting, e.g. weather-forecast apiKey as AGENT_TOOLS_WEATHER_FORECAST_API_KEY
+ */
+function envVarName(toolName, key) {
+  const setting = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2');
+  return `AGENT_TOOLS_${toolName.replace(/[^A-Za-z0-9]+/g, '_')}_${setting}`.toUpperCase();
+}
+
+/**
+ * Convert an environment variable into the type its schema expects
+ * Values that cannot be converted are passed through so validation can report them
+ */
+function parseEnvValue(raw, schema) {
+  const types = [].concat(schema.type || 'string');
+
+  if ((raw === '' || raw === 'null') && types.includes('null')) {
+    return null;
+  }
+  if ((types.includes('number') || types.includes('integer')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+/**
+ * Read and check a config file, failing without quoting its contents, which may hold secrets
+ */
+function readConfigFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw createToolError('INVALID_CONFIGURATION', error.code === 'ENOENT'
+      ? `Config file ${file} does not exist`
+      : `Config file ${file} is not valid JSON`);
+  }
+
+  const tools = parsed?.tools;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || (tools !== undefined && (typeof tools !== 'object' || tools === null || Array.isArray(tools)))) {
+    throw createToolError('INVALID_CONFIGURATION', `Config file ${file} must hold an object with a "tools" object keyed by tool name`);
+  }
+  return tools || {};
+}
+
+/**
+ * Create a configuration store
+ * `env` defaults to process.env; `file` defaults to the AGENT_TOOLS_CONFIG environment variable
+ */
+function createToolConfig({ file = null, env = process.env, values = {} } = {}) {
+  let settings = { file, env, values };
+  let loaded = null;
+
+  // The config file is read once, and again after configure()
+  const fileValues = () => {
+    const path = settings.file || settings.env[CONFIG_FILE_ENV_VAR] || null;
+
+    if (!path) {
+      return {};
+    }
+    if (loaded?.path !== path) {
+      loaded = { path, tools: readConfigFile(path) };
+    }
+    return loaded.tools;
+  };
+
+  const envValues = (toolName, schema) => {
+    const result = {};
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      const raw = settings.env[envVarName(toolName, key)];
+      if (raw !== undefined) {
+        result[key] = parseEnvValue(raw, property);
+      }
+    }
+    return result;
+  };
+
+  const toolConfig = {
+    /**
+     * Change the file, environment or in-code values settings are read from
+     */
+    configure(nextSettings = {}) {
+      settings = { ...settings, ...nextSettings };
+      loaded = null;
+      return toolConfig;
+    },
+
+    /**
+     * Resolve a tool's settings from every source, with `overrides` for this call on top
+     * Returns a frozen settings object, or throws INVALID_CONFIGURATION naming the source of each bad value
+     */
+    resolve(tool, overrides = {}) {
+      const schema = tool.configSchema || EMPTY_SCHEMA;
+      const layers = [
+        [`config file ${settings.file || settings.env[CONFIG_FILE_ENV_VAR]}`, fileValues()[tool.name]],
+        ['configure() values', settings.values[tool.name]],
+        ['environment', envValues(tool.name, schema)],
+        ['call overrides', overrides],
+      ];
+
+      const merged = {};
+      const sources = {};
+      for (const [source, layer] of layers) {
+        if (layer === undefined || layer === null) {
+          continue;
+        }
+        if (typeof layer !== 'object' || Array.isArray(layer)) {
+          throw createToolError('INVALID_CONFIGURATION', `Settings for ${tool.name} from ${source} must be an object`);
+        }
+        for (const [key, value] of Object.entries(layer)) {
+          if (value !== undefined) {
+            merged[key] = value;
+            sources[key] = source === 'environment' ? `environment variable ${envVarName(tool.name, key)}` : source;
+          }
+        }
+      }
+
+      // Violation messages name the setting and its source, never its value
+      const validation = validateArguments(schema, merged);
+      if (!validation.valid) {
+        const violations = validation.violations.map((violation) => ({
+          ...violation,
+          source: sources[violation.field.split(/[.[]/)[0]] || 'defaults'
+        }));
+
+        throw createToolError('INVALID_CONFIGURATION', `Invalid configuration for ${tool.name}: ${violations
+          .map((violation) => `${violation.field} from ${violation.source} ${violation.message.toLowerCase()}`)
+          .join('; ')}`, { details: { violations } });
+      }
+
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (property.secret) {
+          // Secrets sent with a single call are not kept for the life of the process
+          registerSecret(validation.value[key], { transient: sources[key] === 'call overrides' });
+        }
+      }
+
+      return Object.freeze(validation.value);
+    },
+
+    /**
+     * List a tool's settings with their environment variables, for documentation and help output
+     */
+    describe(tool) {
+      const schema = tool.configSchema || EMPTY_SCHEMA;
+
+      return Object.entries(schema.properties || {}).map(([key, property]) => ({
+        key,
+        envVar: envVarName(tool.name, key),
+        description: property.description || null,
+        secret: Boolean(property.secret),
+        default: property.default
+      }));
+    },
+  };
+
+  return toolConfig;
+}
+
+// Shared configuration read by the tool executors
+const toolConfig = createToolConfig();
+
+module.exports = {
+  CONFIG_FILE_ENV_VAR,
+  CONNECTION_SETTINGS,
+  envVarName,
+  createToolConfig,
+  toolConfig,
+};
@@ -0,0 +1,176 @@
+/**
+ * Tool Errors
+ * Shared error taxonomy so agents can react to failures by code instead of matching messages
+ */
+
+const { isCancellation } = require('./cancellation');
+const { maskSecrets, redact } = require('./secrets');
+
+// Every error code a tool can return, whether a retry may succeed, and what the LLM should do next
+const ERROR_CODES = {
+  INVALID_ARGUMENT: {
+    retryable: false,
+    hint: 'Correct the arguments listed in details and call the tool again.'
+  },
+  LOCATION_NOT_FOUND: {
+    retryable: false,
+    hint: 'Check the spelling, add the country (e.g. "Paris, FR"), or ask the user to clarify the location.'
+  },
+  AMBIGUOUS_LOCATION: {
+    retryable: false,
+    hint: 'Ask the user which of the candidates in details they mean, then call again with its countryCode and admin1, or its coordinates.'
+  },
+  UNSUPPORTED_CURRENCY: {
+    retryable: false,
+    hint: 'Use a three-letter ISO 4217 currency code such as USD, EUR or GBP, or ask the user which currency they mean.'
+  },
+  UPSTREAM_UNAVAILABLE: {
+    retryable: true,
+    hint: 'The data provider is unavailable. Try again later, or tell the user the data cannot be retrieved right now.'
+  },
+  RATE_LIMITED: {
+    retryable: true,
+    hint: 'Too many requests were made to the data provider. Wait before calling the tool again.'
+  },
+  TIMEOUT: {
+    retryable: true,
+    hint: 'The data provider took too long to answer. Try the call again.'
+  },
+  CANCELLED: {
+    retryable: false,
+    hint: 'The call was cancelled. Do not retry it unless the user asks.'
+  },
+  INVALID_CONFIGURATION: {
+    retryable: false,
+    hint: 'The tool is not configured correctly. Do not retry; tell the user the tool needs its configuration fixed.'
+  },
+  INTERNAL: {
+    retryable: false,
+    hint: 'An unexpected error occurred. Do not repeat the same call; tell the user the tool failed.'
+  },
+};
+
+/**
+ * Create an error carrying one of the taxonomy codes
+ * `details`, `hint`, `retryable` and `retryAfter` (seconds) override the code's defaults
+ */
+function createToolError(code, message, { details = null, hint, retryable, retryAfter } = {}) {
+  if (!ERROR_CODES[code]) {
+    throw new Error(`Unknown tool error code "${code}"`);
+  }
+
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  error.hint = hint || ERROR_CODES[code].hint;
+  error.retryable = retryable !== undefined ? retryable : ERROR_CODES[code].retryable;
+  if (retryAfter !== undefined && retryAfter !== null) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+}
+
+/**
+ * Check whether an error already carries a taxonomy code
+ */
+function isToolError(error) {
+  return Boolean(error && ERROR_CODES[error.code] && error.hint !== undefined);
+}
+
+/**
+ * Read a Retry-After header in whole seconds, if the upstream sent one
+ */
+function retryAfterSeconds(error) {
+  const header = error.response?.headers?.['retry-after'];
+  const seconds = Number(header);
+
+  if (header !== undefined && Number.isFinite(seconds)) {
+    return seconds;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+}
+
+/**
+ * Map any error thrown inside an executor onto the taxonomy
+ */
+function classifyError(error, { signal, fallbackMessage = 'The tool call failed' } = {}) {
+  if (isCancellation(error, signal)) {
+    const reason = signal?.reason || error?.reason;
+
+    // A deadline set by the registry aborts with a TIMEOUT reason
+    if (isToolError(reason)) {
+      return reason;
+    }
+    return createToolError('CANCELLED', reason instanceof Error ? reason.message : 'The tool call was cancelled');
+  }
+
+  if (isToolError(error)) {
+    return error;
+  }
+
+  const message = error?.message || fallbackMessage;
+  const status = error?.response?.status;
+  const details = error?.response?.data || null;
+
+  if (error?.code === 'CIRCUIT_OPEN') {
+    return createToolError('UPSTREAM_UNAVAILABLE', message, { retryAfter: error.retryAfter });
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return createToolError('TIMEOUT', message, { details });
+  }
+  if (status === 429) {
+    return createToolError('RATE_LIMITED', message, { details, retryAfter: retryAfterSeconds(error) });
+  }
+  if (status >= 500 || (error?.request && status === undefined)) {
+    return createToolError('UPSTREAM_UNAVAILABLE', message, { details });
+  }
+
+  return createToolError('INTERNAL', message, { details });
+}
+
+/**
+ * Build the `error` object of a JSON error response, e.g. for per-item errors in batch results
+ * Secrets are masked, since upstream messages and response bodies may echo API keys back
+ */
+function toErrorBody(error, options = {}) {
+  const toolError = classifyError(error, options);
+
+  const body = {
+    code: toolError.code,
+    message: maskSecrets(toolError.message),
+    retryable: toolError.retryable,
+    hint: maskSecrets(toolError.hint),
+    details: toolError.details === undefined ? null : redact(toolError.details)
+  };
+  if (toolError.retryAfter !== undefined) {
+    body.retryAfter = toolError.retryAfter;
+  }
+
+  return body;
+}
+
+/**
+ * Build the standard JSON error response for an error thrown inside an executor
+ */
+function errorResponse(error, options = {}) {
+  return JSON.stringify({ error: toErrorBody(error, options) });
+}
+
+/**
+ * Build the standard JSON error response for a call stopped through its AbortSignal
+ */
+function cancelledResponse(signal) {
+  return errorResponse(null, { signal });
+}
+
+module.exports = {
+  ERROR_CODES,
+  createToolError,
+  isToolError,
+  classifyError,
+  toErrorBody,
+  errorResponse,
+  cancelledResponse,
+};
@@ -0,0 +1,228 @@
+/**
+ * Tool Events
+ * The event protocol executors use to report what they are doing through `publishToClient`,
+ * a helper to emit events, and a validator clients can use to check them
+ *
+ * Every event is `{ type, data, timestamp }`, where `timestamp` is an optional ISO 8601 string
+ * and `data` depends on the type:
+ * - progress:       { message, progress (0-100), step?, retry? }
+ * - step_started:   { step, message, index, total }
+ * - step_completed: { step, message?, durationMs }
+ * - partial_result: { step, result }, e.g. one converted batch item before the whole batch is done
+ * - warning:        { message, code?, details? }, for problems that do not fail the call
+ * - log:            { level (debug|info|warn|error), message }
+ *
+ * Step IDs are stable: each tool lists its steps in `tool.steps` as { id, description, progress },
+ * where `progress` is the percentage reported when the step starts. Events a composite tool passes
+ * through from the tools it calls carry the composite's step as a prefix, e.g. forecast.fetch_weather.
+ */
+
+const { validateArguments } = require('./argumentValidator');
+
+const EVENT_TYPES = ['progress', 'step_started', 'step_completed', 'partial_result', 'warning', 'log'];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Step IDs are lower snake case, e.g. fetch_rates, optionally namespaced by a composite tool's step
+const STEP_ID_PATTERN = '^[a-z][a-z0-9_]*(\\.[a-z][a-z0-9_]*)*$';
+
+const stepId = { type: 'string', pattern: STEP_ID_PATTERN };
+
+// JSON Schema of `data` for each event type
+const EVENT_SCHEMAS = {
+  progress: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      progress: { type: 'number', minimum: 0, maximum: 100 },
+      step: stepId,
+      retry: {
+        type: 'object',
+        properties: {
+          attempt: { type: 'integer', minimum: 1 },
+          maxAttempts: { type: 'integer', minimum: 1 },
+          delay: { type: 'number', minimum: 0 },
+          reason: { type: 'string' },
+        },
+        required: ['attempt', 'maxAttempts', 'delay', 'reason'],
+      },
+    },
+    required: ['message', 'progress'],
+    additionalProperties: false,
+  },
+  step_started: {
+    type: 'object',
+    properties: {
+      step: stepId,
+      message: { type: 'string' },
+      index: { type: 'integer', minimum: 0 },
+      total: { type: 'integer', minimum: 1 },
+    },
+    required: ['step', 'message', 'index', 'total'],
+    additionalProperties: false,
+  },
+  step_completed: {
+    type: 'object',
+    properties: {
+      step: stepId,
+      message: { type: 'string' },
+      durationMs: { type: 'number', minimum: 0 },
+    },
+    required: ['step', 'durationMs'],
+    additionalProperties: false,
+  },
+  partial_result: {
+    type: 'object',
+    properties: {
+      step: stepId,
+      // Any JSON value
+      result: {},
+    },
+    required: ['step', 'result'],
+    additionalProperties: false,
+  },
+  warning: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      code: { type: 'string' },
+      details: {},
+    },
+    required: ['message'],
+    additionalProperties: false,
+  },
+  log: {
+    type: 'object',
+    properties: {
+      level: { type: 'string', enum: LOG_LEVELS },
+      message: { type: 'string' },
+    },
+    required: ['level', 'message'],
+    additionalProperties: false,
+  },
+};
+
+// JSON Schema of the event envelope
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: EVENT_TYPES },
+    data: { type: 'object' },
+    timestamp: { type: 'string' },
+  },
+  required: ['type', 'data'],
+  additionalProperties: false,
+};
+
+/**
+ * Check an event against the protocol
+ * Returns { valid, violations: [{ field, message }] } like the argument validator
+ */
+function validateEvent(event) {
+  const envelope = validateArguments(ENVELOPE_SCHEMA, event);
+  if (!envelope.valid) {
+    return envelope;
+  }
+
+  const data = validateArguments(EVENT_SCHEMAS[event.type], event.data);
+  const violations = data.violations.map((violation) => ({
+    field: violation.field === '(root)' ? 'data' : `data.${violation.field}`,
+    message: violation.message,
+  }));
+
+  return { valid: violations.length === 0, value: event, violations };
+}
+
+/**
+ * Create the helper an executor uses to emit events for one call
+ * `steps` lists the call's steps in order as { id, progress }; every method is a no-op without a client
+ */
+function createEventEmitter(publishToClient, steps = []) {
+  const startedAt = new Map();
+
+  const emit = (type, data) => {
+    if (publishToClient) {
+      publishToClient({ type, data, timestamp: new Date().toISOString() });
+    }
+  };
+
+  const indexOf = (id) => {
+    const index = steps.findIndex((step) => step.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown step "${id}"`);
+    }
+    return index;
+  };
+
+  return {
+    /**
+     * Report overall progress as a percentage
+     */
+    progress(message, progress, step) {
+      emit('progress', step ? { message, progress, step } : { message, progress });
+    },
+
+    /**
+     * Announce a step, and report the progress reached when it starts
+     */
+    startStep(id, message) {
+      const index = indexOf(id);
+      startedAt.set(id, Date.now());
+
+      emit('step_started', { step: id, message, index, total: steps.length });
+      if (steps[index].progress !== undefined) {
+        emit('progress', { message, progress: steps[index].progress, step: id });
+      }
+    },
+
+    /**
+     * Finish a step; finishing the last step reports 100% progress
+     */
+    completeStep(id, message) {
+      const index = indexOf(id);
+      const durationMs = startedAt.has(id) ? Date.now() - startedAt.get(id) : 0;
+
+      emit('step_completed', message === undefined ? { step: id, durationMs } : { step: id, message, durationMs });
+      if (index === steps.length - 1) {
+        emit('progress', { message: message || 'Done', progress: 100, step: id });
+      }
+    },
+
+    /**
+     * Share part of the result before the call finishes
+     */
+    partialResult(id, result) {
+      emit('partial_result', { step: id, result });
+    },
+
+    /**
+     * Report a problem that does not fail the call
+     */
+    warning(message, { code, details } = {}) {
+      const data = { message };
+      if (code !== undefined) {
+        data.code = code;
+      }
+      if (details !== undefined) {
+        data.details = details;
+      }
+      emit('warning', data);
+    },
+
+    /**
+     * Emit a diagnostic log line
+     */
+    log(level, message) {
+      emit('log', { level, message });
+    },
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  LOG_LEVELS,
+  STEP_ID_PATTERN,
+  EVENT_SCHEMAS,
+  validateEvent,
+  createEventEmitter,
+};
@@ -0,0 +1,216 @@
+/**
+ * Tool Registry
+ * Discovers tool objects, validates them and lets agents look tools up and invoke them by name
+ */
+
+const { createToolError, errorResponse, cancelledResponse } = require('./toolErrors');
+const { telemetry: sharedTelemetry } = require('./telemetry');
+
+/**
+ * Check whether a value looks like a tool object
+ * A tool is any object with a `name`, a `toolDefinition` and an `executor` function
+ */
+function isTool(value) {
+  return Boolean(
+    value &&
+    typeof value === 'object' &&
+    typeof value.name === 'string' &&
+    value.toolDefinition &&
+    typeof value.toolDefinition === 'object' &&
+    typeof value.executor === 'function'
+  );
+}
+
+/**
+ * Find every tool object among the values of one or more module exports
+ */
+function discoverTools(...moduleExports) {
+  const tools = [];
+
+  for (const exported of moduleExports) {
+    if (!exported || typeof exported !== 'object') {
+      continue;
+    }
+
+    // A module may export a single tool or an object holding several tools
+    if (isTool(exported)) {
+      tools.push(exported);
+      continue;
+    }
+
+    for (const value of Object.values(exported)) {
+      if (isTool(value)) {
+        tools.push(value);
+      }
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Make sure a tool object is well formed before it is registered
+ */
+function validateTool(tool) {
+  if (!isTool(tool)) {
+    throw new Error('A tool must be an object with a name, a toolDefinition and an executor function');
+  }
+
+  const definitionName = tool.toolDefinition.function?.name;
+
+  if (definitionName !== tool.name) {
+    throw new Error(
+      `Tool "${tool.name}" does not match its toolDefinition.function.name "${definitionName}"`
+    );
+  }
+}
+
+/**
+ * Run an executor under a combined signal that aborts when the caller's signal does or the deadline passes
+ * Resolves with a cancellation response as soon as the signal aborts, even if the executor ignores it
+ */
+async function runWithDeadline(name, executor, args, { signal, deadline }) {
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(signal.reason);
+  let timer = null;
+
+  if (signal) {
+    if (signal.aborted) {
+      forwardAbort();
+    }
+    signal.addEventListener('abort', forwardAbort, { once: true });
+  }
+
+  if (deadline) {
+    timer = setTimeout(() => {
+      controller.abort(createToolError('TIMEOUT', `Tool "${name}" exceeded its deadline of ${deadline}ms`, {
+        hint: 'The tool took too long. Try again, or narrow the request so it finishes sooner.'
+      }));
+    }, deadline);
+  }
+
+  const aborted = new Promise((resolve) => {
+    if (controller.signal.aborted) {
+      resolve(cancelledResponse(controller.signal));
+    }
+    controller.signal.addEventListener('abort', () => resolve(cancelledResponse(controller.signal)), { once: true });
+  });
+
+  try {
+    return await Promise.race([executor({ ...args, signal: controller.signal }), aborted]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', forwardAbort);
+    }
+  }
+}
+
+/**
+ * Create a tool registry
+ * Tools passed in are registered immediately, in order.
+ * `deadlines` maps tool names to the longest time, in milliseconds, a call may take,
+ * and every call is logged, measured and traced through `telemetry`
+ */
+function createToolRegistry(tools = [], { deadlines = {}, telemetry = sharedTelemetry } = {}) {
+  const toolsByName = new Map();
+  const deadlinesByName = new Map(Object.entries(deadlines));
+
+  const registry = {
+    /**
+     * Add a tool to the registry, rejecting malformed tools and duplicate names
+     */
+    register(tool, { deadline } = {}) {
+      validateTool(tool);
+
+      if (toolsByName.has(tool.name)) {
+        throw new Error(`A tool named "${tool.name}" is already registered`);
+      }
+
+      toolsByName.set(tool.name, tool);
+      if (deadline !== undefined) {
+        deadlinesByName.set(tool.name, deadline);
+      }
+      return registry;
+    },
+
+    /**
+     * Set the deadline for a tool in milliseconds, or null to remove it
+     */
+    setDeadline(name, deadline) {
+      if (deadline === null) {
+        deadlinesByName.delete(name);
+      } else {
+        deadlinesByName.set(name, deadline);
+      }
+      return registry;
+    },
+
+    /**
+     * Look a tool up by name, returning undefined when it is not registered
+     */
+    get(name) {
+      return toolsByName.get(name);
+    },
+
+    has(name) {
+      return toolsByName.has(name);
+    },
+
+    /**
+     * List the registered tools in registration order
+     */
+    list() {
+      return Array.from(toolsByName.values());
+    },
+
+    /**
+     * List the tool definitions, ready to hand to an LLM
+     */
+    definitions() {
+      return registry.list().map((tool) => tool.toolDefinition);
+    },
+
+    /**
+     * Invoke a tool by name
+     * Returns the executor's JSON string, or a JSON error when the tool is unknown.
+     * A `deadline` passed here overrides the tool's registered deadline, and `config`
+     * overrides the tool's configured settings for this call only
+     */
+    async invoke(name, args = {}, { publishToClient, signal, deadline, config } = {}) {
+      const tool = toolsByName.get(name);
+
+      if (!tool) {
+        return errorResponse(createToolError('INVALID_ARGUMENT', `Tool "${name}" is not registered`, {
+          details: { availableTools: Array.from(toolsByName.keys()) },
+          hint: 'Call one of the tools listed in details.availableTools.'
+        }));
+      }
+
+      const timeLimit = deadline !== undefined ? deadline : deadlinesByName.get(name);
+
+      // Only pass settings when given, so executors that do not read them still get just their arguments
+      const options = config === undefined ? { publishToClient } : { publishToClient, config };
+
+      return telemetry.traceToolCall(name, args, () => {
+        if (!signal && !timeLimit) {
+          return tool.executor({ ...args, ...options });
+        }
+
+        return runWithDeadline(name, tool.executor, { ...args, ...options }, { signal, deadline: timeLimit });
+      });
+    },
+  };
+
+  for (const tool of tools) {
+    registry.register(tool);
+  }
+
+  return registry;
+}
+
+module.exports = {
+  isTool,
+  discoverTools,
+  createToolRegistry,
+};
@@ -0,0 +1,160 @@
+/**
+ * Travel Briefing Tool
+ * Combines the weather forecast for a destination with the exchange rate from the traveller's home
+ * currency to the destination's, which is looked up from the country the geocoder places it in
+ */
+
+const { createCompositeTool } = require('./toolComposition');
+const { weatherForecastTool } = require('./weatherForecast');
+const { convertCurrencyTool } = require('./convertCurrency');
+const { currencyForCountry, getCurrency } = require('./currencies');
+
+// The steps every call reports through publishToClient, with the progress reached when each starts;
+// events from the weather and currency tools are passed through under them
+const TRAVEL_BRIEFING_STEPS = [
+  { id: 'forecast', description: 'Find the destination and fetch its weather forecast', progress: 0 },
+  { id: 'exchange_rate', description: 'Convert the home currency into the destination\'s currency', progress: 50 },
+];
+
+/**
+ * Check the argument combinations the schema cannot express
+ */
+function checkArguments({ homeCurrency }) {
+  return getCurrency(homeCurrency)
+    ? []
+    : [{ field: 'homeCurrency', message: 'Is not a known ISO 4217 currency code' }];
+}
+
+/**
+ * Fetch the exchange rate from the home currency into the destination's
+ * A failed conversion does not fail the briefing: it is reported as the exchange rate's `error`
+ */
+async function fetchExchangeRate({ amount, home, local }, { call, events }) {
+  if (home.code === local.code) {
+    events.startStep('exchange_rate', `No conversion needed, ${local.code} is used at the destination`);
+    events.completeStep('exchange_rate');
+    return { fromCurrency: home.code, toCurrency: local.code, rate: 1, amount, currency: local };
+  }
+
+  const response = await call('exchange_rate', convertCurrencyTool, {
+    amount,
+    fromCurrency: home.code,
+    toCurrency: local.code
+  }, `Converting ${home.code} to ${local.code}...`);
+
+  if (response.error) {
+    events.warning(`No exchange rate from ${home.code} to ${local.code}: ${response.error.message}`, {
+      code: response.error.code
+    });
+    return { fromCurrency: home.code, toCurrency: local.code, error: response.error };
+  }
+
+  const { rate, formatted, equivalentString, lastUpdated, provider } = response.data;
+  return {
+    fromCurrency: home.code,
+    toCurrency: local.code,
+    rate,
+    amount: response.data.amount,
+    formatted,
+    equivalentString,
+    currency: local,
+    lastUpdated,
+    provider
+  };
+}
+
+/**
+ * Travel briefing executor, run by the composite tool once the arguments are checked
+ */
+async function travelBriefing({ destination, countryCode, homeCurrency, amount, units, days }, context) {
+  const { call, unwrap, events } = context;
+
+  const weather = unwrap(await call('forecast', weatherForecastTool, {
+    location: destination,
+    countryCode,
+    units,
+    days
+  }, `Fetching the weather for ${destination}...`));
+
+  const home = getCurrency(homeCurrency);
+  const local = currencyForCountry(weather.location.country);
+  let exchangeRate = null;
+
+  if (local) {
+    exchangeRate = await fetchExchangeRate({ amount, home, local }, context);
+  } else {
+    events.warning(`No currency is known for ${weather.location.name || destination}, so no exchange rate is included`, {
+      code: 'UNSUPPORTED_CURRENCY',
+      details: { country: weather.location.country }
+    });
+    events.startStep('exchange_rate', 'Skipping the exchange rate...');
+    events.completeStep('exchange_rate');
+  }
+
+  return {
+    destination: weather.location,
+    weather: {
+      current: weather.current,
+      forecast: weather.forecast || null,
+      advisories: weather.advisories,
+      units: weather.units
+    },
+    exchangeRate
+  };
+}
+
+// Tool definition for the travel briefing
+const travelBriefingTool = createCompositeTool({
+  name: 'travel-briefing',
+  description: 'Get a briefing for a trip: the current weather and forecast at the destination, plus the exchange rate from the traveller\'s home currency into the currency used there. Use this instead of calling weather-forecast and convert-currency separately when preparing for travel',
+  parameters: {
+    type: 'object',
+    properties: {
+      destination: {
+        type: 'string',
+        description: 'The place being visited (city name, or city and country or region such as "Paris, FR")',
+        minLength: 1,
+      },
+      countryCode: {
+        type: ['string', 'null'],
+        description: 'Only match places in this ISO 3166-1 alpha-2 country (e.g., FR, US), or null for any country',
+        pattern: '^[A-Za-z]{2}$',
+        default: null,
+      },
+      homeCurrency: {
+        type: 'string',
+        description: 'The traveller\'s ISO 4217 currency code (e.g., USD, EUR, GBP)',
+        pattern: '^[A-Za-z]{3}$',
+      },
+      amount: {
+        type: 'number',
+        description: 'The amount of the home currency to convert',
+        minimum: 0,
+        default: 1,
+      },
+      units: {
+        type: ['string', 'null'],
+        description: 'Units of measurement: metric (Celsius) or imperial (Fahrenheit), or null for the weather tool\'s configured default',
+        enum: ['metric', 'imperial', null],
+        default: null,
+      },
+      days: {
+        type: 'integer',
+        description: 'Number of days to forecast, including today (1-16)',
+        minimum: 1,
+        maximum: 16,
+        default: 3,
+      },
+    },
+    required: ['destination', 'countryCode', 'homeCurrency', 'amount', 'units', 'days'],
+    additionalProperties: false,
+  },
+  steps: TRAVEL_BRIEFING_STEPS,
+  check: checkArguments,
+  run: travelBriefing,
+  fallbackMessage: 'Failed to prepare the travel briefing',
+});
+
+module.exports = {
+  travelBriefingTool,
+};
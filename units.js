@@ -0,0 +1,225 @@
+/**
+ * Units
+ * Table of measurement units by dimension, with lookup by symbol or name
+ * and conversion through each dimension's base unit
+ */
+
+const { parseDecimal, roundDecimal } = require('./decimalMath');
+
+// Significant digits kept when no precision is requested, enough to hide floating-point noise
+const DEFAULT_SIGNIFICANT_DIGITS = 10;
+
+// Per dimension, the base unit and every unit as symbol: [name, factor, aliases, offset],
+// where a value in the unit equals (value + offset) × factor in the base unit
+const UNITS = {
+  length: {
+    base: 'm',
+    units: {
+      'μm': ['micrometre', 1e-6, ['um', 'micrometer', 'micron']],
+      mm: ['millimetre', 0.001, ['millimeter']],
+      cm: ['centimetre', 0.01, ['centimeter']],
+      m: ['metre', 1, ['meter']],
+      km: ['kilometre', 1000, ['kilometer']],
+      in: ['inch', 0.0254, ['inches', '"']],
+      ft: ['foot', 0.3048, ['feet', "'"]],
+      yd: ['yard', 0.9144, []],
+      mi: ['mile', 1609.344, []],
+      nmi: ['nautical mile', 1852, ['NM']],
+    },
+  },
+  mass: {
+    base: 'kg',
+    units: {
+      mg: ['milligram', 1e-6, []],
+      g: ['gram', 0.001, []],
+      kg: ['kilogram', 1, ['kilo']],
+      t: ['tonne', 1000, ['metric ton']],
+      oz: ['ounce', 0.028349523125, []],
+      lb: ['pound', 0.45359237, ['lbs']],
+      st: ['stone', 6.35029318, []],
+      ton: ['short ton', 907.18474, ['US ton']],
+      'long ton': ['long ton', 1016.0469088, ['imperial ton']],
+    },
+  },
+  volume: {
+    base: 'L',
+    units: {
+      mL: ['millilitre', 0.001, ['ml', 'milliliter']],
+      cL: ['centilitre', 0.01, ['cl', 'centiliter']],
+      dL: ['decilitre', 0.1, ['dl', 'deciliter']],
+      L: ['litre', 1, ['l', 'liter']],
+      'm³': ['cubic metre', 1000, ['m3', 'cubic meter']],
+      'cm³': ['cubic centimetre', 0.001, ['cm3', 'cc', 'cubic centimeter']],
+      'in³': ['cubic inch', 0.016387064, ['in3', 'cubic inches']],
+      'ft³': ['cubic foot', 28.316846592, ['ft3', 'cubic feet']],
+      tsp: ['teaspoon', 0.00492892159375, []],
+      tbsp: ['tablespoon', 0.01478676478125, []],
+      'fl oz': ['US fluid ounce', 0.0295735295625, ['fluid ounce', 'floz']],
+      cup: ['US cup', 0.2365882365, []],
+      pt: ['US pint', 0.473176473, ['pint']],
+      qt: ['US quart', 0.946352946, ['quart']],
+      gal: ['US gallon', 3.785411784, ['gallon']],
+      'imp pt': ['imperial pint', 0.56826125, []],
+      'imp gal': ['imperial gallon', 4.54609, []],
+    },
+  },
+  temperature: {
+    base: 'K',
+    units: {
+      '°C': ['degree Celsius', 1, ['C', 'celsius', 'degC', 'degrees Celsius'], 273.15],
+      '°F': ['degree Fahrenheit', 5 / 9, ['F', 'fahrenheit', 'degF', 'degrees Fahrenheit'], 459.67],
+      K: ['kelvin', 1, []],
+      '°R': ['degree Rankine', 5 / 9, ['R', 'rankine', 'degR', 'degrees Rankine']],
+    },
+  },
+  speed: {
+    base: 'm/s',
+    units: {
+      'm/s': ['metre per second', 1, ['mps', 'meter per second', 'metres per second', 'meters per second']],
+      'km/h': ['kilometre per hour', 1 / 3.6, ['kph', 'kmh', 'kilometer per hour', 'kilometres per hour', 'kilometers per hour']],
+      mph: ['mile per hour', 0.44704, ['miles per hour']],
+      kn: ['knot', 1852 / 3600, ['kt', 'kts']],
+      'ft/s': ['foot per second', 0.3048, ['fps', 'feet per second']],
+    },
+  },
+  pressure: {
+    base: 'Pa',
+    units: {
+      Pa: ['pascal', 1, []],
+      hPa: ['hectopascal', 100, []],
+      kPa: ['kilopascal', 1000, []],
+      MPa: ['megapascal', 1e6, []],
+      bar: ['bar', 1e5, []],
+      mbar: ['millibar', 100, ['mb']],
+      atm: ['standard atmosphere', 101325, ['atmosphere']],
+      psi: ['pound per square inch', 6894.757293168361, ['pounds per square inch']],
+      mmHg: ['millimetre of mercury', 133.322387415, ['torr']],
+      inHg: ['inch of mercury', 3386.389, ['inches of mercury']],
+    },
+  },
+  area: {
+    base: 'm²',
+    units: {
+      'mm²': ['square millimetre', 1e-6, ['mm2', 'square millimeter']],
+      'cm²': ['square centimetre', 1e-4, ['cm2', 'square centimeter']],
+      'm²': ['square metre', 1, ['m2', 'sqm', 'square meter']],
+      'km²': ['square kilometre', 1e6, ['km2', 'square kilometer']],
+      ha: ['hectare', 1e4, []],
+      'in²': ['square inch', 0.00064516, ['in2', 'sq in', 'square inches']],
+      'ft²': ['square foot', 0.09290304, ['ft2', 'sq ft', 'sqft', 'square feet']],
+      'yd²': ['square yard', 0.83612736, ['yd2', 'sq yd']],
+      ac: ['acre', 4046.8564224, []],
+      'mi²': ['square mile', 2589988.110336, ['mi2', 'sq mi']],
+    },
+  },
+  data: {
+    base: 'B',
+    units: {
+      bit: ['bit', 0.125, ['b']],
+      kbit: ['kilobit', 125, ['kb', 'kbps']],
+      Mbit: ['megabit', 125000, ['Mb', 'Mbps']],
+      Gbit: ['gigabit', 1.25e8, ['Gb', 'Gbps']],
+      B: ['byte', 1, []],
+      kB: ['kilobyte', 1e3, ['KB']],
+      MB: ['megabyte', 1e6, []],
+      GB: ['gigabyte', 1e9, []],
+      TB: ['terabyte', 1e12, []],
+      PB: ['petabyte', 1e15, []],
+      KiB: ['kibibyte', 1024, []],
+      MiB: ['mebibyte', 1024 ** 2, []],
+      GiB: ['gibibyte', 1024 ** 3, []],
+      TiB: ['tebibyte', 1024 ** 4, []],
+      PiB: ['pebibyte', 1024 ** 5, []],
+    },
+  },
+};
+
+const DIMENSIONS = Object.keys(UNITS);
+
+// Every unit by symbol, and the symbols each spelling could mean: exact spellings first, then case-insensitive ones
+const unitsBySymbol = new Map();
+const exactSpellings = new Map();
+const looseSpellings = new Map();
+
+for (const [dimension, { units }] of Object.entries(UNITS)) {
+  for (const [symbol, [name, factor, aliases, offset = 0]] of Object.entries(units)) {
+    unitsBySymbol.set(symbol, { symbol, name, dimension, factor, offset });
+
+    for (const spelling of [symbol, ...aliases]) {
+      exactSpellings.set(spelling, [...(exactSpellings.get(spelling) || []), symbol]);
+    }
+    // Word aliases such as 'meter' also match their plurals
+    const pluralAliases = aliases.filter((alias) => /^[a-z ]{4,}$/i.test(alias) && !alias.endsWith('s')).map((alias) => `${alias}s`);
+
+    for (const spelling of [symbol, name, `${name}s`, ...aliases, ...pluralAliases]) {
+      const key = spelling.toLowerCase();
+      const symbols = looseSpellings.get(key) || [];
+      if (!symbols.includes(symbol)) {
+        looseSpellings.set(key, [...symbols, symbol]);
+      }
+    }
+  }
+}
+
+/**
+ * Look a unit up by symbol, name or alias, e.g. 'km', 'Kilometres' or 'kph'
+ * Returns { unit } when the spelling is known, { ambiguous: [symbols] } when it could mean
+ * several units (e.g. 'mB' for millibar, megabit or megabyte), or null
+ */
+function findUnit(spelling) {
+  const text = String(spelling).trim();
+  const symbols = exactSpellings.get(text) || looseSpellings.get(text.toLowerCase());
+
+  if (!symbols) {
+    return null;
+  }
+  if (symbols.length > 1) {
+    return { ambiguous: symbols };
+  }
+  return { unit: unitsBySymbol.get(symbols[0]) };
+}
+
+/**
+ * List the unit symbols of a dimension, or of every dimension
+ */
+function listUnits(dimension) {
+  const dimensions = dimension ? [dimension] : DIMENSIONS;
+  return dimensions.flatMap((name) => Object.keys(UNITS[name].units));
+}
+
+/**
+ * Express a value in a unit as a value in its dimension's base unit
+ */
+function toBase(value, unit) {
+  return (value + unit.offset) * unit.factor;
+}
+
+/**
+ * Convert a value between two units of the same dimension
+ * Rounds to `precision` decimal places, halves away from zero, or to 10 significant digits when null
+ */
+function convertValue(value, from, to, precision = null) {
+  if (from.dimension !== to.dimension) {
+    throw new RangeError(`Cannot convert ${from.dimension} (${from.symbol}) to ${to.dimension} (${to.symbol})`);
+  }
+
+  const result = toBase(value, from) / to.factor - to.offset;
+
+  if (!Number.isFinite(result)) {
+    throw new RangeError(`Converting ${value} ${from.symbol} to ${to.symbol} gives a result out of range`);
+  }
+  if (precision === null) {
+    return Number(result.toPrecision(DEFAULT_SIGNIFICANT_DIGITS));
+  }
+  return roundDecimal(parseDecimal(Number(result.toPrecision(15))), precision);
+}
+
+module.exports = {
+  DEFAULT_SIGNIFICANT_DIGITS,
+  DIMENSIONS,
+  UNITS,
+  findUnit,
+  listUnits,
+  toBase,
+  convertValue,
+};
@@ -0,0 +1,277 @@
+/**
+ * Weather Advisories
+ * Derives heat, frost, wind, heavy precipitation and thunderstorm advisories
+ * from current conditions and forecasts, using configurable thresholds
+ */
+
+// Advisory severities, from least to most severe
+const SEVERITY_LEVELS = ['moderate', 'severe'];
+
+// Default thresholds in metric units; imperial data is compared against converted values
+const defaultThresholds = {
+  // Apparent temperature, or the daily maximum, at or above (°C)
+  heat: { moderate: 30, severe: 35 },
+  // Temperature, or the daily minimum, at or below (°C)
+  frost: { moderate: 0, severe: -10 },
+  // Wind speed at 10 m at or above (m/s); 13.9 m/s is 50 km/h and 20.8 m/s is 75 km/h
+  wind: { moderate: 13.9, severe: 20.8 },
+  // Daily precipitation total at or above (mm)
+  precipitation: { moderate: 20, severe: 50 },
+  // Hourly precipitation at or above (mm)
+  precipitationRate: { moderate: 7.6, severe: 16 },
+  // WMO weather codes for thunderstorms, and for thunderstorms with hail
+  thunderstorm: { moderate: [95], severe: [96, 99] },
+};
+
+// Convert metric thresholds into each unit system
+const converters = {
+  metric: {
+    temperature: (celsius) => celsius,
+    wind: (metresPerSecond) => metresPerSecond,
+    precipitation: (millimetres) => millimetres,
+  },
+  imperial: {
+    temperature: (celsius) => parseFloat((celsius * 9 / 5 + 32).toFixed(1)),
+    wind: (metresPerSecond) => parseFloat((metresPerSecond * 2.23694).toFixed(1)),
+    precipitation: (millimetres) => parseFloat((millimetres / 25.4).toFixed(2)),
+  },
+};
+
+// Unit labels matching the tool's `units` block
+const unitLabels = {
+  metric: { temperature: '°C', wind: 'm/s', precipitation: 'mm' },
+  imperial: { temperature: '°F', wind: 'mph', precipitation: 'inch' },
+};
+
+// How each numeric threshold is applied: the sample value it reads, its quantity, and its direction
+const rules = [
+  {
+    threshold: 'heat',
+    type: 'heat',
+    value: 'heat',
+    quantity: 'temperature',
+    above: true,
+    describe: (peak, unit) => `Temperatures up to ${peak}${unit}`,
+  },
+  {
+    threshold: 'frost',
+    type: 'frost',
+    value: 'frost',
+    quantity: 'temperature',
+    above: false,
+    describe: (peak, unit) => `Temperatures down to ${peak}${unit}`,
+  },
+  {
+    threshold: 'wind',
+    type: 'wind',
+    value: 'wind',
+    quantity: 'wind',
+    above: true,
+    describe: (peak, unit) => `Wind speeds up to ${peak} ${unit}`,
+  },
+  {
+    threshold: 'precipitation',
+    type: 'heavy_precipitation',
+    value: 'precipitation',
+    quantity: 'precipitation',
+    above: true,
+    describe: (peak, unit) => `Up to ${peak} ${unit} of precipitation in a day`,
+  },
+  {
+    threshold: 'precipitationRate',
+    type: 'heavy_precipitation',
+    value: 'precipitationRate',
+    quantity: 'precipitation',
+    above: true,
+    describe: (peak, unit) => `Up to ${peak} ${unit} of precipitation in an hour`,
+  },
+];
+
+/**
+ * Flatten Open-Meteo's current, daily and hourly blocks into one list of timed samples
+ */
+function collectSamples({ current, daily, hourly }) {
+  const samples = [];
+
+  if (current) {
+    samples.push({
+      time: current.time,
+      heat: current.apparent_temperature ?? current.temperature_2m,
+      frost: current.temperature_2m,
+      wind: current.wind_speed_10m,
+      precipitationRate: current.precipitation,
+      code: current.weather_code,
+    });
+  }
+
+  daily?.time.forEach((time, index) => {
+    samples.push({
+      time,
+      heat: daily.temperature_2m_max?.[index],
+      frost: daily.temperature_2m_min?.[index],
+      wind: daily.wind_speed_10m_max?.[index],
+      precipitation: daily.precipitation_sum?.[index],
+      code: daily.weather_code?.[index],
+    });
+  });
+
+  hourly?.time.forEach((time, index) => {
+    samples.push({
+      time,
+      heat: hourly.temperature_2m?.[index],
+      frost: hourly.temperature_2m?.[index],
+      wind: hourly.wind_speed_10m?.[index],
+      precipitationRate: hourly.precipitation?.[index],
+      code: hourly.weather_code?.[index],
+    });
+  });
+
+  return samples;
+}
+
+/**
+ * Describe when an advisory applies, from the first to the last matching sample
+ */
+function describePeriod(matches) {
+  const start = matches[0].time;
+  const end = matches[matches.length - 1].time;
+
+  return start === end ? `on ${start}` : `between ${start} and ${end}`;
+}
+
+/**
+ * Apply one numeric rule to the samples, returning an advisory or null
+ */
+function applyRule(rule, samples, thresholds, units) {
+  const convert = converters[units][rule.quantity];
+  const unit = unitLabels[units][rule.quantity];
+  const limits = {
+    moderate: convert(thresholds[rule.threshold].moderate),
+    severe: convert(thresholds[rule.threshold].severe),
+  };
+  const exceeds = (value, limit) => (rule.above ? value >= limit : value <= limit);
+
+  const matches = samples.filter((sample) => typeof sample[rule.value] === 'number' && exceeds(sample[rule.value], limits.moderate));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const values = matches.map((sample) => sample[rule.value]);
+  const peak = rule.above ? Math.max(...values) : Math.min(...values);
+  const severity = exceeds(peak, limits.severe) ? 'severe' : 'moderate';
+
+  return {
+    type: rule.type,
+    severity,
+    message: `${rule.describe(peak, unit)} ${describePeriod(matches)}`,
+    peak,
+    threshold: limits[severity],
+    unit,
+    start: matches[0].time,
+    end: matches[matches.length - 1].time,
+  };
+}
+
+/**
+ * Find thunderstorm weather codes in the samples, returning an advisory or null
+ */
+function thunderstormAdvisory(samples, thresholds) {
+  const { moderate, severe } = thresholds.thunderstorm;
+  const matches = samples.filter((sample) => moderate.includes(sample.code) || severe.includes(sample.code));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const withHail = matches.some((sample) => severe.includes(sample.code));
+
+  return {
+    type: 'thunderstorm',
+    severity: withHail ? 'severe' : 'moderate',
+    message: `Thunderstorms${withHail ? ' with hail' : ''} ${describePeriod(matches)}`,
+    peak: null,
+    threshold: null,
+    unit: null,
+    start: matches[0].time,
+    end: matches[matches.length - 1].time,
+  };
+}
+
+/**
+ * Merge threshold overrides over the thresholds in force, one severity level at a time,
+ * so overriding only `severe` for heat keeps its `moderate` limit
+ */
+function mergeThresholds(current, overrides) {
+  const merged = { ...current };
+
+  for (const [type, levels] of Object.entries(overrides)) {
+    const defined = Object.entries(levels || {}).filter(([, value]) => value !== undefined);
+    merged[type] = { ...current[type], ...Object.fromEntries(defined) };
+  }
+  return merged;
+}
+
+/**
+ * Create an advisory evaluator
+ * Thresholds are given in metric units and merged over the defaults per advisory type and severity
+ */
+function createWeatherAdvisories({ thresholds = {} } = {}) {
+  let settings = mergeThresholds(defaultThresholds, thresholds);
+
+  const evaluator = {
+    /**
+     * Override some or all thresholds, e.g. { heat: { moderate: 28, severe: 33 } } or { frost: { severe: -15 } }
+     */
+    configure({ thresholds: nextThresholds = {} } = {}) {
+      settings = mergeThresholds(settings, nextThresholds);
+      return evaluator;
+    },
+
+    /**
+     * The thresholds currently in force, converted to a unit system
+     */
+    thresholds(units = 'metric') {
+      return Object.fromEntries(rules.map((rule) => [rule.threshold, {
+        moderate: converters[units][rule.quantity](settings[rule.threshold].moderate),
+        severe: converters[units][rule.quantity](settings[rule.threshold].severe),
+        unit: unitLabels[units][rule.quantity],
+      }]));
+    },
+
+    /**
+     * Derive advisories from Open-Meteo weather data in the given units
+     * Returns one advisory per type, most severe first
+     */
+    evaluate(weatherData, units = 'metric') {
+      const samples = collectSamples(weatherData);
+      const candidates = [
+        ...rules.map((rule) => applyRule(rule, samples, settings, units)),
+        thunderstormAdvisory(samples, settings),
+      ].filter(Boolean);
+      const advisories = [];
+
+      for (const advisory of candidates) {
+        // Daily totals and hourly rates both report heavy precipitation; keep the more severe one
+        const existing = advisories.findIndex((entry) => entry.type === advisory.type);
+        if (existing === -1) {
+          advisories.push(advisory);
+        } else if (SEVERITY_LEVELS.indexOf(advisory.severity) > SEVERITY_LEVELS.indexOf(advisories[existing].severity)) {
+          advisories[existing] = advisory;
+        }
+      }
+
+      return advisories.sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity));
+    },
+  };
+
+  return evaluator;
+}
+
+// Shared evaluator used by the weather forecast tool
+const weatherAdvisories = createWeatherAdvisories();
+
+module.exports = {
+  SEVERITY_LEVELS,
+  defaultThresholds,
+  createWeatherAdvisories,
+  weatherAdvisories,
+};
@@ -0,0 +1,291 @@
+/**
+ * Weather Codes
+ * Every WMO weather interpretation code Open-Meteo returns, with day and night icons
+ * and descriptions in each supported language
+ */
+
+// Languages with translated descriptions; the geocoder is asked for place names in the same language
+const SUPPORTED_LANGUAGES = ['en', 'de', 'fr', 'es', 'it', 'pt', 'nl'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Icon per code, without the day (d) or night (n) suffix
+const icons = {
+  0: '01',
+  1: '02',
+  2: '03',
+  3: '04',
+  45: '50',
+  48: '50',
+  51: '09',
+  53: '09',
+  55: '09',
+  56: '09',
+  57: '09',
+  61: '10',
+  63: '10',
+  65: '10',
+  66: '13',
+  67: '13',
+  71: '13',
+  73: '13',
+  75: '13',
+  77: '13',
+  80: '09',
+  81: '09',
+  82: '09',
+  85: '13',
+  86: '13',
+  95: '11',
+  96: '11',
+  99: '11',
+};
+
+// Icon for codes missing from the table
+const UNKNOWN_ICON = '03';
+
+// Descriptions per language; `unknown` is used for codes missing from the table
+const descriptions = {
+  en: {
+    0: 'Clear sky',
+    1: 'Mainly clear',
+    2: 'Partly cloudy',
+    3: 'Overcast',
+    45: 'Fog',
+    48: 'Depositing rime fog',
+    51: 'Light drizzle',
+    53: 'Moderate drizzle',
+    55: 'Dense drizzle',
+    56: 'Light freezing drizzle',
+    57: 'Dense freezing drizzle',
+    61: 'Slight rain',
+    63: 'Moderate rain',
+    65: 'Heavy rain',
+    66: 'Light freezing rain',
+    67: 'Heavy freezing rain',
+    71: 'Slight snow fall',
+    73: 'Moderate snow fall',
+    75: 'Heavy snow fall',
+    77: 'Snow grains',
+    80: 'Slight rain showers',
+    81: 'Moderate rain showers',
+    82: 'Violent rain showers',
+    85: 'Slight snow showers',
+    86: 'Heavy snow showers',
+    95: 'Thunderstorm',
+    96: 'Thunderstorm with slight hail',
+    99: 'Thunderstorm with heavy hail',
+    unknown: 'Unknown',
+  },
+  de: {
+    0: 'Klarer Himmel',
+    1: 'Überwiegend klar',
+    2: 'Teilweise bewölkt',
+    3: 'Bedeckt',
+    45: 'Nebel',
+    48: 'Raureifnebel',
+    51: 'Leichter Nieselregen',
+    53: 'Mäßiger Nieselregen',
+    55: 'Starker Nieselregen',
+    56: 'Leichter gefrierender Nieselregen',
+    57: 'Starker gefrierender Nieselregen',
+    61: 'Leichter Regen',
+    63: 'Mäßiger Regen',
+    65: 'Starker Regen',
+    66: 'Leichter gefrierender Regen',
+    67: 'Starker gefrierender Regen',
+    71: 'Leichter Schneefall',
+    73: 'Mäßiger Schneefall',
+    75: 'Starker Schneefall',
+    77: 'Schneegriesel',
+    80: 'Leichte Regenschauer',
+    81: 'Mäßige Regenschauer',
+    82: 'Heftige Regenschauer',
+    85: 'Leichte Schneeschauer',
+    86: 'Starke Schneeschauer',
+    95: 'Gewitter',
+    96: 'Gewitter mit leichtem Hagel',
+    99: 'Gewitter mit starkem Hagel',
+    unknown: 'Unbekannt',
+  },
+  fr: {
+    0: 'Ciel dégagé',
+    1: 'Principalement dégagé',
+    2: 'Partiellement nuageux',
+    3: 'Couvert',
+    45: 'Brouillard',
+    48: 'Brouillard givrant',
+    51: 'Bruine légère',
+    53: 'Bruine modérée',
+    55: 'Bruine dense',
+    56: 'Bruine verglaçante légère',
+    57: 'Bruine verglaçante dense',
+    61: 'Pluie faible',
+    63: 'Pluie modérée',
+    65: 'Pluie forte',
+    66: 'Pluie verglaçante faible',
+    67: 'Pluie verglaçante forte',
+    71: 'Chute de neige faible',
+    73: 'Chute de neige modérée',
+    75: 'Chute de neige forte',
+    77: 'Neige en grains',
+    80: 'Averses de pluie faibles',
+    81: 'Averses de pluie modérées',
+    82: 'Averses de pluie violentes',
+    85: 'Averses de neige faibles',
+    86: 'Averses de neige fortes',
+    95: 'Orage',
+    96: 'Orage avec grêle faible',
+    99: 'Orage avec grêle forte',
+    unknown: 'Inconnu',
+  },
+  es: {
+    0: 'Cielo despejado',
+    1: 'Mayormente despejado',
+    2: 'Parcialmente nublado',
+    3: 'Cubierto',
+    45: 'Niebla',
+    48: 'Niebla con escarcha',
+    51: 'Llovizna ligera',
+    53: 'Llovizna moderada',
+    55: 'Llovizna densa',
+    56: 'Llovizna helada ligera',
+    57: 'Llovizna helada densa',
+    61: 'Lluvia ligera',
+    63: 'Lluvia moderada',
+    65: 'Lluvia intensa',
+    66: 'Lluvia helada ligera',
+    67: 'Lluvia helada intensa',
+    71: 'Nevada ligera',
+    73: 'Nevada moderada',
+    75: 'Nevada intensa',
+    77: 'Granos de nieve',
+    80: 'Chubascos ligeros',
+    81: 'Chubascos moderados',
+    82: 'Chubascos violentos',
+    85: 'Chubascos de nieve ligeros',
+    86: 'Chubascos de nieve intensos',
+    95: 'Tormenta',
+    96: 'Tormenta con granizo ligero',
+    99: 'Tormenta con granizo fuerte',
+    unknown: 'Desconocido',
+  },
+  it: {
+    0: 'Cielo sereno',
+    1: 'Prevalentemente sereno',
+    2: 'Parzialmente nuvoloso',
+    3: 'Coperto',
+    45: 'Nebbia',
+    48: 'Nebbia con brina',
+    51: 'Pioviggine leggera',
+    53: 'Pioviggine moderata',
+    55: 'Pioviggine intensa',
+    56: 'Pioviggine gelata leggera',
+    57: 'Pioviggine gelata intensa',
+    61: 'Pioggia debole',
+    63: 'Pioggia moderata',
+    65: 'Pioggia forte',
+    66: 'Pioggia gelata debole',
+    67: 'Pioggia gelata forte',
+    71: 'Nevicata debole',
+    73: 'Nevicata moderata',
+    75: 'Nevicata forte',
+    77: 'Neve granulosa',
+    80: 'Rovesci di pioggia deboli',
+    81: 'Rovesci di pioggia moderati',
+    82: 'Rovesci di pioggia violenti',
+    85: 'Rovesci di neve deboli',
+    86: 'Rovesci di neve forti',
+    95: 'Temporale',
+    96: 'Temporale con grandine debole',
+    99: 'Temporale con grandine forte',
+    unknown: 'Sconosciuto',
+  },
+  pt: {
+    0: 'Céu limpo',
+    1: 'Predominantemente limpo',
+    2: 'Parcialmente nublado',
+    3: 'Encoberto',
+    45: 'Nevoeiro',
+    48: 'Nevoeiro com geada',
+    51: 'Chuvisco fraco',
+    53: 'Chuvisco moderado',
+    55: 'Chuvisco intenso',
+    56: 'Chuvisco congelante fraco',
+    57: 'Chuvisco congelante intenso',
+    61: 'Chuva fraca',
+    63: 'Chuva moderada',
+    65: 'Chuva forte',
+    66: 'Chuva congelante fraca',
+    67: 'Chuva congelante forte',
+    71: 'Queda de neve fraca',
+    73: 'Queda de neve moderada',
+    75: 'Queda de neve forte',
+    77: 'Grãos de neve',
+    80: 'Aguaceiros fracos',
+    81: 'Aguaceiros moderados',
+    82: 'Aguaceiros violentos',
+    85: 'Aguaceiros de neve fracos',
+    86: 'Aguaceiros de neve fortes',
+    95: 'Trovoada',
+    96: 'Trovoada com granizo fraco',
+    99: 'Trovoada com granizo forte',
+    unknown: 'Desconhecido',
+  },
+  nl: {
+    0: 'Onbewolkt',
+    1: 'Overwegend helder',
+    2: 'Gedeeltelijk bewolkt',
+    3: 'Bewolkt',
+    45: 'Mist',
+    48: 'Mist met rijp',
+    51: 'Lichte motregen',
+    53: 'Matige motregen',
+    55: 'Dichte motregen',
+    56: 'Lichte onderkoelde motregen',
+    57: 'Dichte onderkoelde motregen',
+    61: 'Lichte regen',
+    63: 'Matige regen',
+    65: 'Zware regen',
+    66: 'Lichte onderkoelde regen',
+    67: 'Zware onderkoelde regen',
+    71: 'Lichte sneeuwval',
+    73: 'Matige sneeuwval',
+    75: 'Zware sneeuwval',
+    77: 'Korrelsneeuw',
+    80: 'Lichte regenbuien',
+    81: 'Matige regenbuien',
+    82: 'Zware regenbuien',
+    85: 'Lichte sneeuwbuien',
+    86: 'Zware sneeuwbuien',
+    95: 'Onweer',
+    96: 'Onweer met lichte hagel',
+    99: 'Onweer met zware hagel',
+    unknown: 'Onbekend',
+  },
+};
+
+// Every code in the table
+const WEATHER_CODES = Object.keys(icons).map(Number);
+
+/**
+ * Look up the description and icon for a WMO weather code
+ * Icons get a night variant ('01n') when `isDay` is false; Open-Meteo's `is_day` of 0 or 1 works too
+ */
+function describeWeatherCode(code, { isDay = true, language = DEFAULT_LANGUAGE } = {}) {
+  const texts = descriptions[language] || descriptions[DEFAULT_LANGUAGE];
+  const known = icons[code] !== undefined;
+  const suffix = isDay === false || isDay === 0 ? 'n' : 'd';
+
+  return {
+    description: known ? texts[code] : texts.unknown,
+    icon: `${known ? icons[code] : UNKNOWN_ICON}${suffix}`,
+  };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  WEATHER_CODES,
+  describeWeatherCode,
+};
@@ -3,105 +3,202 @@
  * This tool retrieves weather information for a given location using a weather API
  */
 
-const axios = require('axios');
+const { validateArguments, invalidArgumentsResponse } = require('./argumentValidator');
+const { weatherProviders } = require('./weatherProviders');
+const { reportRetries } = require('./httpClient');
+const { throwIfAborted } = require('./cancellation');
+const { errorResponse } = require('./toolErrors');
+const { resolveLocation } = require('./geocoding');
+const { AIR_QUALITY_SECTIONS, airQualityVariables, formatAirQuality } = require('./airQuality');
+const { weatherAdvisories } = require('./weatherAdvisories');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, describeWeatherCode } = require('./weatherCodes');
+const { createEventEmitter } = require('./toolEvents');
+const { isValidTimeZone, offsetAt, formatOffset } = require('./timeZones');
+const { CONNECTION_SETTINGS, toolConfig } = require('./toolConfig');
+
+// The steps every forecast reports through publishToClient, with the progress reached when each starts
+const WEATHER_STEPS = [
+  { id: 'fetch_weather', description: 'Resolve the location and fetch the weather and air-quality data', progress: 25 },
+  { id: 'process_weather', description: 'Format the conditions, forecast, advisories and air quality', progress: 75 },
+];
+
+/**
+ * Check the location arguments for combinations the schema cannot express
+ */
+function checkLocationArguments({ location, latitude, longitude, countryCode, admin1 }) {
+  const violations = [];
+  const hasCoordinates = latitude !== null || longitude !== null;
+
+  if ((latitude === null) !== (longitude === null)) {
+    violations.push({
+      field: latitude === null ? 'latitude' : 'longitude',
+      message: 'Is required when passing coordinates'
+    });
+  }
+  if (location === null && !hasCoordinates) {
+    violations.push({ field: 'location', message: 'Is required unless latitude and longitude are given' });
+  }
+  if (location !== null && hasCoordinates) {
+    violations.push({ field: 'location', message: 'Cannot be combined with latitude and longitude' });
+  }
+  for (const [field, value] of Object.entries({ countryCode, admin1 })) {
+    if (value !== null && location === null) {
+      violations.push({ field, message: 'Only applies when searching by location' });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Find the place's time zone and current UTC offset, preferring what the forecast reports
+ * and falling back to the geocoder's zone and the bundled time zone database
+ */
+function describeLocalTime(weatherData, place) {
+  const timezone = weatherData.timezone || place.timezone || null;
+  const offset = weatherData.utc_offset_seconds
+    ?? (timezone && isValidTimeZone(timezone) ? offsetAt(timezone, Date.now()) : null);
+
+  return {
+    timezone,
+    utcOffset: offset === null ? null : formatOffset(offset),
+    utcOffsetSeconds: offset
+  };
+}
+
+/**
+ * Turn Open-Meteo's column-oriented daily block into one entry per day
+ */
+function formatDailyForecast(daily, language) {
+  return daily.time.map((date, index) => {
+    const weatherInfo = describeWeatherCode(daily.weather_code[index], { language });
+
+    return {
+      date,
+      temperature: {
+        min: daily.temperature_2m_min[index],
+        max: daily.temperature_2m_max[index]
+      },
+      precipitation: {
+        sum: daily.precipitation_sum[index],
+        probability: daily.precipitation_probability_max[index]
+      },
+      description: weatherInfo.description,
+      icon: weatherInfo.icon
+    };
+  });
+}
+
+/**
+ * Turn Open-Meteo's column-oriented hourly block into one entry per hour
+ * Night hours get night icons
+ */
+function formatHourlyForecast(hourly, language) {
+  return hourly.time.map((time, index) => {
+    const weatherInfo = describeWeatherCode(hourly.weather_code[index], { isDay: hourly.is_day?.[index], language });
+
+    return {
+      time,
+      temperature: hourly.temperature_2m[index],
+      precipitation: {
+        amount: hourly.precipitation[index],
+        probability: hourly.precipitation_probability[index]
+      },
+      wind_speed: hourly.wind_speed_10m[index],
+      description: weatherInfo.description,
+      icon: weatherInfo.icon
+    };
+  });
+}
 
 /**
  * Weather forecast tool executor function
  * This function will be called when the agent uses the weatherForecast tool
  */
-async function weatherForecastExecutor({
-  location,
-  units = 'metric',
-  publishToClient,
-}) {
+async function weatherForecastExecutor({ publishToClient, signal, config, ...args }) {
+  let settings;
+  try {
+    settings = toolConfig.resolve(weatherForecastTool, config);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  // Reject arguments that do not match the declared schema before any request is made
+  const validation = validateArguments(weatherForecastTool.toolDefinition.function.parameters, args);
+  const violations = validation.valid ? checkLocationArguments(validation.value) : validation.violations;
+  if (violations.length > 0) {
+    return invalidArgumentsResponse(weatherForecastTool.name, violations);
+  }
+
+  // Units and language left out or null, as strict callers send them, come from the configuration
+  const { location, countryCode, admin1, days, granularity } = validation.value;
+  const units = validation.value.units ?? settings.units;
+  const language = validation.value.language ?? settings.language;
+  const include = [...new Set(validation.value.include || [])];
+
   try {
     // If you want to publish progress or updates to the client
-    if (publishToClient) {
-      publishToClient({
-        type: 'progress',
-        data: {
-          message: `Fetching weather data for ${location}...`,
-          progress: 25
-        }
-      });
-    }
+    const events = createEventEmitter(publishToClient, WEATHER_STEPS);
+    events.startStep(
+      'fetch_weather',
+      `Fetching weather data for ${location || `${validation.value.latitude}, ${validation.value.longitude}`}...`
+    );
 
-    // First, get coordinates for the location using geocoding API
-    const geocodeResponse = await axios.get(`https://geocoding-api.open-meteo.com/v1/search`, {
-      params: {
-        name: location,
-        count: 1,
-        language: 'en',
-        format: 'json'
-      }
-    });
+    const provider = weatherProviders.configured(settings);
+    const request = {
+      onRetry: reportRetries(publishToClient, 25, 'fetch_weather'),
+      signal,
+      timeout: settings.timeout,
+      proxy: settings.proxy
+    };
 
-    if (!geocodeResponse.data.results || geocodeResponse.data.results.length === 0) {
-      throw new Error(`Location "${location}" not found`);
+    // Coordinates are used as given; names are resolved with the geocoder, reusing earlier lookups
+    let place = { latitude: validation.value.latitude, longitude: validation.value.longitude };
+    let cached = false;
+    let age = null;
+
+    if (location !== null) {
+      ({ place, cached, age } = await resolveLocation(location, { countryCode, admin1, language, provider, request }));
     }
 
-    const locationData = geocodeResponse.data.results[0];
-    const { latitude, longitude, name, country_code } = locationData;
-
-    // Use Open-Meteo API for weather data - no API key required
-    const response = await axios.get(`https://api.open-meteo.com/v1/forecast`, {
-      params: {
-        latitude: latitude,
-        longitude: longitude,
-        current: 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,pressure_msl,wind_speed_10m,wind_direction_10m,cloud_cover',
-        temperature_unit: units === 'metric' ? 'celsius' : 'fahrenheit',
-        wind_speed_unit: units === 'metric' ? 'ms' : 'mph',
-        timezone: 'auto'
-      }
+    const { latitude, longitude } = place;
+    events.partialResult('fetch_weather', {
+      location: { name: place.name || null, coordinates: { lat: latitude, lon: longitude } }
     });
 
-    const weatherData = response.data;
+    // Then fetch current conditions, and the forecast when one was requested,
+    // alongside any air-quality sections for the same place
+    throwIfAborted(signal);
+    const [weatherData, airQualityData] = await Promise.all([
+      provider.getForecast({ latitude, longitude, units, days, granularity }, request),
+      include.length > 0
+        ? provider.getAirQuality({ latitude, longitude, variables: airQualityVariables(include) }, request)
+        : null
+    ]);
 
     // Update progress
-    if (publishToClient) {
-      publishToClient({
-        type: 'progress',
-        data: {
-          message: `Processing weather information...`,
-          progress: 75
-        }
-      });
-    }
-
-    // Convert weather code to description and icon
-    const weatherCodeMap = {
-      0: { description: 'Clear sky', icon: '01d' },
-      1: { description: 'Mainly clear', icon: '02d' },
-      2: { description: 'Partly cloudy', icon: '03d' },
-      3: { description: 'Overcast', icon: '04d' },
-      45: { description: 'Fog', icon: '50d' },
-      48: { description: 'Depositing rime fog', icon: '50d' },
-      51: { description: 'Light drizzle', icon: '09d' },
-      53: { description: 'Moderate drizzle', icon: '09d' },
-      55: { description: 'Dense drizzle', icon: '09d' },
-      61: { description: 'Slight rain', icon: '10d' },
-      63: { description: 'Moderate rain', icon: '10d' },
-      65: { description: 'Heavy rain', icon: '10d' },
-      71: { description: 'Slight snow fall', icon: '13d' },
-      73: { description: 'Moderate snow fall', icon: '13d' },
-      75: { description: 'Heavy snow fall', icon: '13d' },
-      95: { description: 'Thunderstorm', icon: '11d' },
-      96: { description: 'Thunderstorm with slight hail', icon: '11d' },
-      99: { description: 'Thunderstorm with heavy hail', icon: '11d' }
-    };
+    events.completeStep('fetch_weather');
+    events.startStep('process_weather', `Processing weather information...`);
 
-    const weatherInfo = weatherCodeMap[weatherData.current.weather_code] ||
-      { description: 'Unknown', icon: '03d' };
+    // Convert weather code to a description in the requested language and a day or night icon
+    const weatherInfo = describeWeatherCode(weatherData.current.weather_code, {
+      isDay: weatherData.current.is_day,
+      language
+    });
 
     // Format the weather data for easier consumption
     const formattedData = {
       location: {
-        name: name,
-        country: country_code,
+        name: place.name || null,
+        region: place.admin1 || null,
+        country: place.country_code || null,
         coordinates: {
           lat: latitude,
           lon: longitude
-        }
+        },
+        ...describeLocalTime(weatherData, place),
+        cached,
+        cacheAge: age
       },
       current: {
         temperature: weatherData.current.temperature_2m,
@@ -119,38 +216,50 @@ async function weatherForecastExecutor({
       },
       units: units === 'metric' ? {
         temperature: '°C',
-        wind: 'm/s'
+        wind: 'm/s',
+        precipitation: 'mm'
       } : {
         temperature: '°F',
-        wind: 'mph'
+        wind: 'mph',
+        precipitation: 'inch'
       }
     };
 
-    // Complete the task
-    if (publishToClient) {
-      publishToClient({
-        type: 'progress',
-        data: {
-          message: `Weather data retrieved successfully!`,
-          progress: 100
-        }
-      });
+    // Add the forecast in the requested granularity
+    if (days && granularity === 'daily' && weatherData.daily) {
+      formattedData.forecast = {
+        granularity,
+        days,
+        daily: formatDailyForecast(weatherData.daily, language)
+      };
+    } else if (days && granularity === 'hourly' && weatherData.hourly) {
+      formattedData.forecast = {
+        granularity,
+        days,
+        hourly: formatHourlyForecast(weatherData.hourly, language)
+      };
+    }
+
+    // Warn about heat, frost, wind, heavy precipitation and thunderstorms now or in the forecast
+    formattedData.advisories = weatherAdvisories.evaluate(weatherData, units);
+
+    // Add the requested air-quality, UV and pollen sections
+    if (airQualityData) {
+      Object.assign(formattedData, formatAirQuality(airQualityData.current, include));
+      formattedData.units.concentration = 'μg/m³';
+      formattedData.units.pollen = 'grains/m³';
     }
 
+    // Complete the task
+    events.completeStep('process_weather', `Weather data retrieved successfully!`);
+
     // Return the result as a JSON string
     return JSON.stringify({
       data: formattedData
     });
   } catch (error) {
-    console.error('Weather forecast error:', error);
-
-    // Handle errors and return them as a structured JSON response
-    return JSON.stringify({
-      error: {
-        message: error.message || 'Failed to retrieve weather data',
-        details: error.response?.data || null
-      }
-    });
+    // Map the failure onto the shared error taxonomy and return it as a structured JSON response
+    return errorResponse(error, { signal, fallbackMessage: 'Failed to retrieve weather data' });
   }
 }
 
@@ -164,27 +273,128 @@ const weatherForecastTool = {
     type: 'function',
     function: {
       name: 'weather-forecast',
-      description: 'Get current weather information for a specific location',
+      description: 'Get current weather information, an optional daily or hourly forecast, and optional air quality, UV and pollen data for a named location or coordinates. Ambiguous names return ranked candidates to choose from',
       strict: true,
       parameters: {
         type: 'object',
         properties: {
           location: {
-            type: 'string',
-            description: 'The location to get weather data for (city name, city and country code)',
+            type: ['string', 'null'],
+            description: 'The location to get weather data for (city name, or city and country or region such as "Paris, FR"), or null when passing coordinates',
+            minLength: 1,
+            default: null,
+          },
+          latitude: {
+            type: ['number', 'null'],
+            description: 'Latitude in decimal degrees, used with longitude instead of location',
+            minimum: -90,
+            maximum: 90,
+            default: null,
+          },
+          longitude: {
+            type: ['number', 'null'],
+            description: 'Longitude in decimal degrees, used with latitude instead of location',
+            minimum: -180,
+            maximum: 180,
+            default: null,
+          },
+          countryCode: {
+            type: ['string', 'null'],
+            description: 'Only match places in this ISO 3166-1 alpha-2 country (e.g., FR, US), or null for any country',
+            pattern: '^[A-Za-z]{2}$',
+            default: null,
+          },
+          admin1: {
+            type: ['string', 'null'],
+            description: 'Only match places in this state or region (e.g., Texas, Île-de-France), or null for any region',
+            minLength: 1,
+            default: null,
           },
           units: {
+            type: ['string', 'null'],
+            description: 'Units of measurement: metric (Celsius) or imperial (Fahrenheit), or null for the configured default (metric unless configured otherwise)',
+            enum: ['metric', 'imperial', null],
+            default: null
+          },
+          days: {
+            type: ['integer', 'null'],
+            description: 'Number of days to forecast, including today (1-16), or null for current conditions only',
+            minimum: 1,
+            maximum: 16,
+            default: null
+          },
+          granularity: {
             type: 'string',
-            description: 'Units of measurement: metric (Celsius) or imperial (Fahrenheit)',
-            enum: ['metric', 'imperial'],
-            default: 'metric'
+            description: 'Forecast granularity when days is set: daily summaries or hourly values',
+            enum: ['daily', 'hourly'],
+            default: 'daily'
+          },
+          language: {
+            type: ['string', 'null'],
+            description: `Language for weather descriptions and place names, or null for the configured default (${DEFAULT_LANGUAGE} unless configured otherwise)`,
+            enum: [...SUPPORTED_LANGUAGES, null],
+            default: null
+          },
+          include: {
+            type: ['array', 'null'],
+            description: 'Extra current data to add: air_quality (US and European AQI with advice, PM2.5, PM10, ozone), uv (UV index with advice) and pollen (counts for Europe), or null for none',
+            items: {
+              type: 'string',
+              enum: Object.keys(AIR_QUALITY_SECTIONS)
+            },
+            default: null
           }
         },
-        required: ['location', 'units'],
+        required: ['location', 'latitude', 'longitude', 'countryCode', 'admin1', 'units', 'days', 'granularity', 'language', 'include'],
         additionalProperties: false,
       },
     },
   },
+  configSchema: {
+    type: 'object',
+    properties: {
+      ...CONNECTION_SETTINGS,
+      geocodingUrl: {
+        type: ['string', 'null'],
+        description: 'Geocoding endpoint, e.g. of a self-hosted Open-Meteo, or null for the public one',
+        pattern: '^https?://',
+        default: null,
+      },
+      forecastUrl: {
+        type: ['string', 'null'],
+        description: 'Forecast endpoint, or null for the public one',
+        pattern: '^https?://',
+        default: null,
+      },
+      airQualityUrl: {
+        type: ['string', 'null'],
+        description: 'Air-quality endpoint, or null for the public one',
+        pattern: '^https?://',
+        default: null,
+      },
+      apiKey: {
+        type: ['string', 'null'],
+        description: 'API key for the commercial Open-Meteo tier, or null for the free tier',
+        minLength: 1,
+        secret: true,
+        default: null,
+      },
+      units: {
+        type: 'string',
+        description: 'Units used when a call does not choose them',
+        enum: ['metric', 'imperial'],
+        default: 'metric',
+      },
+      language: {
+        type: 'string',
+        description: 'Language used when a call does not choose one',
+        enum: SUPPORTED_LANGUAGES,
+        default: DEFAULT_LANGUAGE,
+      },
+    },
+    additionalProperties: false,
+  },
+  steps: WEATHER_STEPS,
   executor: weatherForecastExecutor,
 };
 
@@ -0,0 +1,246 @@
+/**
+ * Weather Providers
+ * Geocoding and forecast backends for the weather forecast tool
+ *
+ * A weather provider is an object with the members below. Each method also takes a
+ * trailing `request` object with per-call HTTP options such as `onRetry`.
+ * - name: a label for the backend
+ * - cacheId: optional, identifies the endpoints and key the provider uses in cached responses' keys
+ * - geocode(location, { count, language, countryCode }): resolves to a list of places with
+ *   { name, latitude, longitude, country_code, admin1, population, ... } as returned by the Open-Meteo geocoder
+ * - getForecast({ latitude, longitude, units, days, granularity }): resolves to
+ *   { current, daily, hourly } blocks using Open-Meteo variable names, with the place's
+ *   IANA `timezone`, `utc_offset_seconds` and `timezone_abbreviation` when known
+ * - getAirQuality({ latitude, longitude, variables }): resolves to { current } with the
+ *   requested Open-Meteo air-quality variables
+ */
+
+const { httpClient } = require('./httpClient');
+const { createProviderRegistry, pickSettings, cacheIdentity } = require('./providerRegistry');
+const { registerSecret } = require('./secrets');
+const { describeTimeZone } = require('./timeZones');
+const weatherFixtures = require('./fixtures/weather.json');
+
+// Variables requested for current conditions
+const currentVariables = 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,pressure_msl,wind_speed_10m,wind_direction_10m,cloud_cover,is_day';
+
+// Variables requested for each forecast granularity
+const forecastVariables = {
+  daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+  hourly: 'weather_code,temperature_2m,precipitation,precipitation_probability,wind_speed_10m,is_day'
+};
+
+/**
+ * Provider for Open-Meteo, or a self-hosted instance of it - no API key required
+ * An `apiKey` for the commercial tier is sent as the `apikey` parameter; point the URLs
+ * at the customer-*.open-meteo.com hosts along with it, and it is registered as a secret
+ */
+function createOpenMeteoProvider(options = {}) {
+  registerSecret(options.apiKey);
+  return buildOpenMeteoProvider(options);
+}
+
+/**
+ * Build the Open-Meteo provider; keys from a tool's settings were registered when they were resolved
+ */
+function buildOpenMeteoProvider(options) {
+  const {
+    geocodingUrl = 'https://geocoding-api.open-meteo.com/v1/search',
+    forecastUrl = 'https://api.open-meteo.com/v1/forecast',
+    airQualityUrl = 'https://air-quality-api.open-meteo.com/v1/air-quality',
+    apiKey = null,
+  } = options;
+  const provider = 'Open-Meteo';
+  const withKey = (params) => (apiKey ? { ...params, apikey: apiKey } : params);
+
+  return {
+    name: provider,
+    cacheId: cacheIdentity(provider, { geocodingUrl, forecastUrl, airQualityUrl, apiKey }),
+
+    withConfig(settings) {
+      return buildOpenMeteoProvider({
+        ...options,
+        ...pickSettings(settings, ['geocodingUrl', 'forecastUrl', 'airQualityUrl', 'apiKey'])
+      });
+    },
+
+    async geocode(location, { count = 1, language = 'en', countryCode = null } = {}, request = {}) {
+      const params = {
+        name: location,
+        count,
+        language,
+        format: 'json'
+      };
+
+      // Let the geocoder narrow the search itself when a country is known
+      if (countryCode) {
+        params.countryCode = countryCode.toUpperCase();
+      }
+
+      const geocodeResponse = await httpClient.get(geocodingUrl, { params: withKey(params) }, { ...request, provider });
+
+      return geocodeResponse.data.results || [];
+    },
+
+    async getForecast({ latitude, longitude, units = 'metric', days = null, granularity = 'daily' }, request = {}) {
+      const forecastParams = {
+        latitude: latitude,
+        longitude: longitude,
+        current: currentVariables,
+        temperature_unit: units === 'metric' ? 'celsius' : 'fahrenheit',
+        wind_speed_unit: units === 'metric' ? 'ms' : 'mph',
+        precipitation_unit: units === 'metric' ? 'mm' : 'inch',
+        timezone: 'auto'
+      };
+
+      // Only ask for a forecast block when the caller wants one
+      if (days) {
+        forecastParams[granularity] = forecastVariables[granularity];
+        forecastParams.forecast_days = days;
+      }
+
+      const response = await httpClient.get(forecastUrl, {
+        params: withKey(forecastParams)
+      }, { ...request, provider });
+
+      return response.data;
+    },
+
+    async getAirQuality({ latitude, longitude, variables }, request = {}) {
+      const response = await httpClient.get(airQualityUrl, {
+        params: withKey({
+          latitude,
+          longitude,
+          current: variables.join(','),
+          timezone: 'auto'
+        })
+      }, { ...request, provider });
+
+      return response.data;
+    },
+  };
+}
+
+/**
+ * Offline provider backed by fixture data, for air-gapped CI and local development
+ * Fixture values are metric; the day templates repeat when more days are requested than are stored
+ */
+function createFixtureWeatherProvider(fixtures = weatherFixtures) {
+  const round = (value) => parseFloat(value.toFixed(1));
+
+  // Convert metric fixture values into the requested units
+  const converters = (units) => (units === 'metric' ? {
+    temperature: round,
+    wind: round,
+    precipitation: round
+  } : {
+    temperature: (celsius) => round(celsius * 9 / 5 + 32),
+    wind: (metresPerSecond) => round(metresPerSecond * 2.23694),
+    precipitation: (millimetres) => parseFloat((millimetres / 25.4).toFixed(2))
+  });
+
+  const dateAfter = (days) => {
+    const date = new Date(`${fixtures.startDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  };
+
+  const dayTemplate = (index) => fixtures.days[index % fixtures.days.length];
+
+  return {
+    name: 'Offline fixtures',
+
+    async geocode(location, { count = 1, countryCode = null } = {}) {
+      const wanted = location.split(',')[0].trim().toLowerCase();
+
+      return fixtures.locations
+        .filter((place) => place.name.toLowerCase() === wanted)
+        .filter((place) => !countryCode || place.country_code === countryCode.toUpperCase())
+        .sort((a, b) => (b.population || 0) - (a.population || 0))
+        .slice(0, count);
+    },
+
+    async getForecast({ latitude, longitude, units = 'metric', days = null, granularity = 'daily' }) {
+      const convert = converters(units);
+      const current = fixtures.current;
+
+      // Fixture places carry their zone; any other coordinates are treated as UTC
+      const place = fixtures.locations.find((location) => location.latitude === latitude && location.longitude === longitude);
+      const zone = describeTimeZone(place?.timezone || 'UTC', Date.parse(`${fixtures.startDate}T12:00:00Z`));
+
+      const weatherData = {
+        timezone: zone.timezone,
+        utc_offset_seconds: zone.utcOffsetSeconds,
+        timezone_abbreviation: zone.abbreviation,
+        current: {
+          ...current,
+          temperature_2m: convert.temperature(current.temperature_2m),
+          apparent_temperature: convert.temperature(current.apparent_temperature),
+          precipitation: convert.precipitation(current.precipitation),
+          wind_speed_10m: convert.wind(current.wind_speed_10m),
+          time: `${fixtures.startDate}T12:00`
+        }
+      };
+
+      if (days && granularity === 'daily') {
+        const templates = Array.from({ length: days }, (_, index) => dayTemplate(index));
+
+        weatherData.daily = {
+          time: templates.map((_, index) => dateAfter(index)),
+          weather_code: templates.map((day) => day.weather_code),
+          temperature_2m_max: templates.map((day) => convert.temperature(day.temperature_2m_max)),
+          temperature_2m_min: templates.map((day) => convert.temperature(day.temperature_2m_min)),
+          precipitation_sum: templates.map((day) => convert.precipitation(day.precipitation_sum)),
+          precipitation_probability_max: templates.map((day) => day.precipitation_probability_max),
+          wind_speed_10m_max: templates.map((day) => convert.wind(day.wind_speed_10m_max))
+        };
+      } else if (days && granularity === 'hourly') {
+        const hours = Array.from({ length: days * 24 }, (_, index) => ({
+          day: dayTemplate(Math.floor(index / 24)),
+          date: dateAfter(Math.floor(index / 24)),
+          hour: index % 24
+        }));
+
+        // Warmest mid-afternoon, coldest just before dawn
+        const temperatureAt = ({ day, hour }) => {
+          const warmth = 1 - Math.abs(hour - 15) / 12;
+          return day.temperature_2m_min + (day.temperature_2m_max - day.temperature_2m_min) * Math.max(warmth, 0);
+        };
+
+        weatherData.hourly = {
+          time: hours.map(({ date, hour }) => `${date}T${String(hour).padStart(2, '0')}:00`),
+          weather_code: hours.map(({ day }) => day.weather_code),
+          temperature_2m: hours.map((entry) => convert.temperature(temperatureAt(entry))),
+          precipitation: hours.map(({ day }) => convert.precipitation(day.precipitation_sum / 24)),
+          precipitation_probability: hours.map(({ day }) => day.precipitation_probability_max),
+          wind_speed_10m: hours.map(({ day }) => convert.wind(day.wind_speed_10m_max * 0.7)),
+          // Daylight from 06:00 to 20:00
+          is_day: hours.map(({ hour }) => (hour >= 6 && hour < 20 ? 1 : 0))
+        };
+      }
+
+      return weatherData;
+    },
+
+    async getAirQuality({ variables }) {
+      const current = { time: `${fixtures.startDate}T12:00` };
+
+      for (const variable of variables) {
+        current[variable] = fixtures.airQuality[variable] ?? null;
+      }
+
+      return { current };
+    },
+  };
+}
+
+const weatherProviders = createProviderRegistry('weather', {
+  'open-meteo': createOpenMeteoProvider(),
+  fixture: createFixtureWeatherProvider(),
+}, 'open-meteo');
+
+module.exports = {
+  weatherProviders,
+  createOpenMeteoProvider,
+  createFixtureWeatherProvider,
+};
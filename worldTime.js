@@ -0,0 +1,261 @@
+/**
+ * World Time Tool
+ * Gives the local time at a place or IANA time zone and converts timestamps between zones,
+ * using the time zone database bundled with the runtime and the weather provider's geocoder for place names
+ */
+
+const { validateArguments, invalidArgumentsResponse } = require('./argumentValidator');
+const { weatherProviders } = require('./weatherProviders');
+const { reportRetries } = require('./httpClient');
+const { throwIfAborted } = require('./cancellation');
+const { createToolError, errorResponse } = require('./toolErrors');
+const { resolveLocation } = require('./geocoding');
+const { createEventEmitter } = require('./toolEvents');
+const { CONNECTION_SETTINGS, toolConfig } = require('./toolConfig');
+const {
+  TIMESTAMP_PATTERN,
+  isValidTimeZone,
+  formatOffset,
+  describeTimeZone,
+  parseTimestamp,
+  zonedTimeToInstant
+} = require('./timeZones');
+
+// The steps every call reports through publishToClient, with the progress reached when each starts
+const WORLD_TIME_STEPS = [
+  { id: 'resolve_location', description: 'Find the time zones of the named places, or check the given zones', progress: 0 },
+  { id: 'convert_time', description: 'Work out the instant and describe it in each zone', progress: 50 },
+];
+
+/**
+ * Check the argument combinations the schema cannot express
+ */
+function checkArguments({ location, timezone, time, toLocation, toTimezone }) {
+  const violations = [];
+  const parsed = time === null ? null : parseTimestamp(time);
+
+  if (location !== null && timezone !== null) {
+    violations.push({ field: 'timezone', message: 'Cannot be combined with location' });
+  }
+  if (location === null && timezone === null && parsed?.offsetSeconds == null) {
+    violations.push({ field: 'location', message: 'Is required unless timezone is given or time includes a UTC offset' });
+  }
+  if (toLocation !== null && toTimezone !== null) {
+    violations.push({ field: 'toTimezone', message: 'Cannot be combined with toLocation' });
+  }
+  for (const [field, value] of Object.entries({ timezone, toTimezone })) {
+    if (value !== null && !isValidTimeZone(value)) {
+      violations.push({ field, message: 'Is not a known IANA time zone' });
+    }
+  }
+  if (time !== null && !parsed) {
+    violations.push({ field: 'time', message: 'Is not a valid date and time' });
+  }
+
+  return violations;
+}
+
+/**
+ * Find the zone for a place name or zone argument
+ * Resolves to { timezone, location }, where location describes the geocoded place or is null
+ */
+async function resolveZone(location, timezone, { provider, request }) {
+  if (location === null) {
+    return { timezone, location: null };
+  }
+
+  const { place } = await resolveLocation(location, { provider, request });
+  if (!place.timezone || !isValidTimeZone(place.timezone)) {
+    throw createToolError('LOCATION_NOT_FOUND', `No time zone is known for "${location}"`, {
+      hint: 'Pass the IANA time zone of the place (e.g. "Europe/Paris") as timezone instead.'
+    });
+  }
+
+  return {
+    timezone: place.timezone,
+    location: {
+      name: place.name,
+      region: place.admin1 || null,
+      country: place.country_code || null,
+      coordinates: { lat: place.latitude, lon: place.longitude }
+    }
+  };
+}
+
+/**
+ * Explain how a local time was read when a daylight saving transition made it skipped or repeated
+ */
+function describeAdjustment({ adjustment, instant, alternatives }, time, timezone) {
+  if (!adjustment) {
+    return null;
+  }
+
+  const at = new Date(instant).toISOString();
+  return {
+    type: adjustment,
+    message: adjustment === 'skipped'
+      ? `${time} does not exist in ${timezone} because clocks go forward; it was read as ${at}`
+      : `${time} happens twice in ${timezone} because clocks go back; the earlier time, ${at}, was used`,
+    alternatives: alternatives.map((alternative) => new Date(alternative).toISOString())
+  };
+}
+
+/**
+ * World time tool executor function
+ */
+async function worldTimeExecutor({ publishToClient, signal, config, ...args }) {
+  let settings;
+  try {
+    settings = toolConfig.resolve(worldTimeTool, config);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  // Reject arguments that do not match the declared schema before any request is made
+  const validation = validateArguments(worldTimeTool.toolDefinition.function.parameters, args);
+  const violations = validation.valid ? checkArguments(validation.value) : validation.violations;
+  if (violations.length > 0) {
+    return invalidArgumentsResponse(worldTimeTool.name, violations);
+  }
+
+  const { location, timezone, time, toLocation, toTimezone } = validation.value;
+
+  try {
+    const events = createEventEmitter(publishToClient, WORLD_TIME_STEPS);
+    events.startStep('resolve_location', `Finding the time zone for ${location || timezone || 'the given offset'}...`);
+
+    const provider = weatherProviders.configured(settings);
+    const request = {
+      onRetry: reportRetries(publishToClient, 0, 'resolve_location'),
+      signal,
+      timeout: settings.timeout,
+      proxy: settings.proxy
+    };
+
+    const source = location !== null || timezone !== null
+      ? await resolveZone(location, timezone, { provider, request })
+      : null;
+    const target = toLocation !== null || toTimezone !== null
+      ? await resolveZone(toLocation, toTimezone, { provider, request })
+      : null;
+
+    events.completeStep('resolve_location');
+    throwIfAborted(signal);
+    events.startStep('convert_time', 'Converting the time...');
+
+    // A timestamp's own offset wins; otherwise it is a wall-clock time in the source zone
+    let instant = Date.now();
+    let adjustment = null;
+    if (time !== null) {
+      const { local, offsetSeconds } = parseTimestamp(time);
+
+      if (offsetSeconds !== null) {
+        instant = local - offsetSeconds * 1000;
+      } else {
+        const resolved = zonedTimeToInstant(local, source.timezone);
+        instant = resolved.instant;
+        adjustment = describeAdjustment(resolved, time, source.timezone);
+      }
+    }
+    if (adjustment) {
+      events.warning(adjustment.message, { code: `TIME_${adjustment.type.toUpperCase()}` });
+    }
+
+    const describe = (zone) => zone && { location: zone.location, ...describeTimeZone(zone.timezone, instant) };
+    const sourceTime = describe(source);
+    const targetTime = describe(target);
+    const difference = sourceTime && targetTime ? targetTime.utcOffsetSeconds - sourceTime.utcOffsetSeconds : null;
+
+    events.completeStep('convert_time', 'Time converted successfully!');
+
+    return JSON.stringify({
+      data: {
+        time: new Date(instant).toISOString(),
+        input: time,
+        adjustment,
+        source: sourceTime,
+        target: targetTime,
+        offsetDifference: difference === null ? null : formatOffset(difference),
+        offsetDifferenceSeconds: difference
+      }
+    });
+  } catch (error) {
+    return errorResponse(error, { signal, fallbackMessage: 'Failed to work out the time' });
+  }
+}
+
+// Tool definition for world time
+const worldTimeTool = {
+  name: 'world-time',
+  toolDefinition: {
+    type: 'function',
+    function: {
+      name: 'world-time',
+      description: 'Get the current local time, UTC offset and daylight saving status for a place or IANA time zone, or convert a date and time from one place or zone to another. Handles daylight saving transitions; use this instead of working out time differences yourself',
+      strict: true,
+      parameters: {
+        type: 'object',
+        properties: {
+          location: {
+            type: ['string', 'null'],
+            description: 'The place whose time zone to use (city name, or city and country or region such as "Paris, FR"), or null when passing timezone',
+            minLength: 1,
+            default: null,
+          },
+          timezone: {
+            type: ['string', 'null'],
+            description: 'The IANA time zone to use instead of location (e.g., Europe/Paris, America/New_York, UTC), or null',
+            minLength: 1,
+            default: null,
+          },
+          time: {
+            type: ['string', 'null'],
+            description: 'The date and time to convert in ISO 8601 (e.g., 2024-03-10T09:30). Without a UTC offset it is read as local time at location or timezone. Null for now',
+            pattern: TIMESTAMP_PATTERN,
+            default: null,
+          },
+          toLocation: {
+            type: ['string', 'null'],
+            description: 'The place to convert the time into, or null',
+            minLength: 1,
+            default: null,
+          },
+          toTimezone: {
+            type: ['string', 'null'],
+            description: 'The IANA time zone to convert the time into instead of toLocation, or null',
+            minLength: 1,
+            default: null,
+          },
+        },
+        required: ['location', 'timezone', 'time', 'toLocation', 'toTimezone'],
+        additionalProperties: false,
+      },
+    },
+  },
+  configSchema: {
+    type: 'object',
+    properties: {
+      ...CONNECTION_SETTINGS,
+      geocodingUrl: {
+        type: ['string', 'null'],
+        description: 'Geocoding endpoint used to find places, or null for the weather provider\'s default',
+        pattern: '^https?://',
+        default: null,
+      },
+      apiKey: {
+        type: ['string', 'null'],
+        description: 'API key for the commercial Open-Meteo tier, or null for the free tier',
+        minLength: 1,
+        secret: true,
+        default: null,
+      },
+    },
+    additionalProperties: false,
+  },
+  steps: WORLD_TIME_STEPS,
+  executor: worldTimeExecutor,
+};
+
+module.exports = {
+  worldTimeTool,
+};